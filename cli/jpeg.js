@@ -0,0 +1,520 @@
+/**
+ * Minimal JPEG decoder for the Node CLI: baseline and progressive Huffman
+ * coding, any chroma subsampling, restart intervals, grayscale / YCbCr /
+ * Adobe CMYK and YCCK. Arithmetic coding and lossless JPEG are not supported.
+ */
+
+// Zigzag index -> natural (row-major) index
+const ZIGZAG = new Int32Array([
+  0, 1, 8, 16, 9, 2, 3, 10, 17, 24, 32, 25, 18, 11, 4, 5, 12, 19, 26, 33, 40,
+  48, 41, 34, 27, 20, 13, 6, 7, 14, 21, 28, 35, 42, 49, 56, 57, 50, 43, 36, 29,
+  22, 15, 23, 30, 37, 44, 51, 58, 59, 52, 45, 38, 31, 39, 46, 53, 60, 61, 54,
+  47, 55, 62, 63,
+]);
+
+// IDCT basis: COS[x * 8 + u] = C(u)/2 * cos((2x + 1)uπ / 16)
+const COS = new Float32Array(64);
+for (let x = 0; x < 8; x++) {
+  for (let u = 0; u < 8; u++) {
+    const cu = u === 0 ? Math.SQRT1_2 : 1;
+    COS[x * 8 + u] = (cu / 2) * Math.cos(((2 * x + 1) * u * Math.PI) / 16);
+  }
+}
+
+function buildHuffmanTable(counts, values) {
+  const maxCode = new Int32Array(17).fill(-1);
+  const minCode = new Int32Array(17);
+  const valPtr = new Int32Array(17);
+  let code = 0;
+  let k = 0;
+  for (let len = 1; len <= 16; len++) {
+    const n = counts[len - 1];
+    if (n) {
+      valPtr[len] = k;
+      minCode[len] = code;
+      code += n;
+      k += n;
+      maxCode[len] = code - 1;
+    }
+    code <<= 1;
+  }
+  return { maxCode, minCode, valPtr, values };
+}
+
+function decodeScan(
+  data,
+  offset,
+  frame,
+  components,
+  resetInterval,
+  spectralStart,
+  spectralEnd,
+  successivePrev,
+  successive
+) {
+  let bitsData = 0;
+  let bitsCount = 0;
+  let eobrun = 0;
+  let acState = 0;
+  let acNextValue = 0;
+
+  function readBit() {
+    if (bitsCount > 0) {
+      bitsCount--;
+      return (bitsData >> bitsCount) & 1;
+    }
+    bitsData = data[offset++];
+    if (bitsData === 0xff) {
+      if (data[offset] === 0) {
+        offset++; // stuffed zero byte
+      } else {
+        // Hit a marker mid-interval (truncated data): feed zero bits
+        offset--;
+        bitsData = 0;
+      }
+    }
+    bitsCount = 7;
+    return (bitsData >> 7) & 1;
+  }
+
+  function receive(n) {
+    let v = 0;
+    while (n-- > 0) v = (v << 1) | readBit();
+    return v;
+  }
+
+  function receiveAndExtend(n) {
+    if (n === 0) return 0;
+    const v = receive(n);
+    return v >= 1 << (n - 1) ? v : v - (1 << n) + 1;
+  }
+
+  function decodeHuffman(table) {
+    let code = 0;
+    for (let len = 1; len <= 16; len++) {
+      code = (code << 1) | readBit();
+      if (code <= table.maxCode[len]) {
+        return table.values[table.valPtr[len] + code - table.minCode[len]];
+      }
+    }
+    throw new Error("Invalid JPEG Huffman code");
+  }
+
+  function decodeBaseline(c, off) {
+    const t = decodeHuffman(c.dcTable);
+    c.pred += receiveAndExtend(t);
+    c.blocks[off] = c.pred;
+    let k = 1;
+    while (k < 64) {
+      const rs = decodeHuffman(c.acTable);
+      const s = rs & 15;
+      const r = rs >> 4;
+      if (s === 0) {
+        if (r < 15) break;
+        k += 16;
+        continue;
+      }
+      k += r;
+      if (k > 63) break;
+      c.blocks[off + ZIGZAG[k]] = receiveAndExtend(s);
+      k++;
+    }
+  }
+
+  function decodeDCFirst(c, off) {
+    const t = decodeHuffman(c.dcTable);
+    c.pred += receiveAndExtend(t) * (1 << successive);
+    c.blocks[off] = c.pred;
+  }
+
+  function decodeDCSuccessive(c, off) {
+    if (readBit()) c.blocks[off] |= 1 << successive;
+  }
+
+  function decodeACFirst(c, off) {
+    if (eobrun > 0) {
+      eobrun--;
+      return;
+    }
+    let k = spectralStart;
+    while (k <= spectralEnd) {
+      const rs = decodeHuffman(c.acTable);
+      const s = rs & 15;
+      const r = rs >> 4;
+      if (s === 0) {
+        if (r < 15) {
+          eobrun = receive(r) + (1 << r) - 1;
+          break;
+        }
+        k += 16;
+        continue;
+      }
+      k += r;
+      if (k > 63) break;
+      c.blocks[off + ZIGZAG[k]] = receiveAndExtend(s) * (1 << successive);
+      k++;
+    }
+  }
+
+  function decodeACSuccessive(c, off) {
+    let k = spectralStart;
+    let r = 0;
+    while (k <= spectralEnd) {
+      const z = off + ZIGZAG[k];
+      const sign = c.blocks[z] < 0 ? -1 : 1;
+      switch (acState) {
+        case 0: {
+          // Read the next run/size symbol
+          const rs = decodeHuffman(c.acTable);
+          const s = rs & 15;
+          r = rs >> 4;
+          if (s === 0) {
+            if (r < 15) {
+              eobrun = receive(r) + (1 << r);
+              acState = 4;
+            } else {
+              r = 16;
+              acState = 1;
+            }
+          } else {
+            if (s !== 1) throw new Error("Invalid JPEG AC refinement");
+            acNextValue = receiveAndExtend(s);
+            acState = r ? 2 : 3;
+          }
+          continue;
+        }
+        case 1: // skipping r zero coefficients
+        case 2: // ... before placing a new one
+          if (c.blocks[z]) {
+            c.blocks[z] += sign * (readBit() << successive);
+          } else {
+            r--;
+            if (r === 0) acState = acState === 2 ? 3 : 0;
+          }
+          break;
+        case 3: // place the new coefficient at the next zero
+          if (c.blocks[z]) {
+            c.blocks[z] += sign * (readBit() << successive);
+          } else {
+            c.blocks[z] = acNextValue << successive;
+            acState = 0;
+          }
+          break;
+        case 4: // end-of-band run: refine remaining non-zeros only
+          if (c.blocks[z]) c.blocks[z] += sign * (readBit() << successive);
+          break;
+      }
+      k++;
+    }
+    if (acState === 4) {
+      eobrun--;
+      if (eobrun === 0) acState = 0;
+    }
+  }
+
+  let decode = decodeBaseline;
+  if (frame.progressive) {
+    if (spectralStart === 0) {
+      decode = successivePrev === 0 ? decodeDCFirst : decodeDCSuccessive;
+    } else {
+      decode = successivePrev === 0 ? decodeACFirst : decodeACSuccessive;
+    }
+  }
+
+  const single = components.length === 1;
+  const total = single
+    ? components[0].blocksPerLine * components[0].blocksPerColumn
+    : frame.mcusPerLine * frame.mcusPerColumn;
+  const interval = resetInterval || total;
+  let mcu = 0;
+
+  while (mcu < total) {
+    for (const c of components) c.pred = 0;
+    eobrun = 0;
+    acState = 0;
+    bitsCount = 0;
+
+    for (let n = 0; n < interval && mcu < total; n++, mcu++) {
+      if (single) {
+        const c = components[0];
+        const row = (mcu / c.blocksPerLine) | 0;
+        const col = mcu % c.blocksPerLine;
+        decode(c, (row * c.stride + col) * 64);
+      } else {
+        const mcuRow = (mcu / frame.mcusPerLine) | 0;
+        const mcuCol = mcu % frame.mcusPerLine;
+        for (const c of components) {
+          for (let v = 0; v < c.v; v++) {
+            for (let h = 0; h < c.h; h++) {
+              const row = mcuRow * c.v + v;
+              const col = mcuCol * c.h + h;
+              decode(c, (row * c.stride + col) * 64);
+            }
+          }
+        }
+      }
+    }
+
+    // Skip to the next marker; continue past restart markers
+    bitsCount = 0;
+    while (
+      offset < data.length - 1 &&
+      !(
+        data[offset] === 0xff &&
+        data[offset + 1] !== 0 &&
+        data[offset + 1] !== 0xff
+      )
+    ) {
+      offset++;
+    }
+    const marker = (data[offset] << 8) | data[offset + 1];
+    if (marker >= 0xffd0 && marker <= 0xffd7) offset += 2;
+    else break;
+  }
+
+  return offset;
+}
+
+// Dequantize and inverse-DCT every block into an 8-bit sample plane
+function buildComponentPlane(c) {
+  const width = c.stride * 8;
+  const height = c.rows * 8;
+  const plane = new Uint8ClampedArray(width * height);
+  const q = c.quantTable;
+  const coef = new Float32Array(64);
+  const tmp = new Float32Array(64);
+
+  for (let by = 0; by < c.rows; by++) {
+    for (let bx = 0; bx < c.stride; bx++) {
+      const off = (by * c.stride + bx) * 64;
+      for (let i = 0; i < 64; i++) coef[i] = c.blocks[off + i] * q[i];
+      // Rows: tmp[y][x] = sum_u coef[y][u] * COS[x][u]
+      for (let y = 0; y < 8; y++) {
+        for (let x = 0; x < 8; x++) {
+          let s = 0;
+          for (let u = 0; u < 8; u++) s += coef[y * 8 + u] * COS[x * 8 + u];
+          tmp[y * 8 + x] = s;
+        }
+      }
+      // Columns
+      for (let x = 0; x < 8; x++) {
+        for (let y = 0; y < 8; y++) {
+          let s = 0;
+          for (let v = 0; v < 8; v++) s += tmp[v * 8 + x] * COS[y * 8 + v];
+          plane[(by * 8 + y) * width + bx * 8 + x] = s + 128;
+        }
+      }
+    }
+  }
+  return { plane, width };
+}
+
+/**
+ * Decode a JPEG file
+ * @param {Uint8Array} data - File contents
+ * @returns {{width:number,height:number,data:Uint8ClampedArray}} RGBA pixels
+ */
+function decodeJpeg(data) {
+  if (data[0] !== 0xff || data[1] !== 0xd8) throw new Error("Not a JPEG file");
+  const quantTables = [];
+  const dcTables = [];
+  const acTables = [];
+  let frame = null;
+  let resetInterval = 0;
+  let adobeTransform = -1;
+  let offset = 2;
+
+  const readUint16 = () => {
+    const v = (data[offset] << 8) | data[offset + 1];
+    offset += 2;
+    return v;
+  };
+
+  while (offset < data.length) {
+    if (data[offset] !== 0xff) {
+      offset++;
+      continue;
+    }
+    const marker = readUint16();
+    if (marker === 0xffd9) break; // EOI
+    if (marker === 0xff01 || (marker >= 0xffd0 && marker <= 0xffd7)) continue;
+    if (marker === 0xffff) {
+      offset--; // fill byte
+      continue;
+    }
+    const length = readUint16();
+    const end = offset + length - 2;
+
+    switch (marker) {
+      case 0xffdb: // DQT
+        while (offset < end) {
+          const pq = data[offset] >> 4;
+          const tq = data[offset] & 15;
+          offset++;
+          const table = new Uint16Array(64);
+          for (let i = 0; i < 64; i++) {
+            table[ZIGZAG[i]] = pq ? readUint16() : data[offset++];
+          }
+          quantTables[tq] = table;
+        }
+        break;
+      case 0xffc4: // DHT
+        while (offset < end) {
+          const tc = data[offset] >> 4;
+          const th = data[offset] & 15;
+          const counts = data.subarray(offset + 1, offset + 17);
+          offset += 17;
+          let total = 0;
+          for (let i = 0; i < 16; i++) total += counts[i];
+          const values = data.subarray(offset, offset + total);
+          offset += total;
+          (tc === 0 ? dcTables : acTables)[th] = buildHuffmanTable(
+            counts,
+            values
+          );
+        }
+        break;
+      case 0xffdd: // DRI
+        resetInterval = readUint16();
+        break;
+      case 0xffee: // APP14 (Adobe)
+        if (
+          length >= 14 &&
+          String.fromCharCode(...data.subarray(offset, offset + 5)) === "Adobe"
+        ) {
+          adobeTransform = data[offset + 11];
+        }
+        break;
+      case 0xffc0: // SOF0 baseline
+      case 0xffc1: // SOF1 extended
+      case 0xffc2: {
+        // SOF2 progressive
+        if (data[offset] !== 8) throw new Error("Only 8-bit JPEG is supported");
+        const height = (data[offset + 1] << 8) | data[offset + 2];
+        const width = (data[offset + 3] << 8) | data[offset + 4];
+        const count = data[offset + 5];
+        const components = [];
+        for (let i = 0; i < count; i++) {
+          const p = offset + 6 + i * 3;
+          components.push({
+            id: data[p],
+            h: data[p + 1] >> 4 || 1,
+            v: data[p + 1] & 15 || 1,
+            tq: data[p + 2],
+          });
+        }
+        const maxH = Math.max(...components.map((c) => c.h));
+        const maxV = Math.max(...components.map((c) => c.v));
+        const mcusPerLine = Math.ceil(width / (8 * maxH));
+        const mcusPerColumn = Math.ceil(height / (8 * maxV));
+        for (const c of components) {
+          c.blocksPerLine = Math.ceil(Math.ceil((width * c.h) / maxH) / 8);
+          c.blocksPerColumn = Math.ceil(Math.ceil((height * c.v) / maxV) / 8);
+          c.stride = mcusPerLine * c.h;
+          c.rows = mcusPerColumn * c.v;
+          c.blocks = new Int16Array(c.stride * c.rows * 64);
+          c.pred = 0;
+        }
+        frame = {
+          width,
+          height,
+          progressive: marker === 0xffc2,
+          components,
+          maxH,
+          maxV,
+          mcusPerLine,
+          mcusPerColumn,
+        };
+        break;
+      }
+      case 0xffda: {
+        // SOS
+        if (!frame) throw new Error("JPEG scan before frame header");
+        const count = data[offset++];
+        const scanComponents = [];
+        for (let i = 0; i < count; i++) {
+          const id = data[offset++];
+          const tables = data[offset++];
+          const c = frame.components.find((fc) => fc.id === id);
+          if (!c) throw new Error("JPEG scan references unknown component");
+          c.dcTable = dcTables[tables >> 4];
+          c.acTable = acTables[tables & 15];
+          scanComponents.push(c);
+        }
+        const spectralStart = data[offset++];
+        const spectralEnd = data[offset++];
+        const approx = data[offset++];
+        offset = decodeScan(
+          data,
+          offset,
+          frame,
+          scanComponents,
+          resetInterval,
+          spectralStart,
+          spectralEnd,
+          approx >> 4,
+          approx & 15
+        );
+        continue; // offset already points at the next marker
+      }
+      default:
+        if (marker >= 0xffc3 && marker <= 0xffcf && marker !== 0xffc4) {
+          throw new Error("Unsupported JPEG encoding (arithmetic or lossless)");
+        }
+    }
+    offset = end;
+  }
+
+  if (!frame) throw new Error("JPEG has no frame");
+  const { width, height, components, maxH, maxV } = frame;
+  const planes = components.map((c) => {
+    c.quantTable = quantTables[c.tq];
+    if (!c.quantTable) throw new Error("JPEG is missing a quantization table");
+    return { ...buildComponentPlane(c), sx: c.h / maxH, sy: c.v / maxV };
+  });
+  const sample = (p, x, y) =>
+    p.plane[((y * p.sy) | 0) * p.width + ((x * p.sx) | 0)];
+
+  const out = new Uint8ClampedArray(width * height * 4);
+  const ycc = (Y, Cb, Cr) => [
+    Y + 1.402 * (Cr - 128),
+    Y - 0.344136 * (Cb - 128) - 0.714136 * (Cr - 128),
+    Y + 1.772 * (Cb - 128),
+  ];
+  // Adobe 3-component files flag RGB with transform 0; others are YCbCr
+  const transform =
+    components.length === 3
+      ? adobeTransform !== 0
+      : components.length === 4 && adobeTransform === 2;
+
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      const o = (y * width + x) * 4;
+      let r, g, b;
+      if (components.length === 1) {
+        r = g = b = sample(planes[0], x, y);
+      } else {
+        const c0 = sample(planes[0], x, y);
+        const c1 = sample(planes[1], x, y);
+        const c2 = sample(planes[2], x, y);
+        [r, g, b] = transform ? ycc(c0, c1, c2) : [c0, c1, c2];
+        if (components.length === 4) {
+          // Adobe stores inverted CMYK: channel value * K gives RGB
+          const k = sample(planes[3], x, y);
+          const clamp = (v) => (v < 0 ? 0 : v > 255 ? 255 : v);
+          r = (clamp(r) * k) / 255;
+          g = (clamp(g) * k) / 255;
+          b = (clamp(b) * k) / 255;
+        }
+      }
+      out[o] = r;
+      out[o + 1] = g;
+      out[o + 2] = b;
+      out[o + 3] = 255;
+    }
+  }
+
+  return { width, height, data: out };
+}
+
+export { decodeJpeg };
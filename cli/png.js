@@ -0,0 +1,260 @@
+/**
+ * Minimal PNG codec for the Node CLI (uses node:zlib for DEFLATE).
+ * Decodes every standard colour type, bit depth and Adam7 interlacing to
+ * 8-bit RGBA; encodes 8-bit RGBA.
+ */
+
+import { inflateSync, deflateSync } from "node:zlib";
+import { crc32 } from "../js/zip.js";
+
+const SIGNATURE = [0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a];
+
+// Channels per colour type
+const CHANNELS = { 0: 1, 2: 3, 3: 1, 4: 2, 6: 4 };
+
+// Adam7 passes: [xStart, yStart, xStep, yStep]
+const ADAM7 = [
+  [0, 0, 8, 8],
+  [4, 0, 8, 8],
+  [0, 4, 4, 8],
+  [2, 0, 4, 4],
+  [0, 2, 2, 4],
+  [1, 0, 2, 2],
+  [0, 1, 1, 2],
+];
+
+function paeth(a, b, c) {
+  const p = a + b - c;
+  const pa = Math.abs(p - a);
+  const pb = Math.abs(p - b);
+  const pc = Math.abs(p - c);
+  if (pa <= pb && pa <= pc) return a;
+  return pb <= pc ? b : c;
+}
+
+// Reverse per-row filters; returns the unfiltered rows and the next offset
+function unfilter(data, offset, rowBytes, rows, bpp) {
+  const out = new Uint8Array(rowBytes * rows);
+  for (let y = 0; y < rows; y++) {
+    const type = data[offset++];
+    const row = y * rowBytes;
+    const prev = row - rowBytes;
+    for (let x = 0; x < rowBytes; x++) {
+      const raw = data[offset++];
+      const a = x >= bpp ? out[row + x - bpp] : 0;
+      const b = y > 0 ? out[prev + x] : 0;
+      const c = x >= bpp && y > 0 ? out[prev + x - bpp] : 0;
+      let v;
+      switch (type) {
+        case 0:
+          v = raw;
+          break;
+        case 1:
+          v = raw + a;
+          break;
+        case 2:
+          v = raw + b;
+          break;
+        case 3:
+          v = raw + ((a + b) >> 1);
+          break;
+        case 4:
+          v = raw + paeth(a, b, c);
+          break;
+        default:
+          throw new Error(`Invalid PNG filter type ${type}`);
+      }
+      out[row + x] = v & 0xff;
+    }
+  }
+  return { rows: out, offset };
+}
+
+/**
+ * Decode a PNG file
+ * @param {Uint8Array} buf - File contents
+ * @returns {{width:number,height:number,data:Uint8ClampedArray}} RGBA pixels
+ */
+function decodePng(buf) {
+  for (let i = 0; i < 8; i++) {
+    if (buf[i] !== SIGNATURE[i]) throw new Error("Not a PNG file");
+  }
+  const dv = new DataView(buf.buffer, buf.byteOffset, buf.byteLength);
+  let pos = 8;
+  let header = null;
+  let palette = null;
+  let trns = null;
+  const idat = [];
+
+  while (pos < buf.length) {
+    const length = dv.getUint32(pos);
+    const type = String.fromCharCode(...buf.subarray(pos + 4, pos + 8));
+    const start = pos + 8;
+    const body = buf.subarray(start, start + length);
+    pos += 12 + length;
+    if (type === "IHDR") {
+      header = {
+        width: dv.getUint32(start),
+        height: dv.getUint32(start + 4),
+        depth: body[8],
+        colorType: body[9],
+        interlace: body[12],
+      };
+    } else if (type === "PLTE") {
+      palette = body;
+    } else if (type === "tRNS") {
+      trns = body;
+    } else if (type === "IDAT") {
+      idat.push(body);
+    } else if (type === "IEND") {
+      break;
+    }
+  }
+  if (!header) throw new Error("PNG is missing IHDR");
+
+  const { width, height, depth, colorType, interlace } = header;
+  const channels = CHANNELS[colorType];
+  if (!channels) throw new Error(`Unsupported PNG colour type ${colorType}`);
+  const bitsPerPixel = channels * depth;
+  const bpp = Math.max(1, bitsPerPixel >> 3);
+  const raw = inflateSync(Buffer.concat(idat));
+  const out = new Uint8ClampedArray(width * height * 4);
+
+  const maxSample = (1 << depth) - 1;
+  const readSample = (rows, rowStart, x, c) => {
+    if (depth === 8) return rows[rowStart + x * channels + c];
+    if (depth === 16) {
+      const i = rowStart + (x * channels + c) * 2;
+      return (rows[i] << 8) | rows[i + 1];
+    }
+    // Sub-byte depths only occur with one channel
+    const bit = x * depth;
+    const byte = rows[rowStart + (bit >> 3)];
+    return (byte >> (8 - depth - (bit & 7))) & maxSample;
+  };
+  const to8 = (v) =>
+    depth === 16 ? v >> 8 : Math.round((v * 255) / maxSample);
+  const trnsSample = (i) =>
+    trns && trns.length >= 2 * (i + 1)
+      ? (trns[2 * i] << 8) | trns[2 * i + 1]
+      : -1;
+
+  const writePixel = (rows, rowStart, x, di) => {
+    if (colorType === 3) {
+      const idx = readSample(rows, rowStart, x, 0);
+      out[di] = palette[idx * 3];
+      out[di + 1] = palette[idx * 3 + 1];
+      out[di + 2] = palette[idx * 3 + 2];
+      out[di + 3] = trns && idx < trns.length ? trns[idx] : 255;
+    } else if (colorType === 0 || colorType === 4) {
+      const g = readSample(rows, rowStart, x, 0);
+      out[di] = out[di + 1] = out[di + 2] = to8(g);
+      if (colorType === 4) out[di + 3] = to8(readSample(rows, rowStart, x, 1));
+      else out[di + 3] = g === trnsSample(0) ? 0 : 255;
+    } else {
+      const r = readSample(rows, rowStart, x, 0);
+      const g = readSample(rows, rowStart, x, 1);
+      const b = readSample(rows, rowStart, x, 2);
+      out[di] = to8(r);
+      out[di + 1] = to8(g);
+      out[di + 2] = to8(b);
+      if (colorType === 6) out[di + 3] = to8(readSample(rows, rowStart, x, 3));
+      else {
+        const transparent =
+          r === trnsSample(0) && g === trnsSample(1) && b === trnsSample(2);
+        out[di + 3] = transparent ? 0 : 255;
+      }
+    }
+  };
+
+  const passes = interlace ? ADAM7 : [[0, 0, 1, 1]];
+  let offset = 0;
+  for (const [x0, y0, dx, dy] of passes) {
+    const passW = Math.ceil((width - x0) / dx);
+    const passH = Math.ceil((height - y0) / dy);
+    if (passW <= 0 || passH <= 0) continue;
+    const rowBytes = Math.ceil((passW * bitsPerPixel) / 8);
+    const res = unfilter(raw, offset, rowBytes, passH, bpp);
+    offset = res.offset;
+    for (let py = 0; py < passH; py++) {
+      const y = y0 + py * dy;
+      for (let px = 0; px < passW; px++) {
+        const x = x0 + px * dx;
+        writePixel(res.rows, py * rowBytes, px, (y * width + x) * 4);
+      }
+    }
+  }
+
+  return { width, height, data: out };
+}
+
+function chunk(type, body) {
+  const out = new Uint8Array(12 + body.length);
+  const dv = new DataView(out.buffer);
+  dv.setUint32(0, body.length);
+  for (let i = 0; i < 4; i++) out[4 + i] = type.charCodeAt(i);
+  out.set(body, 8);
+  dv.setUint32(8 + body.length, crc32(out.subarray(4, 8 + body.length)));
+  return out;
+}
+
+/**
+ * Encode RGBA pixels as a PNG file
+ * @param {{width:number,height:number,data:Uint8ClampedArray|Uint8Array}} image - RGBA pixels
+ * @returns {Uint8Array} File contents
+ */
+function encodePng({ width, height, data }) {
+  const rowBytes = width * 4;
+  const filtered = new Uint8Array((rowBytes + 1) * height);
+  const candidate = new Uint8Array(rowBytes);
+
+  for (let y = 0; y < height; y++) {
+    const row = y * rowBytes;
+    let bestType = 0;
+    let bestSum = Infinity;
+    let best = null;
+    // Pick the filter with the smallest sum of absolute residuals per row
+    for (let type = 0; type <= 4; type++) {
+      let sum = 0;
+      for (let x = 0; x < rowBytes; x++) {
+        const v = data[row + x];
+        const a = x >= 4 ? data[row + x - 4] : 0;
+        const b = y > 0 ? data[row - rowBytes + x] : 0;
+        const c = x >= 4 && y > 0 ? data[row - rowBytes + x - 4] : 0;
+        let f;
+        if (type === 0) f = v;
+        else if (type === 1) f = v - a;
+        else if (type === 2) f = v - b;
+        else if (type === 3) f = v - ((a + b) >> 1);
+        else f = v - paeth(a, b, c);
+        f &= 0xff;
+        candidate[x] = f;
+        sum += f < 128 ? f : 256 - f;
+      }
+      if (sum < bestSum) {
+        bestSum = sum;
+        bestType = type;
+        best = candidate.slice();
+      }
+    }
+    const o = y * (rowBytes + 1);
+    filtered[o] = bestType;
+    filtered.set(best, o + 1);
+  }
+
+  const ihdr = new Uint8Array(13);
+  const dv = new DataView(ihdr.buffer);
+  dv.setUint32(0, width);
+  dv.setUint32(4, height);
+  ihdr[8] = 8; // bit depth
+  ihdr[9] = 6; // RGBA
+  const parts = [
+    Uint8Array.from(SIGNATURE),
+    chunk("IHDR", ihdr),
+    chunk("IDAT", deflateSync(filtered, { level: 9 })),
+    chunk("IEND", new Uint8Array(0)),
+  ];
+  return Buffer.concat(parts);
+}
+
+export { decodePng, encodePng };
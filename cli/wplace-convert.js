@@ -0,0 +1,633 @@
+#!/usr/bin/env node
+/**
+ * wplace-convert: headless batch converter built on the browser modules.
+ *
+ *   wplace-convert [options] <image.png|image.jpg>...
+ *
+ * Run with --help for the option list.
+ */
+
+import { readFile, writeFile, mkdir } from "node:fs/promises";
+import path from "node:path";
+import { parseArgs } from "node:util";
+
+import { decodePng, encodePng } from "./png.js";
+import { decodeJpeg } from "./jpeg.js";
+
+// The shared modules construct ImageData; Node has no DOM, so provide the
+// small subset they use before loading them.
+if (typeof globalThis.ImageData === "undefined") {
+  globalThis.ImageData = class ImageData {
+    constructor(dataOrWidth, width, height) {
+      if (typeof dataOrWidth === "number") {
+        this.width = dataOrWidth;
+        this.height = width;
+        this.data = new Uint8ClampedArray(dataOrWidth * width * 4);
+      } else {
+        this.data = dataOrWidth;
+        this.width = width;
+        this.height = height ?? dataOrWidth.length / 4 / width;
+      }
+    }
+  };
+}
+
+const { ALL_COLOR_NAMES, setSiteColorNames, setCustomColorNames } =
+  await import("../js/colors.js");
+const { buildCurve } = await import("../js/curves.js");
+const { convert, prepareMatchImage } = await import("../js/convert.js");
+const { adviseUpgrades } = await import("../js/advisor.js");
+const { zipFiles } = await import("../js/zip.js");
+const { RESIZE_FILTERS } = await import("../js/resize.js");
+const { getDitherer, listDitherers } = await import("../js/ditherRegistry.js");
+const { normalizeKernel } = await import("../js/dithering.js");
+const { ditherMaskFromImageData } = await import("../js/ditherMask.js");
+const { parseProfiles, profilePalette } = await import("../js/profiles.js");
+const { PALETTE_FORMATS, parsePaletteFile, serializePalette } = await import(
+  "../js/paletteFormats.js"
+);
+const { loadPresets } = await import("../js/presets.js");
+
+const PRESETS = await loadPresets(async (file) =>
+  JSON.parse(
+    await readFile(new URL(`../presets/${file}`, import.meta.url), "utf8")
+  )
+);
+const SITE_IDS = PRESETS.map((p) => p.id).join(", ");
+
+const DITHER_METHODS = listDitherers().map((d) => d.id);
+const DISTANCE_MODES = [
+  "lab",
+  "cie94",
+  "ciede2000",
+  "oklab",
+  "rgb",
+  "compuphase",
+];
+
+const USAGE = `Usage: wplace-convert [options] <image.png|image.jpg>...
+
+Output
+  -o, --output <file>         Output PNG (single input only)
+  -d, --out-dir <dir>         Output directory (default: next to each input)
+  -s, --segments <size>       Also write <name>_segments.zip with size×size tiles
+                              (grid = the site's grid size)
+      --advise <k>            Also print the premium colours missing from the
+                              palette that help most, with a k-colour plan
+
+Palette and dithering
+      --site <id>             Canvas site preset, one of
+                              ${SITE_IDS}
+                              (free/full/owned and --advise use its colours)
+                                                                  [wplace]
+  -p, --palette <p>           free | full | owned | comma-separated hex |
+                              palette file (.gpl, .ase, .pal, .hex, Lospec
+                              .json, JSON array or one hex per line)
+                                                                  [free]
+      --export-palette <file> Write the palette to <file>; the format comes
+                              from the extension (${Object.keys(
+                                PALETTE_FORMATS
+                              ).join(", ")})
+      --profiles <file.json>  Profiles exported from the page (for -p owned)
+      --profile <name>        Profile to use       [the file's active one]
+      --max-colors <n>        Keep only the n palette colours that fit each
+                              image best (0 = all)                [0]
+  -m, --dither <method>       ${DITHER_METHODS.join(", ")}   [floyd_steinberg]
+      --strength <0.1-1>      Dither strength                     [0.8]
+      --serpentine            Serpentine scanning for error diffusion
+      --param <key=value>     Set any parameter of the dither method (repeatable)
+      --kernel <file.json>    Kernel exported from the kernel editor
+                              (implies -m custom_kernel)
+      --list-dithers          Print every dither method and its parameters
+      --distance <mode>       ${DISTANCE_MODES.join(", ")}   [lab]
+      --exact                 Bypass the nearest-colour lookup table
+      --adaptive <0-1>        Adaptive strength: lower dithering at edges and
+                              in flat areas, with this sensitivity [off]
+      --mask <file.png>       Dither mask saved from the page (black = no
+                              dithering, white = full; scaled to each input)
+
+Adjustments
+      --brightness <f>        Factor 0.1..2                       [1]
+      --contrast <f>          Factor 0.1..2                       [1]
+      --saturation <f>        Factor 0..2 (0 = greyscale)         [1]
+      --sharpen               Apply sharpening
+      --curves <file.json>    Curves exported from the curves editor
+
+Alpha
+      --alpha-threshold <n>   Pixels below become transparent (1..255) [128]
+      --flatten <hex>         Blend partly transparent pixels over this colour
+      --flatten-output <o>    opaque | threshold: fill every pixel, or keep
+                              the alpha cut after flattening  [opaque]
+      --alpha-mode <mode>     threshold | ordered | diffuse: cut at the
+                              threshold, or dither partial transparency
+                              into placed/empty pixels     [threshold]
+      --remove-semitransparent  Make kept pixels fully opaque
+
+Resize
+      --resize <mode>         none | size | fit | scale           [none]
+      --width <px>            Target width (size/fit)
+      --height <px>           Target height (size/fit)
+      --scale <percent>       Scale percentage (scale)
+      --filter <name>         ${Object.keys(RESIZE_FILTERS).join(", ")}   [box]
+
+  -q, --quiet                 Only print errors
+  -h, --help                  Show this help
+`;
+
+const OPTIONS = {
+  output: { type: "string", short: "o" },
+  "out-dir": { type: "string", short: "d" },
+  segments: { type: "string", short: "s" },
+  site: { type: "string", default: "wplace" },
+  palette: { type: "string", short: "p", default: "free" },
+  "max-colors": { type: "string", default: "0" },
+  "export-palette": { type: "string" },
+  profiles: { type: "string" },
+  profile: { type: "string" },
+  dither: { type: "string", short: "m" },
+  strength: { type: "string" },
+  serpentine: { type: "boolean", default: false },
+  param: { type: "string", multiple: true, default: [] },
+  kernel: { type: "string" },
+  "list-dithers": { type: "boolean", default: false },
+  advise: { type: "string" },
+  distance: { type: "string", default: "lab" },
+  exact: { type: "boolean", default: false },
+  adaptive: { type: "string" },
+  mask: { type: "string" },
+  brightness: { type: "string", default: "1" },
+  contrast: { type: "string", default: "1" },
+  saturation: { type: "string", default: "1" },
+  sharpen: { type: "boolean", default: false },
+  curves: { type: "string" },
+  "alpha-threshold": { type: "string", default: "128" },
+  "alpha-mode": { type: "string", default: "threshold" },
+  flatten: { type: "string" },
+  "flatten-output": { type: "string", default: "opaque" },
+  "remove-semitransparent": { type: "boolean", default: false },
+  resize: { type: "string", default: "none" },
+  width: { type: "string" },
+  height: { type: "string" },
+  scale: { type: "string", default: "100" },
+  filter: { type: "string", default: "box" },
+  quiet: { type: "boolean", short: "q", default: false },
+  help: { type: "boolean", short: "h", default: false },
+};
+
+class UsageError extends Error {}
+
+function parseNumber(value, name, min, max) {
+  const n = Number(value);
+  if (!Number.isFinite(n) || n < min || n > max) {
+    throw new UsageError(`--${name} must be a number in ${min}..${max}`);
+  }
+  return n;
+}
+
+function parseChoice(value, name, choices) {
+  if (!choices.includes(value)) {
+    throw new UsageError(`--${name} must be one of: ${choices.join(", ")}`);
+  }
+  return value;
+}
+
+function normalizeHex(value) {
+  const m = /^#?([0-9a-f]{6})$/i.exec(value.trim());
+  if (!m) throw new UsageError(`Invalid colour "${value}"`);
+  return `#${m[1].toLowerCase()}`;
+}
+
+function findSite(id) {
+  const site = PRESETS.find((p) => p.id === id);
+  if (!site) {
+    throw new UsageError(`Unknown site "${id}" (have: ${SITE_IDS})`);
+  }
+  setSiteColorNames(site.names);
+  return site;
+}
+
+async function loadPalette(spec, site) {
+  if (spec === "free") return [...site.free];
+  if (spec === "full") return [...site.free, ...site.paid];
+  let palette;
+  if (/^#?[0-9a-f]{6}(,#?[0-9a-f]{6})*$/i.test(spec)) {
+    palette = [...new Set(spec.split(",").map(normalizeHex))];
+  } else {
+    let file;
+    try {
+      file = parsePaletteFile(path.basename(spec), await readFile(spec));
+    } catch (err) {
+      throw new UsageError(`Invalid palette file ${spec}: ${err.message}`);
+    }
+    // Names from the file label the colours in the stats and advice
+    const names = {};
+    for (const { hex, name } of file.colors) if (name) names[hex] = name;
+    setCustomColorNames(names);
+    palette = file.colors.map(({ hex }) => hex);
+  }
+  if (!palette.length) throw new UsageError("Palette is empty");
+  if (palette.length > 255)
+    throw new UsageError("Palette has more than 255 colours");
+  return palette;
+}
+
+// Free colours plus the owned ones of a profile from the page's export
+async function loadOwnedPalette(file, name, site) {
+  if (!site.paid.length) {
+    throw new UsageError(`-p owned: ${site.name} has no paid colours`);
+  }
+  if (!file) throw new UsageError("-p owned needs --profiles <file.json>");
+  let state;
+  try {
+    state = parseProfiles(JSON.parse(await readFile(file, "utf8")));
+  } catch (err) {
+    throw new UsageError(`Invalid profiles file ${file}: ${err.message}`);
+  }
+  const profile = name ?? state.active;
+  if (!state.profiles[profile]) {
+    const names = Object.keys(state.profiles).join(", ");
+    throw new UsageError(`No profile "${profile}" in ${file} (have: ${names})`);
+  }
+  return profilePalette(state.profiles[profile], site.free, site.paid);
+}
+
+// Palette with its colour names, in the format given by the file extension
+async function exportPalette(file, palette) {
+  const format = path.extname(file).slice(1).toLowerCase();
+  if (!PALETTE_FORMATS[format]) {
+    throw new UsageError(
+      `--export-palette: unknown format ".${format}" (use ${Object.keys(
+        PALETTE_FORMATS
+      ).join(", ")})`
+    );
+  }
+  const contents = serializePalette(format, {
+    name: path.basename(file, path.extname(file)),
+    colors: palette.map((hex) => ({ hex, name: ALL_COLOR_NAMES[hex] })),
+  });
+  await writeFile(file, contents);
+}
+
+// Accepts the curves editor export: {interpolation, points} or {luts}
+async function loadCurves(file) {
+  const json = JSON.parse(await readFile(file, "utf8"));
+  const interpolation = json.interpolation === "linear" ? "linear" : "smooth";
+  const luts = {};
+  for (const ch of ["rgb", "r", "g", "b"]) {
+    const pts = json.points?.[ch];
+    const lut = json.luts?.[ch];
+    if (Array.isArray(pts) && pts.length >= 2) {
+      const clean = pts
+        .map((p) => ({
+          x: Math.max(0, Math.min(255, Math.round(p.x))),
+          y: Math.max(0, Math.min(255, Math.round(p.y))),
+        }))
+        .sort((a, b) => a.x - b.x);
+      luts[ch] = buildCurve(clean, interpolation);
+    } else if (Array.isArray(lut) && lut.length === 256) {
+      luts[ch] = Uint8Array.from(lut, (v) =>
+        Math.max(0, Math.min(255, Math.round(v)))
+      );
+    }
+  }
+  if (!Object.keys(luts).length) {
+    throw new UsageError(`${file} has no curve points or LUTs`);
+  }
+  return luts;
+}
+
+// Accepts the kernel editor export: {weights: [{dx, dy, w}], denom?}
+async function loadKernel(file) {
+  const json = JSON.parse(await readFile(file, "utf8"));
+  try {
+    return normalizeKernel(json);
+  } catch (err) {
+    throw new UsageError(`${file}: ${err.message}`);
+  }
+}
+
+async function buildDitherParams(id, values) {
+  const ditherer = getDitherer(id);
+  const params = {};
+  for (const pair of values.param) {
+    const eq = pair.indexOf("=");
+    if (eq < 1)
+      throw new UsageError(`--param expects key=value, got "${pair}"`);
+    const key = pair.slice(0, eq);
+    const param = ditherer.params.find((p) => p.key === key);
+    if (!param) {
+      throw new UsageError(`Dither method "${id}" has no parameter "${key}"`);
+    }
+    if (param.type === "kernel") {
+      throw new UsageError(`Set "${key}" with --kernel <file.json>`);
+    }
+    params[key] = pair.slice(eq + 1);
+  }
+  if (values.kernel) {
+    const param = ditherer.params.find((p) => p.type === "kernel");
+    if (!param) {
+      throw new UsageError(`Dither method "${id}" does not take --kernel`);
+    }
+    params[param.key] = await loadKernel(values.kernel);
+  }
+  if (values.strength != null) {
+    params.strength = parseNumber(values.strength, "strength", 0.1, 1);
+  }
+  if (values.serpentine) params.serpentine = true;
+  return params;
+}
+
+function describeDitherers() {
+  return listDitherers()
+    .map((d) => {
+      const params = d.params.map((p) => {
+        let range = "";
+        if (p.type === "checkbox") range = "true|false";
+        else if (p.type === "select")
+          range = p.options.map((o) => o.value).join("|");
+        else if (p.type === "kernel")
+          return `    ${p.key} (set with --kernel <file.json>) - ${p.label}`;
+        else range = `${p.min ?? ""}..${p.max ?? ""}`;
+        return `    ${p.key} (${range}, default ${p.default}) - ${p.label}`;
+      });
+      return [`${d.id}: ${d.name} [${d.category}]`, ...params].join("\n");
+    })
+    .join("\n");
+}
+
+async function buildOptions(values, site) {
+  const dithering = parseChoice(
+    values.dither ?? (values.kernel ? "custom_kernel" : "floyd_steinberg"),
+    "dither",
+    DITHER_METHODS
+  );
+  const resizeMode = parseChoice(values.resize, "resize", [
+    "none",
+    "size",
+    "fit",
+    "scale",
+  ]);
+  const resize = {
+    mode: resizeMode,
+    width: values.width ? parseNumber(values.width, "width", 1, 16384) : 0,
+    height: values.height ? parseNumber(values.height, "height", 1, 16384) : 0,
+    lockAspect: !(values.width && values.height),
+    scale: parseNumber(values.scale, "scale", 1, 1000),
+    filter: parseChoice(values.filter, "filter", Object.keys(RESIZE_FILTERS)),
+  };
+  if (
+    (resizeMode === "size" || resizeMode === "fit") &&
+    !resize.width &&
+    !resize.height
+  ) {
+    throw new UsageError(
+      `--resize ${resizeMode} needs --width and/or --height`
+    );
+  }
+
+  return {
+    resize,
+    curves: values.curves ? await loadCurves(values.curves) : null,
+    adjustments: {
+      brightness: parseNumber(values.brightness, "brightness", 0.1, 2),
+      contrast: parseNumber(values.contrast, "contrast", 0.1, 2),
+      saturation: parseNumber(values.saturation, "saturation", 0, 2),
+      useSharpening: values.sharpen,
+    },
+    flatten: values.flatten
+      ? {
+          color: normalizeHex(values.flatten),
+          output: parseChoice(values["flatten-output"], "flatten-output", [
+            "opaque",
+            "threshold",
+          ]),
+        }
+      : null,
+    palette:
+      values.palette === "owned"
+        ? await loadOwnedPalette(values.profiles, values.profile, site)
+        : await loadPalette(values.palette, site),
+    maxColors: Math.floor(
+      parseNumber(values["max-colors"], "max-colors", 0, 255)
+    ),
+    dithering,
+    ditherParams: await buildDitherParams(dithering, values),
+    adaptiveStrength: values.adaptive
+      ? parseNumber(values.adaptive, "adaptive", 0, 1)
+      : 0,
+    distanceMode: parseChoice(values.distance, "distance", DISTANCE_MODES),
+    exactMatch: values.exact,
+    alphaThreshold: parseNumber(
+      values["alpha-threshold"],
+      "alpha-threshold",
+      1,
+      255
+    ),
+    alphaMode: parseChoice(values["alpha-mode"], "alpha-mode", [
+      "threshold",
+      "ordered",
+      "diffuse",
+    ]),
+    removeSemitransparent: values["remove-semitransparent"],
+  };
+}
+
+async function decodeImage(file) {
+  const buf = new Uint8Array(await readFile(file));
+  let decoded;
+  if (buf[0] === 0x89 && buf[1] === 0x50) decoded = decodePng(buf);
+  else if (buf[0] === 0xff && buf[1] === 0xd8) decoded = decodeJpeg(buf);
+  else throw new Error("unsupported format (expected PNG or JPEG)");
+  return new ImageData(decoded.data, decoded.width, decoded.height);
+}
+
+// Same rules as the page's "Download segments": 1-based names, skip tiles
+// with no pixel at or above the alpha threshold
+async function buildSegmentsZip(imageData, size, alphaThreshold) {
+  const { width, height, data } = imageData;
+  const files = [];
+  for (let gy = 0, row = 0; gy < height; gy += size, row++) {
+    for (let gx = 0, col = 0; gx < width; gx += size, col++) {
+      const w = Math.min(size, width - gx);
+      const h = Math.min(size, height - gy);
+      const tile = new Uint8ClampedArray(w * h * 4);
+      let hasPixel = false;
+      for (let y = 0; y < h; y++) {
+        const si = ((gy + y) * width + gx) * 4;
+        tile.set(data.subarray(si, si + w * 4), y * w * 4);
+      }
+      for (let i = 3; i < tile.length && !hasPixel; i += 4) {
+        if (tile[i] >= alphaThreshold) hasPixel = true;
+      }
+      if (!hasPixel) continue;
+      const png = encodePng({ width: w, height: h, data: tile });
+      files.push({
+        name: `segment_${row + 1}_${col + 1}.png`,
+        data: png.buffer.slice(png.byteOffset, png.byteOffset + png.byteLength),
+      });
+    }
+  }
+  if (!files.length) return null;
+  const blob = await zipFiles(files);
+  return {
+    count: files.length,
+    bytes: new Uint8Array(await blob.arrayBuffer()),
+  };
+}
+
+// Plan and ranking as printed by --advise
+function formatAdvice(input, source, options, steps, candidates) {
+  const report = adviseUpgrades(
+    prepareMatchImage(source, options),
+    options.palette,
+    candidates,
+    {
+      distanceMode: options.distanceMode,
+      alphaThreshold: options.alphaThreshold,
+      steps,
+    }
+  );
+  if (!report.ranking.length) {
+    return `${input}: every premium colour is already in the palette`;
+  }
+  const lines = [
+    `${input}: mean ΔE ${report.meanDeltaE.toFixed(2)} over ${
+      report.pixels
+    } pixels`,
+    "  Buy next:",
+    ...report.plan.map(
+      (s, i) =>
+        `    ${i + 1}. ${s.hex} ${s.name}  −${s.gain.toFixed(
+          2
+        )} → ${s.meanDeltaE.toFixed(2)}`
+    ),
+    "  On its own:",
+    ...report.ranking.map(
+      (r) =>
+        `    ${r.hex} ${r.name}  −${r.gain.toFixed(2)} (${r.pixels} pixels)`
+    ),
+  ];
+  return lines.join("\n");
+}
+
+function outputPathFor(input, values, suffix) {
+  const base = path.basename(input, path.extname(input));
+  const dir = values["out-dir"] ?? path.dirname(input);
+  return path.join(dir, `${base}${suffix}`);
+}
+
+async function main(argv) {
+  let parsed;
+  try {
+    parsed = parseArgs({
+      args: argv,
+      options: OPTIONS,
+      allowPositionals: true,
+    });
+  } catch (err) {
+    throw new UsageError(err.message);
+  }
+  const { values, positionals: inputs } = parsed;
+  if (values.help) {
+    process.stdout.write(USAGE);
+    return 0;
+  }
+  if (values["list-dithers"]) {
+    process.stdout.write(`${describeDitherers()}\n`);
+    return 0;
+  }
+  const site = findSite(values.site);
+  if (values["export-palette"] && !inputs.length) {
+    const { palette } = await buildOptions(values, site);
+    await exportPalette(values["export-palette"], palette);
+    return 0;
+  }
+  if (!inputs.length) throw new UsageError("No input files");
+  if (values.output && inputs.length > 1) {
+    throw new UsageError(
+      "--output only works with a single input; use --out-dir"
+    );
+  }
+  const segmentSize =
+    values.segments === "grid"
+      ? site.gridSize
+      : values.segments
+      ? parseNumber(values.segments, "segments", 1, 16384)
+      : 0;
+  const options = await buildOptions(values, site);
+  if (values["export-palette"]) {
+    await exportPalette(values["export-palette"], options.palette);
+  }
+  const adviseSteps = values.advise
+    ? Math.floor(parseNumber(values.advise, "advise", 1, 32))
+    : 0;
+  if (adviseSteps && !site.paid.length) {
+    throw new UsageError(`--advise: ${site.name} has no paid colours`);
+  }
+  let maskImage = null;
+  if (values.mask) {
+    try {
+      maskImage = await decodeImage(values.mask);
+    } catch (err) {
+      throw new UsageError(`Cannot read mask "${values.mask}": ${err.message}`);
+    }
+  }
+  if (values["out-dir"]) await mkdir(values["out-dir"], { recursive: true });
+
+  const log = values.quiet
+    ? () => {}
+    : (msg) => process.stdout.write(`${msg}\n`);
+  let failed = 0;
+  for (const input of inputs) {
+    try {
+      const source = await decodeImage(input);
+      const ditherMask = maskImage
+        ? ditherMaskFromImageData(maskImage, source.width, source.height)
+        : null;
+      const { imageData: result, palette } = convert(source, {
+        ...options,
+        ditherMask,
+      });
+      const outFile =
+        values.output ?? outputPathFor(input, values, "_pixelated.png");
+      await writeFile(outFile, encodePng(result));
+      log(`${input} -> ${outFile} (${result.width}×${result.height})`);
+      if (options.maxColors) log(`${input}: colours ${palette.join(",")}`);
+
+      if (adviseSteps) {
+        log(formatAdvice(input, source, options, adviseSteps, site.paid));
+      }
+
+      if (segmentSize) {
+        const zip = await buildSegmentsZip(
+          result,
+          segmentSize,
+          options.alphaThreshold
+        );
+        if (!zip) {
+          log(`${input}: no non-empty segments`);
+        } else {
+          const zipFile = outputPathFor(
+            values.output ?? input,
+            { "out-dir": values["out-dir"] ?? path.dirname(outFile) },
+            "_segments.zip"
+          );
+          await writeFile(zipFile, zip.bytes);
+          log(`${input} -> ${zipFile} (${zip.count} segment(s))`);
+        }
+      }
+    } catch (err) {
+      failed++;
+      process.stderr.write(`${input}: ${err.message}\n`);
+    }
+  }
+  return failed ? 1 : 0;
+}
+
+try {
+  process.exitCode = await main(process.argv.slice(2));
+} catch (err) {
+  process.stderr.write(`wplace-convert: ${err.message}\n`);
+  if (err instanceof UsageError) process.stderr.write("Try --help\n");
+  process.exitCode = 2;
+}
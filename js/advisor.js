@@ -0,0 +1,149 @@
+/**
+ * Premium colour advisor: how much each colour missing from the palette
+ * would improve an image, and a greedy order to unlock them in.
+ * Quality is the mean ΔE (under the chosen distance mode) from each pixel to
+ * its nearest palette colour, i.e. before dithering hides the error.
+ * Distinct colours are merged into small cells first, so photos with a
+ * hundred thousand colours cost a few thousand distance rows.
+ */
+
+import { ALL_COLOR_NAMES, getPaletteAsRgb } from "./colors.js";
+import { getColorStatistics } from "./processor.js";
+import {
+  colorDistance,
+  createColorComparer,
+  findClosestColorInPalette,
+  hexToRgb,
+} from "./utils.js";
+
+const CELL_BITS = 5; // 32 levels per channel, colours averaged per cell
+
+// Distinct colours merged into cells: mean colour and pixel count per cell
+function groupColors(stats) {
+  const shift = 8 - CELL_BITS;
+  const cells = new Map(); // key -> [r, g, b, count] sums
+  for (const { hex, count } of stats) {
+    const [r, g, b] = hexToRgb(hex);
+    const key =
+      ((r >> shift) << (2 * CELL_BITS)) |
+      ((g >> shift) << CELL_BITS) |
+      (b >> shift);
+    let cell = cells.get(key);
+    if (!cell) cells.set(key, (cell = [0, 0, 0, 0]));
+    cell[0] += r * count;
+    cell[1] += g * count;
+    cell[2] += b * count;
+    cell[3] += count;
+  }
+  const colors = [];
+  const counts = [];
+  for (const [r, g, b, n] of cells.values()) {
+    colors.push([r / n, g / n, b / n]);
+    counts.push(n);
+  }
+  return { colors, counts };
+}
+
+/**
+ * Rank the candidate colours for an image
+ * @param {ImageData} imageData - Image as it is matched to the palette (see prepareMatchImage)
+ * @param {string[]} paletteHex - Colours already available
+ * @param {string[]} candidatesHex - Colours that could be unlocked (ones in the palette are skipped)
+ * @param {Object} [options]
+ * @param {string} [options.distanceMode="lab"] - Distance mode, see colorDistance
+ * @param {number} [options.alphaThreshold=128] - Pixels below are ignored
+ * @param {number} [options.steps=5] - Length of the buying plan
+ * @param {Object} [options.colorNames] - Hex → name map
+ * @returns {{pixels:number, meanDeltaE:number,
+ *   ranking:{hex:string,name:string,gain:number,pixels:number}[],
+ *   plan:{hex:string,name:string,gain:number,meanDeltaE:number}[]}}
+ *   Current mean ΔE; per candidate the mean ΔE it removes on its own and the
+ *   pixels it would take over (best first); the plan lists the next best
+ *   colour given the ones before it, with the mean ΔE after buying it
+ */
+function adviseUpgrades(imageData, paletteHex, candidatesHex, options = {}) {
+  const {
+    distanceMode = "lab",
+    alphaThreshold = 128,
+    steps = 5,
+    colorNames = ALL_COLOR_NAMES,
+  } = options;
+  const owned = new Set(paletteHex.map((hex) => hex.toLowerCase()));
+  const candidates = candidatesHex
+    .map((hex) => hex.toLowerCase())
+    .filter((hex) => !owned.has(hex));
+  const palette = getPaletteAsRgb(paletteHex);
+  const nameOf = (hex) => colorNames?.[hex] || "Unknown";
+
+  const { colors, counts } = groupColors(
+    getColorStatistics(imageData, null, alphaThreshold)
+  );
+  const total = counts.reduce((sum, n) => sum + n, 0);
+  if (!total) return { pixels: 0, meanDeltaE: 0, ranking: [], plan: [] };
+
+  // ΔE per colour cell (the distance modes return squared values)
+  const error = colors.map((rgb) => {
+    const nearest = findClosestColorInPalette(rgb, palette, distanceMode);
+    return Math.sqrt(Math.max(0, colorDistance(rgb, nearest, distanceMode)));
+  });
+  const dist = candidates.map((hex) => {
+    const compare = createColorComparer(hexToRgb(hex), distanceMode);
+    return Float32Array.from(colors, (rgb) =>
+      Math.sqrt(Math.max(0, compare(rgb)))
+    );
+  });
+
+  // Summed ΔE a candidate removes, and the pixels that would switch to it
+  const gainOf = (c) => {
+    let gain = 0;
+    let pixels = 0;
+    for (let u = 0; u < colors.length; u++) {
+      const d = error[u] - dist[c][u];
+      if (d > 0) {
+        gain += d * counts[u];
+        pixels += counts[u];
+      }
+    }
+    return { gain, pixels };
+  };
+
+  let current = error.reduce((sum, e, u) => sum + e * counts[u], 0);
+  const meanDeltaE = current / total;
+  const ranking = candidates
+    .map((hex, c) => {
+      const { gain, pixels } = gainOf(c);
+      return { hex, name: nameOf(hex), gain: gain / total, pixels };
+    })
+    .sort((a, b) => b.gain - a.gain);
+
+  const plan = [];
+  const left = new Set(candidates.keys());
+  while (plan.length < steps && left.size) {
+    let best = -1;
+    let bestGain = 0;
+    for (const c of left) {
+      const { gain } = gainOf(c);
+      if (gain > bestGain) {
+        best = c;
+        bestGain = gain;
+      }
+    }
+    if (best < 0) break; // nothing left that helps
+    left.delete(best);
+    for (let u = 0; u < colors.length; u++) {
+      error[u] = Math.min(error[u], dist[best][u]);
+    }
+    current -= bestGain;
+    const hex = candidates[best];
+    plan.push({
+      hex,
+      name: nameOf(hex),
+      gain: bestGain / total,
+      meanDeltaE: current / total,
+    });
+  }
+
+  return { pixels: total, meanDeltaE, ranking, plan };
+}
+
+export { adviseUpgrades };
@@ -148,7 +148,28 @@ const EXTRA_COLOR_NAMES = {
 
 // Full palette (free + extra)
 const FULL_PALETTE_COLORS = [...FREE_PALETTE_COLORS, ...EXTRA_PALETTE_COLORS];
-const ALL_COLOR_NAMES = { ...FREE_COLOR_NAMES, ...EXTRA_COLOR_NAMES };
+const BUILT_IN_COLOR_NAMES = { ...FREE_COLOR_NAMES, ...EXTRA_COLOR_NAMES };
+
+// Names in use: the chosen site's (Wplace's by default) over the custom
+// palette's, see setSiteColorNames and setCustomColorNames
+const ALL_COLOR_NAMES = { ...BUILT_IN_COLOR_NAMES };
+let siteNames = BUILT_IN_COLOR_NAMES;
+let customNames = {};
+
+// Lowercase keys, without empty names
+function cleanNames(names) {
+  const clean = {};
+  for (const [hex, name] of Object.entries(names)) {
+    if (name) clean[hex.toLowerCase()] = name;
+  }
+  return clean;
+}
+
+// Rebuild in place, so every holder of ALL_COLOR_NAMES sees the change
+function updateColorNames() {
+  for (const hex of Object.keys(ALL_COLOR_NAMES)) delete ALL_COLOR_NAMES[hex];
+  Object.assign(ALL_COLOR_NAMES, customNames, siteNames);
+}
 
 /**
  * Get palette as RGB arrays
@@ -168,6 +189,25 @@ function getColorName(hex) {
   return ALL_COLOR_NAMES[hex] || "Unknown";
 }
 
+/**
+ * Use a site's colour names, replacing the previous site's
+ * @param {Object} names - Map of hex colors to names
+ */
+function setSiteColorNames(names) {
+  siteNames = cleanNames(names);
+  updateColorNames();
+}
+
+/**
+ * Name the custom palette's colours (imported or edited), replacing the
+ * names of the previous custom palette; the site's names are kept
+ * @param {Object} names - Map of hex colors to names
+ */
+function setCustomColorNames(names) {
+  customNames = cleanNames(names);
+  updateColorNames();
+}
+
 /**
  * Create a custom palette from selected colors
  * @param {string[]} selectedColors - Array of selected hex colors
@@ -182,8 +222,11 @@ export {
   EXTRA_PALETTE_COLORS,
   FULL_PALETTE_COLORS,
   FREE_COLOR_NAMES,
+  BUILT_IN_COLOR_NAMES,
   ALL_COLOR_NAMES,
   getPaletteAsRgb,
   getColorName,
+  setSiteColorNames,
+  setCustomColorNames,
   createCustomPalette,
 };
@@ -0,0 +1,305 @@
+/**
+ * Image conversion API: resize → curves LUT → adjustments → flatten onto a
+ * background → quantize/dither → alpha handling. DOM-free, so it runs in the
+ * page, in a worker and in Node (given an ImageData implementation).
+ *
+ * Usage:
+ *   import { convert } from "./convert.js";
+ *   const { imageData, indices, palette, stats } = convert(source, {
+ *     palette: "free",
+ *     dithering: "floyd_steinberg",
+ *   });
+ */
+
+import {
+  FREE_PALETTE_COLORS,
+  FULL_PALETTE_COLORS,
+  ALL_COLOR_NAMES,
+  getPaletteAsRgb,
+} from "./colors.js";
+import { processImage, applyCurvesLUT } from "./imageProcessing.js";
+import { hexToRgb } from "./utils.js";
+import { resizeImageData, computeTargetSize } from "./resize.js";
+import { runDitherer } from "./ditherRegistry.js";
+import { selectPaletteSubset } from "./paletteSubset.js";
+import { ditherAlpha } from "./dithering.js";
+import {
+  adaptiveDitherMask,
+  isDitherMaskActive,
+  resizeDitherMask,
+} from "./ditherMask.js";
+import {
+  imageDataToBuffers,
+  flattenOntoBackground,
+  indicesToImageData,
+  getIndexStatistics,
+} from "./processor.js";
+
+// Defaults match the initial state of the page controls
+const DEFAULT_OPTIONS = {
+  resize: { mode: "none", filter: "box" },
+  curves: null,
+  adjustments: {
+    brightness: 1,
+    contrast: 1,
+    saturation: 1,
+    useSharpening: false,
+  },
+  flatten: null,
+  palette: "free",
+  maxColors: 0,
+  dithering: "none",
+  ditherParams: {},
+  ditherMask: null,
+  adaptiveStrength: 0,
+  distanceMode: "lab",
+  exactMatch: false,
+  alphaThreshold: 128,
+  alphaMode: "threshold",
+  removeSemitransparent: false,
+  colorNames: ALL_COLOR_NAMES,
+};
+
+// Share of overall progress given to each stage
+const STAGES = {
+  resize: [0, 0.1],
+  adjust: [0.1, 0.2],
+  dither: [0.2, 0.95],
+  alpha: [0.95, 1],
+};
+
+let resizeCache = null; // {src, width, height, filter, imageData}
+
+function getResizedSource(source, resize) {
+  const { width, height } = computeTargetSize(
+    source.width,
+    source.height,
+    resize
+  );
+  const filter = resize?.filter || "box";
+  if (
+    resizeCache &&
+    resizeCache.src === source &&
+    resizeCache.width === width &&
+    resizeCache.height === height &&
+    resizeCache.filter === filter
+  ) {
+    return resizeCache.imageData;
+  }
+  const imageData = resizeImageData(source, width, height, filter);
+  resizeCache = { src: source, width, height, filter, imageData };
+  return imageData;
+}
+
+/**
+ * Resolve a palette option to hex strings
+ * @param {"free"|"full"|string[]} palette - Named palette or hex strings
+ * @returns {string[]} Palette as hex strings
+ */
+function resolvePalette(palette) {
+  if (palette === "free") return FREE_PALETTE_COLORS;
+  if (palette === "full") return FULL_PALETTE_COLORS;
+  if (!Array.isArray(palette) || !palette.length) {
+    throw new Error('Palette must be "free", "full" or a list of hex colours');
+  }
+  if (palette.length > 255) {
+    throw new Error("Palette can have at most 255 colours");
+  }
+  return palette;
+}
+
+/**
+ * The image as it is matched to the palette: resized, with curves and
+ * adjustments applied (flattening happens later, on the working buffer)
+ * @param {ImageData|{width:number,height:number,data:Uint8ClampedArray}} source - Source image (not modified)
+ * @param {Object} [options] - Conversion options, see convert (resize, curves, adjustments)
+ * @param {(stage:string, value:number)=>void} [report] - Stage progress
+ * @returns {ImageData} New image
+ */
+function prepareImage(source, options = {}, report = () => {}) {
+  const resize = options.resize ?? DEFAULT_OPTIONS.resize;
+  const adjustments = {
+    ...DEFAULT_OPTIONS.adjustments,
+    ...options.adjustments,
+  };
+  report("resize", 0);
+  const resized = getResizedSource(source, resize);
+  const width = resized.width;
+  const height = resized.height;
+
+  report("adjust", 0);
+  let working = new ImageData(
+    new Uint8ClampedArray(resized.data),
+    width,
+    height
+  );
+  // Apply LUT before other image adjustments
+  if (options.curves) {
+    working = applyCurvesLUT(working, options.curves);
+  }
+  return processImage(working, width, height, adjustments);
+}
+
+function applyFlatten(pixels, { color, output = "opaque" }) {
+  if (!/^#?[0-9a-f]{6}$/i.test(color ?? "")) {
+    throw new Error("Flatten colour must be a hex colour like #ffffff");
+  }
+  flattenOntoBackground(pixels, hexToRgb(color), output === "opaque");
+}
+
+/**
+ * The colours the palette is actually matched against: prepareImage plus
+ * flattening (see options.flatten), for analyses such as the colour advisor.
+ * Alpha dithering is left out; it only decides which pixels are kept.
+ * @param {ImageData|{width:number,height:number,data:Uint8ClampedArray}} source - Source image (not modified)
+ * @param {Object} [options] - Conversion options, see convert
+ * @returns {ImageData} New image
+ */
+function prepareMatchImage(source, options = {}) {
+  const working = prepareImage(source, options);
+  if (!options.flatten) return working;
+  const pixels = imageDataToBuffers(working);
+  applyFlatten(pixels, options.flatten);
+  const { rgb, alpha } = pixels;
+  const data = working.data;
+  for (let i = 0; i < alpha.length; i++) {
+    data[i * 4] = rgb[i * 3];
+    data[i * 4 + 1] = rgb[i * 3 + 1];
+    data[i * 4 + 2] = rgb[i * 3 + 2];
+    data[i * 4 + 3] = alpha[i];
+  }
+  return working;
+}
+
+/**
+ * Convert an image to a palette
+ * @param {ImageData|{width:number,height:number,data:Uint8ClampedArray}} source - Source image (not modified)
+ * @param {Object} [options] - Conversion options; omitted fields use the page defaults
+ * @param {Object} [options.resize] - Resize config, see computeTargetSize (plus filter)
+ * @param {{r?:Uint8Array,g?:Uint8Array,b?:Uint8Array,rgb?:Uint8Array}|null} [options.curves] - LUTs, null to skip
+ * @param {Object} [options.adjustments] - processImage config (factors, 1 = unchanged)
+ * @param {{color:string, output?:"opaque"|"threshold"}|null} [options.flatten] - Blend
+ *   partly transparent pixels over this hex colour (linear light) before quantizing;
+ *   output "opaque" (default) fills every pixel, "threshold" keeps the alpha cut
+ *   (pixels it keeps become opaque, their colour already shows the background)
+ * @param {"free"|"full"|string[]} [options.palette="free"] - Named palette or hex strings
+ * @param {number} [options.maxColors=0] - Keep only the palette colours that fit this
+ *   image best, see paletteSubset.js; 0 = all
+ * @param {string} [options.dithering="none"] - Dither method id, see ditherRegistry.js
+ * @param {Object} [options.ditherParams] - Values for the method's parameter schema
+ *   (e.g. {strength, serpentine}); missing ones use the schema defaults
+ * @param {{width:number,height:number,data:Uint8Array}|null} [options.ditherMask] - Per-pixel
+ *   dither amount over the source (0 = none, 255 = full), see ditherMask.js
+ * @param {number} [options.adaptiveStrength=0] - Sensitivity 0..1 of the per-pixel
+ *   strength taken from edges and flat areas; 0 = off
+ * @param {string} [options.distanceMode="lab"] - Palette matching mode
+ * @param {boolean} [options.exactMatch=false] - Bypass the nearest-colour lookup table
+ * @param {number} [options.alphaThreshold=128] - Pixels below this become transparent
+ *   (in the dithered alpha modes, the cut-off the pattern is centred on)
+ * @param {"threshold"|"ordered"|"diffuse"} [options.alphaMode="threshold"] - Hard cut,
+ *   or dither partial coverage into kept/dropped pixels (kept ones are opaque)
+ * @param {boolean} [options.removeSemitransparent=false] - Force kept pixels fully opaque
+ * @param {Object} [options.colorNames] - Hex → name map used for stats
+ * @param {(stage:string, value:number)=>void} [onProgress] - Overall progress 0..1
+ * @returns {{imageData:ImageData, indices:Uint8Array, palette:string[], stats:{name:string,hex:string,index:number,count:number}[]}}
+ *   Quantized image, palette index per pixel (255 = transparent), the palette used
+ *   (the chosen subset under a colour budget) and
+ *   per-colour pixel counts (most used first)
+ */
+function convert(source, options = {}, onProgress = null) {
+  const opts = {
+    ...DEFAULT_OPTIONS,
+    ...options,
+    adjustments: { ...DEFAULT_OPTIONS.adjustments, ...options.adjustments },
+  };
+  const report = (stage, p) => {
+    if (!onProgress) return;
+    const [from, to] = STAGES[stage];
+    onProgress(stage, from + (to - from) * p);
+  };
+
+  const working = prepareImage(source, opts, report);
+  const { width, height } = working;
+
+  let palette = resolvePalette(opts.palette);
+  let paletteRgb = getPaletteAsRgb(palette);
+  const pixels = imageDataToBuffers(working);
+
+  const { distanceMode, exactMatch, alphaThreshold, removeSemitransparent } =
+    opts;
+  if (opts.flatten) applyFlatten(pixels, opts.flatten);
+  // Dithered coverage: dropped pixels get alpha 0, so the ditherer skips
+  // them like any pixel below the threshold
+  if (opts.alphaMode !== "threshold") {
+    pixels.alpha = ditherAlpha(
+      pixels.alpha,
+      width,
+      height,
+      opts.alphaMode,
+      alphaThreshold
+    );
+  }
+
+  if (opts.maxColors > 0 && opts.maxColors < palette.length) {
+    const keep = selectPaletteSubset(
+      pixels,
+      paletteRgb,
+      opts.maxColors,
+      distanceMode,
+      alphaThreshold
+    );
+    palette = keep.map((i) => palette[i]);
+    paletteRgb = keep.map((i) => paletteRgb[i]);
+  }
+
+  let mask = isDitherMaskActive(opts.ditherMask)
+    ? resizeDitherMask(opts.ditherMask, width, height)
+    : null;
+  // Every ditherer scales its amplitude by the mask value (0..255), ordered
+  // and Yliluoma ones included, so adaptive strength works for all of them
+  const sensitivity = Math.min(1, Math.max(0, opts.adaptiveStrength || 0));
+  if (sensitivity > 0) mask = adaptiveDitherMask(pixels, sensitivity, mask);
+  if (mask) pixels.mask = mask;
+
+  report("dither", 0);
+  const indices = runDitherer(
+    opts.dithering,
+    pixels,
+    paletteRgb,
+    opts.ditherParams,
+    {
+      alphaThreshold,
+      distanceMode,
+      exactMatch,
+      onProgress: (p) => report("dither", p),
+    }
+  );
+
+  // Alpha handling
+  report("alpha", 0);
+  const finalAlpha = pixels.alpha;
+  for (let i = 0; i < finalAlpha.length; i++) {
+    const a = finalAlpha[i];
+    if (a < alphaThreshold) finalAlpha[i] = 0;
+    // Flattened colours already include the background
+    else if (removeSemitransparent || opts.flatten) finalAlpha[i] = 255;
+  }
+
+  const imageData = indicesToImageData(
+    indices,
+    paletteRgb,
+    finalAlpha,
+    width,
+    height
+  );
+  const stats = getIndexStatistics(
+    indices,
+    finalAlpha,
+    palette,
+    opts.colorNames
+  );
+  report("alpha", 1);
+  return { imageData, indices, palette, stats };
+}
+
+export { DEFAULT_OPTIONS, prepareImage, prepareMatchImage, convert };
@@ -439,4 +439,4 @@ class CurvesEditor {
   }
 }
 
-export { CurvesEditor };
+export { CurvesEditor, buildCurve };
@@ -0,0 +1,198 @@
+/**
+ * Dither mask: per-pixel dither amount painted over the source image.
+ * A mask is {width, height, data: Uint8Array}, 0 = no dithering, 255 = full
+ * (the default). The ditherers read it from the working buffer's optional
+ * `mask` field, see dithering.js. DOM-free; the page paints and previews it.
+ * convert() can also derive one from the image (adaptive strength).
+ */
+
+const FULL_DITHER = 255;
+
+// Adaptive strength: Sobel magnitude (luma levels) of a full edge, and the
+// local standard deviation below which an area starts to count as flat
+const ADAPTIVE_EDGE = 256;
+const ADAPTIVE_FLAT = 6;
+
+/**
+ * New mask with full dithering everywhere
+ * @param {number} width
+ * @param {number} height
+ * @returns {{width:number,height:number,data:Uint8Array}} Mask
+ */
+function createDitherMask(width, height) {
+  return {
+    width,
+    height,
+    data: new Uint8Array(width * height).fill(FULL_DITHER),
+  };
+}
+
+/**
+ * Paint a filled circle into the mask
+ * @param {{width:number,height:number,data:Uint8Array}} mask - Modified in place
+ * @param {number} cx - Centre x in mask pixels
+ * @param {number} cy - Centre y in mask pixels
+ * @param {number} radius - Brush radius in mask pixels
+ * @param {number} value - 0 (no dither) .. 255 (full)
+ * @returns {{x0:number,y0:number,x1:number,y1:number}|null} Touched rectangle
+ *   (inclusive-exclusive), null when the brush misses the mask
+ */
+function paintDitherMask(mask, cx, cy, radius, value) {
+  const { width, height, data } = mask;
+  const x0 = Math.max(0, Math.floor(cx - radius));
+  const y0 = Math.max(0, Math.floor(cy - radius));
+  const x1 = Math.min(width, Math.ceil(cx + radius) + 1);
+  const y1 = Math.min(height, Math.ceil(cy + radius) + 1);
+  if (x0 >= x1 || y0 >= y1) return null;
+  const r2 = radius * radius;
+  for (let y = y0; y < y1; y++) {
+    const dy = y + 0.5 - cy;
+    for (let x = x0; x < x1; x++) {
+      const dx = x + 0.5 - cx;
+      if (dx * dx + dy * dy <= r2) data[y * width + x] = value;
+    }
+  }
+  return { x0, y0, x1, y1 };
+}
+
+/**
+ * Whether the mask changes anything (some pixel below full dithering)
+ * @param {{data:Uint8Array}|null} mask
+ * @returns {boolean}
+ */
+function isDitherMaskActive(mask) {
+  if (!mask) return false;
+  for (let i = 0; i < mask.data.length; i++) {
+    if (mask.data[i] !== FULL_DITHER) return true;
+  }
+  return false;
+}
+
+/**
+ * Mask values for another image size (nearest neighbour)
+ * @param {{width:number,height:number,data:Uint8Array}} mask
+ * @param {number} width - Target width
+ * @param {number} height - Target height
+ * @returns {Uint8Array} Values, row-major (mask.data itself when sizes match)
+ */
+function resizeDitherMask(mask, width, height) {
+  if (mask.width === width && mask.height === height) return mask.data;
+  const out = new Uint8Array(width * height);
+  for (let y = 0; y < height; y++) {
+    const row = Math.min(
+      mask.height - 1,
+      Math.floor(((y + 0.5) * mask.height) / height)
+    );
+    for (let x = 0; x < width; x++) {
+      const col = Math.min(
+        mask.width - 1,
+        Math.floor(((x + 0.5) * mask.width) / width)
+      );
+      out[y * width + x] = mask.data[row * mask.width + col];
+    }
+  }
+  return out;
+}
+
+/**
+ * Dither amount from the image content: less across strong edges, so error
+ * does not smear over them, and somewhat less in flat areas such as skies,
+ * where diffused error shows as noise. Texture keeps full strength.
+ * @param {{width:number,height:number,rgb:Float32Array}} pixels - Working buffer
+ * @param {number} sensitivity - 0 (no change) .. 1
+ * @param {Uint8Array|null} [base=null] - Values to scale, e.g. the painted mask
+ * @returns {Uint8Array} Mask values, row-major (a new array)
+ */
+function adaptiveDitherMask(pixels, sensitivity, base = null) {
+  const { width, height, rgb } = pixels;
+  const luma = new Float32Array(width * height);
+  for (let i = 0; i < luma.length; i++) {
+    luma[i] =
+      0.299 * rgb[i * 3] + 0.587 * rgb[i * 3 + 1] + 0.114 * rgb[i * 3 + 2];
+  }
+  const out = new Uint8Array(width * height);
+  for (let y = 0; y < height; y++) {
+    // 3×3 neighbourhood, clamped at the borders
+    const up = Math.max(0, y - 1) * width;
+    const row = y * width;
+    const down = Math.min(height - 1, y + 1) * width;
+    for (let x = 0; x < width; x++) {
+      const l = Math.max(0, x - 1);
+      const r = Math.min(width - 1, x + 1);
+      const [a, b, c] = [luma[up + l], luma[up + x], luma[up + r]];
+      const [d, e, f] = [luma[row + l], luma[row + x], luma[row + r]];
+      const [g, h, k] = [luma[down + l], luma[down + x], luma[down + r]];
+      const gx = c + 2 * f + k - a - 2 * d - g;
+      const gy = g + 2 * h + k - a - 2 * b - c;
+      const edge = Math.min(1, Math.sqrt(gx * gx + gy * gy) / ADAPTIVE_EDGE);
+      let sum = 0;
+      let sumSq = 0;
+      for (const v of [a, b, c, d, e, f, g, h, k]) {
+        sum += v;
+        sumSq += v * v;
+      }
+      const variance = sumSq / 9 - (sum / 9) ** 2;
+      const flat =
+        1 - Math.min(1, Math.sqrt(Math.max(0, variance)) / ADAPTIVE_FLAT);
+      const amount = 1 - sensitivity * Math.max(edge, 0.5 * flat);
+      const i = row + x;
+      out[i] = Math.round(amount * (base ? base[i] : FULL_DITHER));
+    }
+  }
+  return out;
+}
+
+/**
+ * Greyscale image of the mask for saving as PNG (white = full dithering)
+ * @param {{width:number,height:number,data:Uint8Array}} mask
+ * @returns {ImageData}
+ */
+function ditherMaskToImageData(mask) {
+  const { width, height, data } = mask;
+  const rgba = new Uint8ClampedArray(width * height * 4);
+  for (let i = 0; i < data.length; i++) {
+    rgba[i * 4] = rgba[i * 4 + 1] = rgba[i * 4 + 2] = data[i];
+    rgba[i * 4 + 3] = 255;
+  }
+  return new ImageData(rgba, width, height);
+}
+
+/**
+ * Read a mask from a greyscale image (e.g. a saved mask PNG), scaled to the
+ * given size. Uses luma; transparent pixels count as full dithering.
+ * @param {{width:number,height:number,data:Uint8ClampedArray}} imageData
+ * @param {number} [width=imageData.width] - Mask width
+ * @param {number} [height=imageData.height] - Mask height
+ * @returns {{width:number,height:number,data:Uint8Array}} Mask
+ */
+function ditherMaskFromImageData(
+  imageData,
+  width = imageData.width,
+  height = imageData.height
+) {
+  const src = imageData.data;
+  const values = new Uint8Array(imageData.width * imageData.height);
+  for (let i = 0; i < values.length; i++) {
+    const a = src[i * 4 + 3] / 255;
+    const luma =
+      0.299 * src[i * 4] + 0.587 * src[i * 4 + 1] + 0.114 * src[i * 4 + 2];
+    values[i] = Math.round(luma * a + FULL_DITHER * (1 - a));
+  }
+  const read = {
+    width: imageData.width,
+    height: imageData.height,
+    data: values,
+  };
+  return { width, height, data: resizeDitherMask(read, width, height) };
+}
+
+export {
+  FULL_DITHER,
+  createDitherMask,
+  paintDitherMask,
+  isDitherMaskActive,
+  resizeDitherMask,
+  adaptiveDitherMask,
+  ditherMaskToImageData,
+  ditherMaskFromImageData,
+};
@@ -0,0 +1,478 @@
+/**
+ * Dithering algorithm registry.
+ *
+ * Each algorithm declares an id, display name, category and a parameter
+ * schema; the page builds the #ditherMethod select and its controls from
+ * it, and convert() dispatches through it. To add an algorithm, implement it
+ * against the working-buffer contract in dithering.js and register it below
+ * (or call registerDitherer from a module imported before conversion runs).
+ *
+ * Parameter schema entries:
+ *   {key, label, type: "range"|"number"|"checkbox"|"select"|"kernel", default,
+ *    min?, max?, step?, options?: [{value, label}], title?}
+ * A "kernel" value is an error-diffusion kernel {weights, denom}, edited with
+ * the kernel editor (see normalizeKernel in dithering.js).
+ */
+
+import {
+  applyFloydSteinbergDithering,
+  applyNoDithering,
+  applyBayerDithering,
+  applyRandomDithering,
+  applyJarvisDithering,
+  applyStuckiDithering,
+  applyAtkinsonDithering,
+  applyBurkesDithering,
+  applySierraLiteDithering,
+  applySierra2Dithering,
+  applySierra3Dithering,
+  applyOstromoukhovDithering,
+  applyRiemersmaDithering,
+  applyHalftoneDithering,
+  applyBlueNoiseDithering,
+  applyYliluomaDithering,
+  applyKernelDithering,
+  DIFFUSION_KERNELS,
+  normalizeKernel,
+} from "./dithering.js";
+import { BAYER_SIZES, BLUE_NOISE_SIZES } from "./thresholdMaps.js";
+
+// Category id -> heading shown in the select
+const DITHER_CATEGORIES = {
+  none: "None",
+  diffusion: "Error diffusion",
+  ordered: "Ordered",
+  random: "Random",
+};
+
+const PARAM_TYPES = ["range", "number", "checkbox", "select", "kernel"];
+
+const _registry = new Map(); // id -> definition, in registration order
+
+/**
+ * Register a dithering algorithm (replaces any existing one with the same id)
+ * @param {Object} def - Algorithm definition
+ * @param {string} def.id - Stable id used in options and saved settings
+ * @param {string} def.name - Display name
+ * @param {string} def.category - Key of DITHER_CATEGORIES
+ * @param {Object[]} [def.params] - Parameter schema
+ * @param {(pixels:Object, palette:number[][], params:Object, context:Object)=>Uint8Array} def.run -
+ *   Dither the working buffer; params holds resolved schema values, context holds
+ *   {alphaThreshold, distanceMode, exactMatch, onProgress}
+ * @returns {Object} The stored definition
+ */
+function registerDitherer(def) {
+  if (!def?.id || typeof def.run !== "function") {
+    throw new Error("Ditherer needs an id and a run function");
+  }
+  if (!DITHER_CATEGORIES[def.category]) {
+    throw new Error(`Unknown dither category "${def.category}"`);
+  }
+  const params = def.params || [];
+  for (const p of params) {
+    if (!p.key || !PARAM_TYPES.includes(p.type)) {
+      throw new Error(`Invalid parameter "${p.key}" for ditherer "${def.id}"`);
+    }
+  }
+  const entry = { name: def.id, ...def, params };
+  _registry.set(def.id, entry);
+  return entry;
+}
+
+/**
+ * Look up a registered algorithm
+ * @param {string} id - Algorithm id
+ * @returns {Object|undefined} Definition
+ */
+function getDitherer(id) {
+  return _registry.get(id);
+}
+
+/**
+ * All registered algorithms in registration order
+ * @returns {Object[]} Definitions
+ */
+function listDitherers() {
+  return [..._registry.values()];
+}
+
+/**
+ * Fill in defaults and coerce values to their schema types
+ * @param {Object} ditherer - Definition
+ * @param {Object} [values] - Raw values by key (unknown keys ignored)
+ * @returns {Object} Resolved values for every schema parameter
+ */
+function resolveDitherParams(ditherer, values = {}) {
+  const out = {};
+  for (const p of ditherer.params) {
+    const raw = values[p.key];
+    let v = raw ?? p.default;
+    if (p.type === "checkbox") {
+      v = v === true || v === "true" || v === 1 || v === "1";
+    } else if (p.type === "select") {
+      const allowed = p.options.map((o) => String(o.value));
+      const i = allowed.indexOf(String(v));
+      v = i >= 0 ? p.options[i].value : p.default;
+    } else if (p.type === "kernel") {
+      try {
+        v = normalizeKernel(v);
+      } catch {
+        v = p.default;
+      }
+    } else {
+      v = Number(v);
+      if (!Number.isFinite(v)) v = p.default;
+      if (p.min != null) v = Math.max(p.min, v);
+      if (p.max != null) v = Math.min(p.max, v);
+    }
+    out[p.key] = v;
+  }
+  return out;
+}
+
+/**
+ * Run a registered algorithm
+ * @param {string} id - Algorithm id
+ * @param {Object} pixels - Working buffer, see dithering.js
+ * @param {number[][]} palette - Array of [r,g,b]
+ * @param {Object} params - Raw parameter values, resolved against the schema
+ * @param {Object} context - {alphaThreshold, distanceMode, exactMatch, onProgress}
+ * @returns {Uint8Array} Palette index per pixel
+ */
+function runDitherer(id, pixels, palette, params, context) {
+  const ditherer = _registry.get(id);
+  if (!ditherer) throw new Error(`Unknown dithering method "${id}"`);
+  return ditherer.run(
+    pixels,
+    palette,
+    resolveDitherParams(ditherer, params),
+    context
+  );
+}
+
+// --- Built-in algorithms ---
+
+const STRENGTH_PARAM = {
+  key: "strength",
+  label: "Strength",
+  type: "range",
+  min: 0.1,
+  max: 1,
+  step: 0.01,
+  default: 0.8,
+};
+
+const SERPENTINE_PARAM = {
+  key: "serpentine",
+  label: "Serpentine",
+  type: "checkbox",
+  default: false,
+  title: "Alternate scan direction every row",
+};
+
+const ERROR_SPACE_PARAM = {
+  key: "errorSpace",
+  label: "Diffuse in",
+  type: "select",
+  options: [
+    { value: "srgb", label: "sRGB (gamma)" },
+    { value: "linear", label: "Linear light" },
+    { value: "lab", label: "CIELAB" },
+    { value: "oklab", label: "Oklab" },
+  ],
+  default: "srgb",
+  title: "Colour space quantization error is measured and spread in",
+};
+
+registerDitherer({
+  id: "none",
+  name: "None (quantize only)",
+  category: "none",
+  run: (pixels, palette, params, ctx) =>
+    applyNoDithering(
+      pixels,
+      palette,
+      ctx.alphaThreshold,
+      ctx.onProgress,
+      ctx.distanceMode,
+      ctx.exactMatch
+    ),
+});
+
+[
+  ["floyd_steinberg", "Floyd–Steinberg", applyFloydSteinbergDithering],
+  ["jarvis", "Jarvis–Judice–Ninke", applyJarvisDithering],
+  ["stucki", "Stucki", applyStuckiDithering],
+  ["burkes", "Burkes", applyBurkesDithering],
+  ["atkinson", "Atkinson", applyAtkinsonDithering],
+  ["sierra3", "Sierra-3", applySierra3Dithering],
+  ["sierra2", "Sierra-2-4A", applySierra2Dithering],
+  ["sierra_lite", "Sierra Lite", applySierraLiteDithering],
+].forEach(([id, name, apply]) =>
+  registerDitherer({
+    id,
+    name,
+    category: "diffusion",
+    params: [STRENGTH_PARAM, SERPENTINE_PARAM, ERROR_SPACE_PARAM],
+    run: (pixels, palette, params, ctx) =>
+      apply(
+        pixels,
+        palette,
+        params.strength,
+        ctx.alphaThreshold,
+        ctx.onProgress,
+        params.serpentine,
+        ctx.distanceMode,
+        ctx.exactMatch,
+        params.errorSpace
+      ),
+  })
+);
+
+registerDitherer({
+  id: "custom_kernel",
+  name: "Custom kernel",
+  category: "diffusion",
+  params: [
+    {
+      key: "kernel",
+      label: "Kernel",
+      type: "kernel",
+      default: DIFFUSION_KERNELS.floyd_steinberg,
+    },
+    STRENGTH_PARAM,
+    SERPENTINE_PARAM,
+    ERROR_SPACE_PARAM,
+  ],
+  run: (pixels, palette, params, ctx) =>
+    applyKernelDithering(
+      pixels,
+      palette,
+      params.kernel,
+      params.strength,
+      ctx.alphaThreshold,
+      ctx.onProgress,
+      params.serpentine,
+      ctx.distanceMode,
+      ctx.exactMatch,
+      params.errorSpace
+    ),
+});
+
+// Variable coefficients assume serpentine scanning, so it starts on here
+registerDitherer({
+  id: "ostromoukhov",
+  name: "Ostromoukhov (variable)",
+  category: "diffusion",
+  params: [
+    STRENGTH_PARAM,
+    { ...SERPENTINE_PARAM, default: true },
+    ERROR_SPACE_PARAM,
+  ],
+  run: (pixels, palette, params, ctx) =>
+    applyOstromoukhovDithering(
+      pixels,
+      palette,
+      params.strength,
+      ctx.alphaThreshold,
+      ctx.onProgress,
+      params.serpentine,
+      ctx.distanceMode,
+      ctx.exactMatch,
+      params.errorSpace
+    ),
+});
+
+registerDitherer({
+  id: "riemersma",
+  name: "Riemersma (Hilbert curve)",
+  category: "diffusion",
+  params: [
+    STRENGTH_PARAM,
+    {
+      key: "history",
+      label: "History",
+      type: "select",
+      options: [8, 16, 32].map((v) => ({ value: v, label: String(v) })),
+      default: 16,
+      title: "Errors remembered along the curve",
+    },
+    ERROR_SPACE_PARAM,
+  ],
+  run: (pixels, palette, params, ctx) =>
+    applyRiemersmaDithering(
+      pixels,
+      palette,
+      params.strength,
+      ctx.alphaThreshold,
+      ctx.onProgress,
+      ctx.distanceMode,
+      ctx.exactMatch,
+      params.history,
+      params.errorSpace
+    ),
+});
+
+// Ordered and random methods take an intensity in palette units; strength
+// maps onto it with the same scale the page has always used
+const intensity = (strength, scale, fallback) =>
+  Math.round(strength * scale) || fallback;
+
+const sizeParam = (label, sizes, def) => ({
+  key: "size",
+  label,
+  type: "select",
+  options: sizes.map((v) => ({ value: v, label: `${v}×${v}` })),
+  default: def,
+});
+
+registerDitherer({
+  id: "bayer",
+  name: "Bayer",
+  category: "ordered",
+  params: [STRENGTH_PARAM, sizeParam("Matrix", BAYER_SIZES, 4)],
+  run: (pixels, palette, params, ctx) =>
+    applyBayerDithering(
+      pixels,
+      palette,
+      intensity(params.strength, 128, 32),
+      ctx.alphaThreshold,
+      ctx.onProgress,
+      ctx.distanceMode,
+      ctx.exactMatch,
+      params.size
+    ),
+});
+
+registerDitherer({
+  id: "blue_noise",
+  name: "Blue noise",
+  category: "ordered",
+  params: [STRENGTH_PARAM, sizeParam("Tile", BLUE_NOISE_SIZES, 64)],
+  run: (pixels, palette, params, ctx) =>
+    applyBlueNoiseDithering(
+      pixels,
+      palette,
+      intensity(params.strength, 128, 32),
+      ctx.alphaThreshold,
+      ctx.onProgress,
+      ctx.distanceMode,
+      ctx.exactMatch,
+      params.size
+    ),
+});
+
+registerDitherer({
+  id: "yliluoma",
+  name: "Yliluoma (palette-aware)",
+  category: "ordered",
+  params: [
+    {
+      key: "planSize",
+      label: "Mix steps",
+      type: "select",
+      options: [4, 8, 16, 32, 64].map((v) => ({ value: v, label: String(v) })),
+      default: 16,
+      title: "Palette entries per mixing plan; more gives finer gradients",
+    },
+    sizeParam("Matrix", BAYER_SIZES.slice(1), 8),
+    {
+      key: "linearMix",
+      label: "Linear-light mixing",
+      type: "checkbox",
+      default: true,
+      title: "Average colours as light, the way the eye blends dither patterns",
+    },
+  ],
+  run: (pixels, palette, params, ctx) =>
+    applyYliluomaDithering(
+      pixels,
+      palette,
+      ctx.alphaThreshold,
+      ctx.onProgress,
+      ctx.distanceMode,
+      params.planSize,
+      params.size,
+      params.linearMix
+    ),
+});
+
+registerDitherer({
+  id: "halftone",
+  name: "Halftone 8×8",
+  category: "ordered",
+  params: [STRENGTH_PARAM],
+  run: (pixels, palette, params, ctx) =>
+    applyHalftoneDithering(
+      pixels,
+      palette,
+      intensity(params.strength, 128, 64),
+      ctx.alphaThreshold,
+      ctx.onProgress,
+      ctx.distanceMode,
+      ctx.exactMatch
+    ),
+});
+
+registerDitherer({
+  id: "random",
+  name: "Random",
+  category: "random",
+  params: [
+    STRENGTH_PARAM,
+    {
+      key: "seed",
+      label: "Seed",
+      type: "number",
+      min: 0,
+      max: 4294967295,
+      step: 1,
+      default: 1,
+      title: "The same seed and settings always give the same output",
+    },
+    {
+      key: "noise",
+      label: "Noise",
+      type: "select",
+      options: [
+        { value: "uniform", label: "Uniform" },
+        { value: "triangular", label: "Triangular" },
+        { value: "gaussian", label: "Gaussian" },
+      ],
+      default: "uniform",
+    },
+    {
+      key: "noiseChannels",
+      label: "Apply to",
+      type: "select",
+      options: [
+        { value: "rgb", label: "Each channel" },
+        { value: "luma", label: "Luminance only" },
+      ],
+      default: "rgb",
+      title: "Independent noise per channel, or the same offset on all three",
+    },
+  ],
+  run: (pixels, palette, params, ctx) =>
+    applyRandomDithering(
+      pixels,
+      palette,
+      intensity(params.strength, 64, 24),
+      ctx.alphaThreshold,
+      ctx.onProgress,
+      ctx.distanceMode,
+      ctx.exactMatch,
+      params.seed,
+      params.noise,
+      params.noiseChannels
+    ),
+});
+
+export {
+  DITHER_CATEGORIES,
+  registerDitherer,
+  getDitherer,
+  listDitherers,
+  resolveDitherParams,
+  runDitherer,
+};
@@ -1,143 +1,247 @@
 // Dithering algorithms implementation
+//
+// All algorithms take a flat working buffer
+//   {width, height, rgb: Float32Array(w*h*3), alpha: Uint8Array(w*h)}
+// (see imageDataToBuffers) and return a Uint8Array of palette indices,
+// one per pixel, with TRANSPARENT_INDEX for pixels below the alpha threshold.
+// An optional `mask: Uint8Array(w*h)` scales dithering per pixel, 0 = none
+// to 255 = full (see ditherMask.js).
 
-import { findClosestColorInPalette, clamp } from "./utils.js";
+import {
+  clamp,
+  createColorComparer,
+  createRandom,
+  srgbToLinear,
+  linearToSrgb,
+  linearRgbToLab,
+  labToLinearRgb,
+  linearRgbToOklab,
+  oklabToLinearRgb,
+} from "./utils.js";
+import { getPaletteMatcher } from "./paletteMatcher.js";
+import {
+  getBayerMap,
+  getBlueNoiseMap,
+  getHalftoneMap,
+} from "./thresholdMaps.js";
+
+// Index written for pixels skipped by the alpha threshold
+const TRANSPARENT_INDEX = 255;
+
+// Spaces error diffusion can accumulate error in. toSpace/toSrgb convert one
+// [r,g,b] colour; lo/hi bound each channel of the work buffer.
+const toLinear = (c) => [
+  srgbToLinear(c[0]),
+  srgbToLinear(c[1]),
+  srgbToLinear(c[2]),
+];
+const fromLinear = (c) => [
+  linearToSrgb(c[0]),
+  linearToSrgb(c[1]),
+  linearToSrgb(c[2]),
+];
+const ERROR_SPACES = {
+  srgb: {
+    toSpace: (c) => c,
+    toSrgb: (c) => c,
+    lo: [0, 0, 0],
+    hi: [255, 255, 255],
+  },
+  linear: {
+    toSpace: toLinear,
+    toSrgb: fromLinear,
+    lo: [0, 0, 0],
+    hi: [1, 1, 1],
+  },
+  lab: {
+    toSpace: (c) => linearRgbToLab(toLinear(c)),
+    toSrgb: (c) => fromLinear(labToLinearRgb(c)),
+    lo: [0, -128, -128],
+    hi: [100, 128, 128],
+  },
+  oklab: {
+    toSpace: (c) => linearRgbToOklab(toLinear(c)),
+    toSrgb: (c) => fromLinear(oklabToLinearRgb(c)),
+    lo: [0, -0.5, -0.5],
+    hi: [1, 0.5, 0.5],
+  },
+};
+
+function getErrorSpace(name = "srgb") {
+  const space = ERROR_SPACES[name];
+  if (!space) throw new Error(`Unknown error space "${name}"`);
+  return space;
+}
+
+// Working-buffer colours converted into an error space
+function toErrorSpace(rgb, space) {
+  const out = new Float32Array(rgb.length);
+  for (let o = 0; o < rgb.length; o += 3) {
+    const c = space.toSpace([rgb[o], rgb[o + 1], rgb[o + 2]]);
+    out[o] = c[0];
+    out[o + 1] = c[1];
+    out[o + 2] = c[2];
+  }
+  return out;
+}
+
+// Yliluoma mixing plans survive between runs (live preview re-runs often)
+const MAX_CACHED_PLAN_SETS = 4;
+const _planCache = new Map(); // key -> Map(cell -> plan), oldest first
 
 /**
  * Apply Floyd–Steinberg dithering with optional serpentine scanning
- * @param {number[][][]} rgbChannels - [y][x][3]
- * @param {number[][]} alphaChannel - [y][x]
+ * @param {{width:number,height:number,rgb:Float32Array,alpha:Uint8Array}} pixels - Working buffer
  * @param {number[][]} palette - Array of [r,g,b]
  * @param {number} strength - 0.1..1.0
  * @param {number} alphaThreshold - 0..255
  * @param {(p:number)=>void} progressCallback
  * @param {boolean} serpentine
- * @returns {number[][][]} dithered [y][x][3]
+ * @param {string} [distanceMode="lab"] - Palette matching mode, see findClosestColorInPalette
+ * @param {boolean} [exactMatch=false] - Search the palette per pixel instead of the lookup table
+ * @param {"srgb"|"linear"|"lab"|"oklab"} [errorSpace="srgb"] - Space error is measured and spread in
+ * @returns {Uint8Array} palette index per pixel
  */
 function applyFloydSteinbergDithering(
-  rgbChannels,
-  alphaChannel,
+  pixels,
   palette,
   strength = 1.0,
   alphaThreshold = 128,
   progressCallback = null,
-  serpentine = false
+  serpentine = false,
+  distanceMode = "lab",
+  exactMatch = false,
+  errorSpace = "srgb"
 ) {
-  const h = rgbChannels.length;
-  const w = rgbChannels[0].length;
-  const out = rgbChannels.map((row) => row.map((p) => [...p]));
-  const reportEvery = Math.max(1, Math.floor(h / 50));
-
-  for (let y = 0; y < h; y++) {
-    const leftToRight = serpentine ? y % 2 === 0 : true;
-    const xStart = leftToRight ? 0 : w - 1;
-    const xEnd = leftToRight ? w : -1;
-    const xStep = leftToRight ? 1 : -1;
-
-    for (let x = xStart; x !== xEnd; x += xStep) {
-      if (alphaChannel[y][x] < alphaThreshold) continue;
-      const oldP = out[y][x];
-      const newP = findClosestColorInPalette(oldP, palette);
-      const err = [
-        (oldP[0] - newP[0]) * strength,
-        (oldP[1] - newP[1]) * strength,
-        (oldP[2] - newP[2]) * strength,
-      ];
-      out[y][x] = [...newP];
-
-      const neigh = leftToRight
-        ? [
-            { dx: 1, dy: 0, w: 7 / 16 },
-            { dx: -1, dy: 1, w: 3 / 16 },
-            { dx: 0, dy: 1, w: 5 / 16 },
-            { dx: 1, dy: 1, w: 1 / 16 },
-          ]
-        : [
-            { dx: -1, dy: 0, w: 7 / 16 },
-            { dx: 1, dy: 1, w: 3 / 16 },
-            { dx: 0, dy: 1, w: 5 / 16 },
-            { dx: -1, dy: 1, w: 1 / 16 },
-          ];
+  return applyKernelDithering(
+    pixels,
+    palette,
+    DIFFUSION_KERNELS.floyd_steinberg,
+    strength,
+    alphaThreshold,
+    progressCallback,
+    serpentine,
+    distanceMode,
+    exactMatch,
+    errorSpace
+  );
+}
 
-      for (const n of neigh) {
-        const nx = x + n.dx;
-        const ny = y + n.dy;
-        if (nx < 0 || nx >= w || ny < 0 || ny >= h) continue;
-        if (alphaChannel[ny][nx] < alphaThreshold) continue;
-        const p = out[ny][nx];
-        out[ny][nx] = [
-          clamp(p[0] + err[0] * n.w, 0, 255),
-          clamp(p[1] + err[1] * n.w, 0, 255),
-          clamp(p[2] + err[2] * n.w, 0, 255),
-        ];
-      }
-    }
+// Shared loop for threshold-map (ordered) dithering: adds the same offset
+// from a tiled threshold map (-0.5..0.5, see thresholdMaps.js) to all
+// three channels
+function orderedDither(
+  pixels,
+  palette,
+  map,
+  intensity,
+  alphaThreshold,
+  progressCallback,
+  distanceMode,
+  exactMatch
+) {
+  const { width: w, height: h, rgb, alpha, mask } = pixels;
+  const out = new Uint8Array(w * h).fill(TRANSPARENT_INDEX);
+  const { size, values } = map;
+  const match = getPaletteMatcher(palette, distanceMode, { exact: exactMatch });
 
-    if (progressCallback && y % reportEvery === 0) {
-      progressCallback((y + 1) / h);
+  for (let y = 0; y < h; y++) {
+    const row = (y % size) * size;
+    for (let x = 0; x < w; x++) {
+      const i = y * w + x;
+      if (alpha[i] < alphaThreshold) continue;
+      let t = values[row + (x % size)] * intensity;
+      if (mask) t *= mask[i] / 255;
+      out[i] = match.nearest(
+        rgb[i * 3] + t,
+        rgb[i * 3 + 1] + t,
+        rgb[i * 3 + 2] + t
+      );
     }
+    if (progressCallback && y % 25 === 0) progressCallback((y + 1) / h);
   }
-
   if (progressCallback) progressCallback(1);
   return out;
 }
 
-/** Simple ordered Bayer 4x4 dithering */
+/**
+ * Ordered Bayer dithering
+ * @param {number} [size=4] - Matrix size: 2, 4, 8 or 16
+ */
 function applyBayerDithering(
-  rgbChannels,
-  alphaChannel,
+  pixels,
   palette,
   intensity = 32,
   alphaThreshold = 128,
-  progressCallback = null
+  progressCallback = null,
+  distanceMode = "lab",
+  exactMatch = false,
+  size = 4
 ) {
-  const mat = [
-    [0, 8, 2, 10],
-    [12, 4, 14, 6],
-    [3, 11, 1, 9],
-    [15, 7, 13, 5],
-  ];
-  const norm = mat.map((r) => r.map((v) => v / 16 - 0.5));
-  const h = rgbChannels.length;
-  const w = rgbChannels[0].length;
-  const out = rgbChannels.map((row) => row.map((p) => [...p]));
-  const scale = intensity / 255;
-
-  for (let y = 0; y < h; y++) {
-    for (let x = 0; x < w; x++) {
-      if (alphaChannel[y][x] < alphaThreshold) continue;
-      const t = norm[y % 4][x % 4] * scale * 255;
-      const p = out[y][x];
-      const adjusted = [p[0] + t, p[1] + t, p[2] + t];
-      out[y][x] = findClosestColorInPalette(adjusted, palette);
-    }
-    if (progressCallback && y % 25 === 0) progressCallback((y + 1) / h);
-  }
-  if (progressCallback) progressCallback(1);
-  return out;
+  return orderedDither(
+    pixels,
+    palette,
+    getBayerMap(size),
+    intensity,
+    alphaThreshold,
+    progressCallback,
+    distanceMode,
+    exactMatch
+  );
 }
 
-/** Random noise dithering */
+// Noise distributions for random dithering, given a uniform source in
+// [0, 1). All are centred on 0 and mostly within -1..1.
+const NOISE_SHAPES = {
+  uniform: (random) => random() * 2 - 1,
+  triangular: (random) => random() + random() - 1,
+  // Box–Muller, σ = 0.5
+  gaussian: (random) =>
+    Math.sqrt(-2 * Math.log(1 - random())) *
+    Math.cos(2 * Math.PI * random()) *
+    0.5,
+};
+
+/**
+ * Random noise dithering. Noise comes from a seeded generator, so the same
+ * seed and settings always give the same output.
+ * @param {number} [seed=1] - Generator seed
+ * @param {"uniform"|"triangular"|"gaussian"} [shape="uniform"] - Noise distribution
+ * @param {"rgb"|"luma"} [channels="rgb"] - Independent noise per channel, or
+ *   one value added to all three (brightness only)
+ */
 function applyRandomDithering(
-  rgbChannels,
-  alphaChannel,
+  pixels,
   palette,
   intensity = 32,
   alphaThreshold = 128,
-  progressCallback = null
+  progressCallback = null,
+  distanceMode = "lab",
+  exactMatch = false,
+  seed = 1,
+  shape = "uniform",
+  channels = "rgb"
 ) {
-  const h = rgbChannels.length;
-  const w = rgbChannels[0].length;
-  const out = rgbChannels.map((row) => row.map((p) => [...p]));
-  const range = intensity;
+  const { width: w, height: h, rgb, alpha, mask } = pixels;
+  const out = new Uint8Array(w * h).fill(TRANSPARENT_INDEX);
+  const sample = NOISE_SHAPES[shape];
+  if (!sample) throw new Error(`Unknown noise shape "${shape}"`);
+  const random = createRandom(seed);
+  const noise = () => sample(random) * intensity;
+  const match = getPaletteMatcher(palette, distanceMode, { exact: exactMatch });
 
-  for (let y = 0; y < h; y++) {
-    for (let x = 0; x < w; x++) {
-      if (alphaChannel[y][x] < alphaThreshold) continue;
-      const p = out[y][x];
-      const noise = () => (Math.random() * 2 - 1) * range;
-      const perturbed = [p[0] + noise(), p[1] + noise(), p[2] + noise()];
-      out[y][x] = findClosestColorInPalette(perturbed, palette);
-    }
+  for (let i = 0; i < w * h; i++) {
+    // Draw for every pixel so the pattern does not shift with the alpha mask
+    const m = mask ? mask[i] / 255 : 1;
+    const nr = noise() * m;
+    const ng = channels === "luma" ? nr : noise() * m;
+    const nb = channels === "luma" ? nr : noise() * m;
+    if (alpha[i] < alphaThreshold) continue;
+    out[i] = match.nearest(
+      rgb[i * 3] + nr,
+      rgb[i * 3 + 1] + ng,
+      rgb[i * 3 + 2] + nb
+    );
   }
   if (progressCallback) progressCallback(1);
   return out;
@@ -145,20 +249,22 @@ function applyRandomDithering(
 
 /** Quantize without dithering */
 function applyNoDithering(
-  rgbChannels,
-  alphaChannel,
+  pixels,
   palette,
   alphaThreshold = 128,
-  progressCallback = null
+  progressCallback = null,
+  distanceMode = "lab",
+  exactMatch = false
 ) {
-  const h = rgbChannels.length;
-  const w = rgbChannels[0].length;
-  const out = rgbChannels.map((row) => row.map((p) => [...p]));
+  const { width: w, height: h, rgb, alpha } = pixels;
+  const out = new Uint8Array(w * h).fill(TRANSPARENT_INDEX);
   const reportEvery = Math.max(1, Math.floor(h / 50));
+  const match = getPaletteMatcher(palette, distanceMode, { exact: exactMatch });
   for (let y = 0; y < h; y++) {
     for (let x = 0; x < w; x++) {
-      if (alphaChannel[y][x] < alphaThreshold) continue;
-      out[y][x] = findClosestColorInPalette(out[y][x], palette);
+      const i = y * w + x;
+      if (alpha[i] < alphaThreshold) continue;
+      out[i] = match.nearest(rgb[i * 3], rgb[i * 3 + 1], rgb[i * 3 + 2]);
     }
     if (progressCallback && y % reportEvery === 0)
       progressCallback((y + 1) / h);
@@ -167,10 +273,10 @@ function applyNoDithering(
   return out;
 }
 
-// Error-diffusion helpers
+// Error-diffusion helpers. Error is measured and spread in errorSpace
+// (see ERROR_SPACES); each pixel is converted back to sRGB for matching.
 function errorDiffuse(
-  rgbChannels,
-  alphaChannel,
+  pixels,
   palette,
   weightsRight,
   weightsLeft,
@@ -178,12 +284,19 @@ function errorDiffuse(
   strength = 1.0,
   alphaThreshold = 128,
   progressCallback = null,
-  serpentine = false
+  serpentine = false,
+  distanceMode = "lab",
+  exactMatch = false,
+  errorSpace = "srgb"
 ) {
-  const h = rgbChannels.length;
-  const w = rgbChannels[0].length;
-  const out = rgbChannels.map((row) => row.map((p) => [...p]));
+  const { width: w, height: h, alpha, mask } = pixels;
+  const space = getErrorSpace(errorSpace);
+  const { lo, hi } = space;
+  const work = toErrorSpace(pixels.rgb, space); // accumulates diffused error
+  const target = palette.map((c) => space.toSpace(c));
+  const out = new Uint8Array(w * h).fill(TRANSPARENT_INDEX);
   const reportEvery = Math.max(1, Math.floor(h / 50));
+  const match = getPaletteMatcher(palette, distanceMode, { exact: exactMatch });
 
   for (let y = 0; y < h; y++) {
     const leftToRight = serpentine ? y % 2 === 0 : true;
@@ -193,27 +306,32 @@ function errorDiffuse(
     const neigh = leftToRight ? weightsRight : weightsLeft;
 
     for (let x = xStart; x !== xEnd; x += xStep) {
-      if (alphaChannel[y][x] < alphaThreshold) continue;
-      const oldP = out[y][x];
-      const newP = findClosestColorInPalette(oldP, palette);
-      const err = [
-        ((oldP[0] - newP[0]) * strength) / denom,
-        ((oldP[1] - newP[1]) * strength) / denom,
-        ((oldP[2] - newP[2]) * strength) / denom,
-      ];
-      out[y][x] = [...newP];
+      const i = y * w + x;
+      if (alpha[i] < alphaThreshold) continue;
+      const o = i * 3;
+      const r = work[o];
+      const g = work[o + 1];
+      const b = work[o + 2];
+      const srgb = space.toSrgb([r, g, b]);
+      const idx = match.nearest(srgb[0], srgb[1], srgb[2]);
+      out[i] = idx;
+      const newP = target[idx];
+      const er = ((r - newP[0]) * strength) / denom;
+      const eg = ((g - newP[1]) * strength) / denom;
+      const eb = ((b - newP[2]) * strength) / denom;
 
       for (const n of neigh) {
         const nx = x + n.dx;
         const ny = y + n.dy;
         if (nx < 0 || nx >= w || ny < 0 || ny >= h) continue;
-        if (alphaChannel[ny][nx] < alphaThreshold) continue;
-        const p = out[ny][nx];
-        out[ny][nx] = [
-          clamp(p[0] + err[0] * n.w, 0, 255),
-          clamp(p[1] + err[1] * n.w, 0, 255),
-          clamp(p[2] + err[2] * n.w, 0, 255),
-        ];
+        const ni = ny * w + nx;
+        if (alpha[ni] < alphaThreshold) continue;
+        // Masked pixels take only their share of the error
+        const k = mask ? (n.w * mask[ni]) / 255 : n.w;
+        const no = ni * 3;
+        work[no] = clamp(work[no] + er * k, lo[0], hi[0]);
+        work[no + 1] = clamp(work[no + 1] + eg * k, lo[1], hi[1]);
+        work[no + 2] = clamp(work[no + 2] + eb * k, lo[2], hi[2]);
       }
     }
 
@@ -225,284 +343,889 @@ function errorDiffuse(
   return out;
 }
 
-function applyJarvisDithering(
-  rgbChannels,
-  alphaChannel,
+// Built-in kernels: weights for left-to-right rows, divided by denom.
+// Right-to-left (serpentine) rows use the mirror image.
+const DIFFUSION_KERNELS = {
+  floyd_steinberg: {
+    denom: 16,
+    weights: [
+      { dx: 1, dy: 0, w: 7 },
+      { dx: -1, dy: 1, w: 3 },
+      { dx: 0, dy: 1, w: 5 },
+      { dx: 1, dy: 1, w: 1 },
+    ],
+  },
+  jarvis: {
+    denom: 48,
+    weights: [
+      { dx: 1, dy: 0, w: 7 },
+      { dx: 2, dy: 0, w: 5 },
+      { dx: -2, dy: 1, w: 3 },
+      { dx: -1, dy: 1, w: 5 },
+      { dx: 0, dy: 1, w: 7 },
+      { dx: 1, dy: 1, w: 5 },
+      { dx: 2, dy: 1, w: 3 },
+      { dx: -2, dy: 2, w: 1 },
+      { dx: -1, dy: 2, w: 3 },
+      { dx: 0, dy: 2, w: 5 },
+      { dx: 1, dy: 2, w: 3 },
+      { dx: 2, dy: 2, w: 1 },
+    ],
+  },
+  stucki: {
+    denom: 42,
+    weights: [
+      { dx: 1, dy: 0, w: 8 },
+      { dx: 2, dy: 0, w: 4 },
+      { dx: -2, dy: 1, w: 2 },
+      { dx: -1, dy: 1, w: 4 },
+      { dx: 0, dy: 1, w: 8 },
+      { dx: 1, dy: 1, w: 4 },
+      { dx: 2, dy: 1, w: 2 },
+      { dx: -2, dy: 2, w: 1 },
+      { dx: -1, dy: 2, w: 2 },
+      { dx: 0, dy: 2, w: 4 },
+      { dx: 1, dy: 2, w: 2 },
+      { dx: 2, dy: 2, w: 1 },
+    ],
+  },
+  burkes: {
+    denom: 32,
+    weights: [
+      { dx: 1, dy: 0, w: 8 },
+      { dx: 2, dy: 0, w: 4 },
+      { dx: -2, dy: 1, w: 2 },
+      { dx: -1, dy: 1, w: 4 },
+      { dx: 0, dy: 1, w: 8 },
+      { dx: 1, dy: 1, w: 4 },
+      { dx: 2, dy: 1, w: 2 },
+    ],
+  },
+  atkinson: {
+    denom: 8,
+    weights: [
+      { dx: 1, dy: 0, w: 1 },
+      { dx: 2, dy: 0, w: 1 },
+      { dx: -1, dy: 1, w: 1 },
+      { dx: 0, dy: 1, w: 1 },
+      { dx: 1, dy: 1, w: 1 },
+      { dx: 0, dy: 2, w: 1 },
+    ],
+  },
+  sierra3: {
+    denom: 32,
+    weights: [
+      { dx: 1, dy: 0, w: 5 },
+      { dx: 2, dy: 0, w: 3 },
+      { dx: -2, dy: 1, w: 2 },
+      { dx: -1, dy: 1, w: 4 },
+      { dx: 0, dy: 1, w: 5 },
+      { dx: 1, dy: 1, w: 4 },
+      { dx: 2, dy: 1, w: 2 },
+      { dx: -1, dy: 2, w: 2 },
+      { dx: 0, dy: 2, w: 3 },
+      { dx: 1, dy: 2, w: 2 },
+    ],
+  },
+  sierra2: {
+    denom: 16,
+    weights: [
+      { dx: 1, dy: 0, w: 4 },
+      { dx: 2, dy: 0, w: 3 },
+      { dx: -2, dy: 1, w: 1 },
+      { dx: -1, dy: 1, w: 2 },
+      { dx: 0, dy: 1, w: 3 },
+      { dx: 1, dy: 1, w: 2 },
+      { dx: 2, dy: 1, w: 1 },
+    ],
+  },
+  sierra_lite: {
+    denom: 4,
+    weights: [
+      { dx: 1, dy: 0, w: 2 },
+      { dx: -1, dy: 1, w: 1 },
+      { dx: 0, dy: 1, w: 1 },
+    ],
+  },
+};
+
+// Furthest a kernel may reach in x (either way) and y: the editor's grid
+const KERNEL_RADIUS = 2;
+
+/**
+ * Validate and copy an error-diffusion kernel, e.g. one imported from JSON
+ * @param {{weights:{dx:number,dy:number,w:number}[], denom?:number}} kernel - Offsets
+ *   must lie ahead of the current pixel (same row to the right, or below)
+ * @returns {{weights:{dx:number,dy:number,w:number}[], denom:number}} Copy without
+ *   zero weights; denom defaults to the sum of the weights
+ * @throws {Error} If an offset or weight is invalid or nothing is diffused
+ */
+function normalizeKernel(kernel) {
+  if (!kernel || !Array.isArray(kernel.weights)) {
+    throw new Error("Kernel needs a weights array");
+  }
+  const weights = [];
+  const seen = new Set();
+  let sum = 0;
+  for (const { dx, dy, w } of kernel.weights) {
+    const at = `(${dx}, ${dy})`;
+    if (
+      !Number.isInteger(dx) ||
+      !Number.isInteger(dy) ||
+      Math.abs(dx) > KERNEL_RADIUS ||
+      dy < 0 ||
+      dy > KERNEL_RADIUS
+    ) {
+      throw new Error(`Kernel offset ${at} is outside the editable grid`);
+    }
+    if (dy === 0 && dx <= 0) {
+      throw new Error(`Kernel offset ${at} is not ahead of the current pixel`);
+    }
+    if (seen.has(at)) throw new Error(`Kernel offset ${at} appears twice`);
+    seen.add(at);
+    if (!Number.isFinite(w) || w < 0) {
+      throw new Error(`Kernel weight at ${at} must be a number ≥ 0`);
+    }
+    if (w === 0) continue;
+    weights.push({ dx, dy, w });
+    sum += w;
+  }
+  if (!sum) throw new Error("Kernel has no weights");
+  const denom = kernel.denom ?? sum;
+  if (!Number.isFinite(denom) || denom <= 0) {
+    throw new Error("Kernel divisor must be a positive number");
+  }
+  return { weights, denom };
+}
+
+/**
+ * Error diffusion with any kernel (see normalizeKernel); the left-hand
+ * kernel for serpentine rows is mirrored automatically
+ * @param {{weights:{dx:number,dy:number,w:number}[], denom?:number}} kernel
+ */
+function applyKernelDithering(
+  pixels,
   palette,
+  kernel,
   strength = 1.0,
   alphaThreshold = 128,
   progressCallback = null,
-  serpentine = false
+  serpentine = false,
+  distanceMode = "lab",
+  exactMatch = false,
+  errorSpace = "srgb"
 ) {
-  const right = [
-    { dx: 1, dy: 0, w: 7 },
-    { dx: 2, dy: 0, w: 5 },
-    { dx: -2, dy: 1, w: 3 },
-    { dx: -1, dy: 1, w: 5 },
-    { dx: 0, dy: 1, w: 7 },
-    { dx: 1, dy: 1, w: 5 },
-    { dx: 2, dy: 1, w: 3 },
-    { dx: -2, dy: 2, w: 1 },
-    { dx: -1, dy: 2, w: 3 },
-    { dx: 0, dy: 2, w: 5 },
-    { dx: 1, dy: 2, w: 3 },
-    { dx: 2, dy: 2, w: 1 },
-  ];
-  const left = right.map((n) => ({ dx: -n.dx, dy: n.dy, w: n.w }));
+  const { weights, denom } = normalizeKernel(kernel);
+  const left = weights.map((n) => ({ dx: -n.dx, dy: n.dy, w: n.w }));
   return errorDiffuse(
-    rgbChannels,
-    alphaChannel,
+    pixels,
     palette,
-    right,
+    weights,
     left,
-    48,
+    denom,
     strength,
     alphaThreshold,
     progressCallback,
-    serpentine
+    serpentine,
+    distanceMode,
+    exactMatch,
+    errorSpace
+  );
+}
+
+function applyJarvisDithering(
+  pixels,
+  palette,
+  strength = 1.0,
+  alphaThreshold = 128,
+  progressCallback = null,
+  serpentine = false,
+  distanceMode = "lab",
+  exactMatch = false,
+  errorSpace = "srgb"
+) {
+  return applyKernelDithering(
+    pixels,
+    palette,
+    DIFFUSION_KERNELS.jarvis,
+    strength,
+    alphaThreshold,
+    progressCallback,
+    serpentine,
+    distanceMode,
+    exactMatch,
+    errorSpace
   );
 }
 
 function applyStuckiDithering(
-  rgbChannels,
-  alphaChannel,
+  pixels,
   palette,
   strength = 1.0,
   alphaThreshold = 128,
   progressCallback = null,
-  serpentine = false
+  serpentine = false,
+  distanceMode = "lab",
+  exactMatch = false,
+  errorSpace = "srgb"
 ) {
-  const right = [
-    { dx: 1, dy: 0, w: 8 },
-    { dx: 2, dy: 0, w: 4 },
-    { dx: -2, dy: 1, w: 2 },
-    { dx: -1, dy: 1, w: 4 },
-    { dx: 0, dy: 1, w: 8 },
-    { dx: 1, dy: 1, w: 4 },
-    { dx: 2, dy: 1, w: 2 },
-    { dx: -2, dy: 2, w: 1 },
-    { dx: -1, dy: 2, w: 2 },
-    { dx: 0, dy: 2, w: 4 },
-    { dx: 1, dy: 2, w: 2 },
-    { dx: 2, dy: 2, w: 1 },
-  ];
-  const left = right.map((n) => ({ dx: -n.dx, dy: n.dy, w: n.w }));
-  return errorDiffuse(
-    rgbChannels,
-    alphaChannel,
+  return applyKernelDithering(
+    pixels,
     palette,
-    right,
-    left,
-    42,
+    DIFFUSION_KERNELS.stucki,
     strength,
     alphaThreshold,
     progressCallback,
-    serpentine
+    serpentine,
+    distanceMode,
+    exactMatch,
+    errorSpace
   );
 }
 
 function applyBurkesDithering(
-  rgbChannels,
-  alphaChannel,
+  pixels,
   palette,
   strength = 1.0,
   alphaThreshold = 128,
   progressCallback = null,
-  serpentine = false
+  serpentine = false,
+  distanceMode = "lab",
+  exactMatch = false,
+  errorSpace = "srgb"
 ) {
-  const right = [
-    { dx: 1, dy: 0, w: 8 },
-    { dx: 2, dy: 0, w: 4 },
-    { dx: -2, dy: 1, w: 2 },
-    { dx: -1, dy: 1, w: 4 },
-    { dx: 0, dy: 1, w: 8 },
-    { dx: 1, dy: 1, w: 4 },
-    { dx: 2, dy: 1, w: 2 },
-  ];
-  const left = right.map((n) => ({ dx: -n.dx, dy: n.dy, w: n.w }));
-  return errorDiffuse(
-    rgbChannels,
-    alphaChannel,
+  return applyKernelDithering(
+    pixels,
     palette,
-    right,
-    left,
-    32,
+    DIFFUSION_KERNELS.burkes,
     strength,
     alphaThreshold,
     progressCallback,
-    serpentine
+    serpentine,
+    distanceMode,
+    exactMatch,
+    errorSpace
   );
 }
 
 function applyAtkinsonDithering(
-  rgbChannels,
-  alphaChannel,
+  pixels,
   palette,
   strength = 1.0,
   alphaThreshold = 128,
   progressCallback = null,
-  serpentine = false
+  serpentine = false,
+  distanceMode = "lab",
+  exactMatch = false,
+  errorSpace = "srgb"
 ) {
-  const right = [
-    { dx: 1, dy: 0, w: 1 },
-    { dx: 2, dy: 0, w: 1 },
-    { dx: -1, dy: 1, w: 1 },
-    { dx: 0, dy: 1, w: 1 },
-    { dx: 1, dy: 1, w: 1 },
-    { dx: 0, dy: 2, w: 1 },
-  ];
-  const left = right.map((n) => ({ dx: -n.dx, dy: n.dy, w: n.w }));
-  return errorDiffuse(
-    rgbChannels,
-    alphaChannel,
+  return applyKernelDithering(
+    pixels,
     palette,
-    right,
-    left,
-    8,
+    DIFFUSION_KERNELS.atkinson,
     strength,
     alphaThreshold,
     progressCallback,
-    serpentine
+    serpentine,
+    distanceMode,
+    exactMatch,
+    errorSpace
   );
 }
 
 function applySierraLiteDithering(
-  rgbChannels,
-  alphaChannel,
+  pixels,
   palette,
   strength = 1.0,
   alphaThreshold = 128,
   progressCallback = null,
-  serpentine = false
+  serpentine = false,
+  distanceMode = "lab",
+  exactMatch = false,
+  errorSpace = "srgb"
 ) {
-  const right = [
-    { dx: 1, dy: 0, w: 2 },
-    { dx: -1, dy: 1, w: 1 },
-    { dx: 0, dy: 1, w: 1 },
-  ];
-  const left = right.map((n) => ({ dx: -n.dx, dy: n.dy, w: n.w }));
-  return errorDiffuse(
-    rgbChannels,
-    alphaChannel,
+  return applyKernelDithering(
+    pixels,
     palette,
-    right,
-    left,
-    4,
+    DIFFUSION_KERNELS.sierra_lite,
     strength,
     alphaThreshold,
     progressCallback,
-    serpentine
+    serpentine,
+    distanceMode,
+    exactMatch,
+    errorSpace
   );
 }
 
 function applySierra2Dithering(
-  rgbChannels,
-  alphaChannel,
+  pixels,
   palette,
   strength = 1.0,
   alphaThreshold = 128,
   progressCallback = null,
-  serpentine = false
+  serpentine = false,
+  distanceMode = "lab",
+  exactMatch = false,
+  errorSpace = "srgb"
 ) {
-  const right = [
-    { dx: 1, dy: 0, w: 4 },
-    { dx: 2, dy: 0, w: 3 },
-    { dx: -2, dy: 1, w: 1 },
-    { dx: -1, dy: 1, w: 2 },
-    { dx: 0, dy: 1, w: 3 },
-    { dx: 1, dy: 1, w: 2 },
-    { dx: 2, dy: 1, w: 1 },
-  ];
-  const left = right.map((n) => ({ dx: -n.dx, dy: n.dy, w: n.w }));
-  return errorDiffuse(
-    rgbChannels,
-    alphaChannel,
+  return applyKernelDithering(
+    pixels,
     palette,
-    right,
-    left,
-    16,
+    DIFFUSION_KERNELS.sierra2,
     strength,
     alphaThreshold,
     progressCallback,
-    serpentine
+    serpentine,
+    distanceMode,
+    exactMatch,
+    errorSpace
   );
 }
 
 function applySierra3Dithering(
-  rgbChannels,
-  alphaChannel,
+  pixels,
   palette,
   strength = 1.0,
   alphaThreshold = 128,
   progressCallback = null,
-  serpentine = false
+  serpentine = false,
+  distanceMode = "lab",
+  exactMatch = false,
+  errorSpace = "srgb"
 ) {
-  const right = [
-    { dx: 1, dy: 0, w: 5 },
-    { dx: 2, dy: 0, w: 3 },
-    { dx: -2, dy: 1, w: 2 },
-    { dx: -1, dy: 1, w: 4 },
-    { dx: 0, dy: 1, w: 5 },
-    { dx: 1, dy: 1, w: 4 },
-    { dx: 2, dy: 1, w: 2 },
-    { dx: -1, dy: 2, w: 2 },
-    { dx: 0, dy: 2, w: 3 },
-    { dx: 1, dy: 2, w: 2 },
-  ];
-  const left = right.map((n) => ({ dx: -n.dx, dy: n.dy, w: n.w }));
-  return errorDiffuse(
-    rgbChannels,
-    alphaChannel,
+  return applyKernelDithering(
+    pixels,
     palette,
-    right,
-    left,
-    32,
+    DIFFUSION_KERNELS.sierra3,
     strength,
     alphaThreshold,
     progressCallback,
-    serpentine
+    serpentine,
+    distanceMode,
+    exactMatch,
+    errorSpace
   );
 }
 
+// Ostromoukhov's variable coefficients (SIGGRAPH 2001) for input levels
+// 0..127 as [right, down-left, down] triples; levels 128..255 mirror them.
+// Rows are normalized when the weight table is built.
+const OSTROMOUKHOV_COEFS = [
+  13, 0, 5, 13, 0, 5, 21, 0, 10, 7, 0, 4, 8, 0, 5, 47, 3, 28, 23, 3, 13, 15, 3,
+  8, 22, 6, 11, 43, 15, 20, 7, 3, 3, 501, 224, 211, 249, 116, 103, 165, 80, 67,
+  123, 62, 49, 489, 256, 191, 81, 44, 31, 483, 272, 181, 60, 35, 22, 53, 32, 19,
+  237, 148, 83, 471, 304, 161, 3, 2, 1, 481, 314, 185, 354, 226, 155, 1389, 866,
+  685, 227, 138, 125, 267, 158, 163, 327, 188, 220, 61, 34, 45, 627, 338, 505,
+  1227, 638, 1075, 20, 10, 19, 1937, 1000, 1767, 977, 520, 855, 657, 360, 551,
+  71, 40, 57, 2005, 1160, 1539, 337, 200, 247, 2039, 1240, 1425, 257, 160, 171,
+  691, 440, 437, 1045, 680, 627, 301, 200, 171, 177, 120, 95, 2141, 1480, 1083,
+  1079, 760, 513, 725, 520, 323, 137, 100, 57, 2209, 1640, 855, 53, 40, 19,
+  2243, 1720, 741, 565, 440, 171, 759, 600, 209, 1147, 920, 285, 2311, 1880,
+  513, 97, 80, 19, 335, 280, 57, 1181, 1000, 171, 793, 680, 95, 599, 520, 57,
+  2413, 2120, 171, 405, 360, 19, 2447, 2200, 57, 11, 10, 0, 158, 151, 3, 178,
+  179, 7, 1030, 1091, 63, 248, 277, 21, 318, 375, 35, 458, 571, 63, 878, 1159,
+  147, 5, 7, 1, 172, 181, 37, 97, 76, 22, 72, 41, 17, 119, 47, 29, 4, 1, 1, 4,
+  1, 1, 4, 1, 1, 4, 1, 1, 4, 1, 1, 4, 1, 1, 4, 1, 1, 4, 1, 1, 4, 1, 1, 65, 18,
+  17, 95, 29, 26, 185, 62, 53, 30, 11, 9, 35, 14, 11, 85, 37, 28, 55, 26, 19,
+  80, 41, 29, 155, 86, 59, 5, 3, 2, 5, 3, 2, 5, 3, 2, 5, 3, 2, 5, 3, 2, 5, 3, 2,
+  5, 3, 2, 5, 3, 2, 5, 3, 2, 5, 3, 2, 5, 3, 2, 5, 3, 2, 5, 3, 2, 305, 176, 119,
+  155, 86, 59, 105, 56, 39, 80, 41, 29, 65, 32, 23, 55, 26, 19, 335, 152, 113,
+  85, 37, 28, 115, 48, 37, 35, 14, 11, 355, 136, 109, 30, 11, 9, 365, 128, 107,
+  185, 62, 53, 25, 8, 7, 95, 29, 26, 385, 112, 103, 65, 18, 17, 395, 104, 101,
+  4, 1, 1,
+];
+let _ostromoukhovWeights = null; // Float32Array(256 * 3)
+
+function getOstromoukhovWeights() {
+  if (_ostromoukhovWeights) return _ostromoukhovWeights;
+  const weights = new Float32Array(256 * 3);
+  for (let v = 0; v < 256; v++) {
+    const k = (v < 128 ? v : 255 - v) * 3;
+    const sum =
+      OSTROMOUKHOV_COEFS[k] +
+      OSTROMOUKHOV_COEFS[k + 1] +
+      OSTROMOUKHOV_COEFS[k + 2];
+    for (let j = 0; j < 3; j++) {
+      weights[v * 3 + j] = OSTROMOUKHOV_COEFS[k + j] / sum;
+    }
+  }
+  _ostromoukhovWeights = weights;
+  return weights;
+}
+
+/**
+ * Ostromoukhov variable-coefficient error diffusion. Each channel's error is
+ * split between the right, down-left and down neighbours with weights picked
+ * by that channel's input level, which breaks up the regular textures fixed
+ * kernels leave in flat tones. Works best with serpentine scanning.
+ */
+function applyOstromoukhovDithering(
+  pixels,
+  palette,
+  strength = 1.0,
+  alphaThreshold = 128,
+  progressCallback = null,
+  serpentine = true,
+  distanceMode = "lab",
+  exactMatch = false,
+  errorSpace = "srgb"
+) {
+  const { width: w, height: h, rgb, alpha, mask } = pixels;
+  const space = getErrorSpace(errorSpace);
+  const { lo, hi } = space;
+  const work = toErrorSpace(rgb, space); // accumulates diffused error
+  const target = palette.map((c) => space.toSpace(c));
+  const out = new Uint8Array(w * h).fill(TRANSPARENT_INDEX);
+  const reportEvery = Math.max(1, Math.floor(h / 50));
+  const match = getPaletteMatcher(palette, distanceMode, { exact: exactMatch });
+  const weights = getOstromoukhovWeights();
+
+  // Add error e to channel c of pixel (nx, ny) if it is in bounds and
+  // opaque, scaled by its mask value
+  const spread = (nx, ny, c, e) => {
+    if (nx < 0 || nx >= w || ny >= h) return;
+    const ni = ny * w + nx;
+    if (alpha[ni] < alphaThreshold) return;
+    if (mask) e *= mask[ni] / 255;
+    work[ni * 3 + c] = clamp(work[ni * 3 + c] + e, lo[c], hi[c]);
+  };
+
+  for (let y = 0; y < h; y++) {
+    const leftToRight = serpentine ? y % 2 === 0 : true;
+    const xStart = leftToRight ? 0 : w - 1;
+    const xEnd = leftToRight ? w : -1;
+    const xStep = leftToRight ? 1 : -1;
+
+    for (let x = xStart; x !== xEnd; x += xStep) {
+      const i = y * w + x;
+      if (alpha[i] < alphaThreshold) continue;
+      const o = i * 3;
+      const srgb = space.toSrgb([work[o], work[o + 1], work[o + 2]]);
+      const idx = match.nearest(srgb[0], srgb[1], srgb[2]);
+      out[i] = idx;
+      const newP = target[idx];
+
+      for (let c = 0; c < 3; c++) {
+        const err = (work[o + c] - newP[c]) * strength;
+        if (err === 0) continue;
+        const k = Math.round(clamp(rgb[o + c], 0, 255)) * 3;
+        spread(x + xStep, y, c, err * weights[k]);
+        spread(x - xStep, y + 1, c, err * weights[k + 1]);
+        spread(x, y + 1, c, err * weights[k + 2]);
+      }
+    }
+
+    if (progressCallback && y % reportEvery === 0) {
+      progressCallback((y + 1) / h);
+    }
+  }
+  if (progressCallback) progressCallback(1);
+  return out;
+}
+
+// Pixel indices in generalized Hilbert ("gilbert") order, which covers any
+// w×h rectangle with unit steps. The last order is kept for repeat runs.
+let _curveCache = null; // {w, h, order}
+function hilbertOrder(w, h) {
+  if (_curveCache && _curveCache.w === w && _curveCache.h === h) {
+    return _curveCache.order;
+  }
+  const order = new Int32Array(w * h);
+  let n = 0;
+  const sign = (v) => (v > 0 ? 1 : v < 0 ? -1 : 0);
+  const walk = (x, y, ax, ay, bx, by) => {
+    const width = Math.abs(ax + ay);
+    const height = Math.abs(bx + by);
+    const dax = sign(ax);
+    const day = sign(ay);
+    const dbx = sign(bx);
+    const dby = sign(by);
+    if (height === 1) {
+      for (let i = 0; i < width; i++, x += dax, y += day)
+        order[n++] = y * w + x;
+      return;
+    }
+    if (width === 1) {
+      for (let i = 0; i < height; i++, x += dbx, y += dby)
+        order[n++] = y * w + x;
+      return;
+    }
+    let ax2 = Math.floor(ax / 2);
+    let ay2 = Math.floor(ay / 2);
+    let bx2 = Math.floor(bx / 2);
+    let by2 = Math.floor(by / 2);
+    const width2 = Math.abs(ax2 + ay2);
+    const height2 = Math.abs(bx2 + by2);
+    if (2 * width > 3 * height) {
+      // Long case: split in two along the major axis
+      if (width2 % 2 && width > 2) {
+        ax2 += dax;
+        ay2 += day;
+      }
+      walk(x, y, ax2, ay2, bx, by);
+      walk(x + ax2, y + ay2, ax - ax2, ay - ay2, bx, by);
+    } else {
+      // Standard case: one step up, one long horizontal, one step down
+      if (height2 % 2 && height > 2) {
+        bx2 += dbx;
+        by2 += dby;
+      }
+      walk(x, y, bx2, by2, ax2, ay2);
+      walk(x + bx2, y + by2, ax, ay, bx - bx2, by - by2);
+      walk(
+        x + (ax - dax) + (bx2 - dbx),
+        y + (ay - day) + (by2 - dby),
+        -bx2,
+        -by2,
+        -(ax - ax2),
+        -(ay - ay2)
+      );
+    }
+  };
+  if (w >= h) walk(0, 0, w, 0, 0, h);
+  else walk(0, 0, 0, h, w, 0);
+  _curveCache = { w, h, order };
+  return order;
+}
+
+/**
+ * Riemersma dithering: walk a Hilbert curve and add a weighted history of
+ * recent quantization errors, newest weighted most. The curve has no scan
+ * direction, so there are no directional worms.
+ * @param {{width:number,height:number,rgb:Float32Array,alpha:Uint8Array}} pixels - Working buffer
+ * @param {number[][]} palette - Array of [r,g,b]
+ * @param {number} strength - 0.1..1.0
+ * @param {number} alphaThreshold - 0..255
+ * @param {(p:number)=>void} progressCallback
+ * @param {string} [distanceMode="lab"] - Palette matching mode, see findClosestColorInPalette
+ * @param {boolean} [exactMatch=false] - Search the palette per pixel instead of the lookup table
+ * @param {number} [historySize=16] - Errors remembered along the curve
+ * @param {"srgb"|"linear"|"lab"|"oklab"} [errorSpace="srgb"] - Space errors are measured in
+ * @returns {Uint8Array} palette index per pixel
+ */
+function applyRiemersmaDithering(
+  pixels,
+  palette,
+  strength = 1.0,
+  alphaThreshold = 128,
+  progressCallback = null,
+  distanceMode = "lab",
+  exactMatch = false,
+  historySize = 16,
+  errorSpace = "srgb"
+) {
+  const { width: w, height: h, rgb, alpha, mask } = pixels;
+  const out = new Uint8Array(w * h).fill(TRANSPARENT_INDEX);
+  const match = getPaletteMatcher(palette, distanceMode, { exact: exactMatch });
+  const order = hilbertOrder(w, h);
+  const space = getErrorSpace(errorSpace);
+  const { lo, hi } = space;
+  const source = toErrorSpace(rgb, space);
+  const target = palette.map((c) => space.toSpace(c));
+
+  // Weights grow geometrically from 1 (oldest) to MAX_RATIO (newest)
+  const MAX_RATIO = 16;
+  const weights = new Float32Array(historySize);
+  const ratio = Math.exp(Math.log(MAX_RATIO) / (historySize - 1));
+  for (let i = 0, v = 1; i < historySize; i++, v *= ratio) weights[i] = v;
+  const scale = strength / MAX_RATIO;
+
+  // Ring buffer of per-channel errors, head = oldest entry
+  const history = new Float32Array(historySize * 3);
+  let head = 0;
+  const total = order.length;
+  const reportEvery = Math.max(1, Math.floor(total / 50));
+
+  for (let n = 0; n < total; n++) {
+    const i = order[n];
+    if (alpha[i] >= alphaThreshold) {
+      let er = 0;
+      let eg = 0;
+      let eb = 0;
+      for (let k = 0; k < historySize; k++) {
+        const e = ((head + k) % historySize) * 3;
+        er += history[e] * weights[k];
+        eg += history[e + 1] * weights[k];
+        eb += history[e + 2] * weights[k];
+      }
+      const o = i * 3;
+      const r = source[o];
+      const g = source[o + 1];
+      const b = source[o + 2];
+      const k = mask ? (scale * mask[i]) / 255 : scale;
+      const srgb = space.toSrgb([
+        clamp(r + er * k, lo[0], hi[0]),
+        clamp(g + eg * k, lo[1], hi[1]),
+        clamp(b + eb * k, lo[2], hi[2]),
+      ]);
+      const idx = match.nearest(srgb[0], srgb[1], srgb[2]);
+      out[i] = idx;
+      // Replace the oldest error with this pixel's (against the original)
+      const c = target[idx];
+      const e = head * 3;
+      history[e] = r - c[0];
+      history[e + 1] = g - c[1];
+      history[e + 2] = b - c[2];
+      head = (head + 1) % historySize;
+    }
+    if (progressCallback && n % reportEvery === 0) {
+      progressCallback((n + 1) / total);
+    }
+  }
+  if (progressCallback) progressCallback(1);
+  return out;
+}
+
 // Halftone (8x8 ordered) dithering
 function applyHalftoneDithering(
-  rgbChannels,
-  alphaChannel,
+  pixels,
   palette,
   intensity = 64,
   alphaThreshold = 128,
-  progressCallback = null
+  progressCallback = null,
+  distanceMode = "lab",
+  exactMatch = false
+) {
+  return orderedDither(
+    pixels,
+    palette,
+    getHalftoneMap(),
+    intensity,
+    alphaThreshold,
+    progressCallback,
+    distanceMode,
+    exactMatch
+  );
+}
+
+/**
+ * Ordered dithering with a void-and-cluster blue-noise map: stable like
+ * Bayer, without its cross-hatch texture
+ * @param {number} [size=64] - Tile size: 16, 32 or 64
+ */
+function applyBlueNoiseDithering(
+  pixels,
+  palette,
+  intensity = 32,
+  alphaThreshold = 128,
+  progressCallback = null,
+  distanceMode = "lab",
+  exactMatch = false,
+  size = 64
 ) {
-  const mat = [
-    [24, 3, 19, 8, 25, 4, 20, 9],
-    [12, 43, 52, 35, 11, 44, 53, 36],
-    [18, 51, 60, 42, 17, 50, 59, 41],
-    [7, 34, 40, 58, 6, 33, 39, 57],
-    [26, 5, 21, 10, 27, 2, 22, 1],
-    [13, 45, 54, 37, 14, 46, 55, 38],
-    [16, 49, 58, 40, 15, 48, 57, 39],
-    [1, 32, 38, 56, 0, 31, 37, 55],
-  ];
-  const norm = mat.map((r) => r.map((v) => v / 64 - 0.5));
-  const h = rgbChannels.length;
-  const w = rgbChannels[0].length;
-  const out = rgbChannels.map((row) => row.map((p) => [...p]));
-  const scale = intensity / 255;
+  return orderedDither(
+    pixels,
+    palette,
+    getBlueNoiseMap(size),
+    intensity,
+    alphaThreshold,
+    progressCallback,
+    distanceMode,
+    exactMatch
+  );
+}
+
+/**
+ * Yliluoma's arbitrary-palette positional dithering (algorithm 2). Each
+ * colour gets a mixing plan: a multiset of palette entries whose average
+ * best matches it, chosen greedily and sorted by luma. The threshold map
+ * then picks one plan entry per pixel, so patterns stay stable like Bayer
+ * while mixes follow the palette instead of a fixed offset.
+ * @param {{width:number,height:number,rgb:Float32Array,alpha:Uint8Array}} pixels - Working buffer
+ * @param {number[][]} palette - Array of [r,g,b]
+ * @param {number} alphaThreshold - 0..255
+ * @param {(p:number)=>void} progressCallback
+ * @param {string} [distanceMode="lab"] - Distance used to score mixes
+ * @param {number} [planSize=16] - Entries per mixing plan (mix granularity)
+ * @param {number} [matrixSize=8] - Bayer matrix size for entry selection
+ * @param {boolean} [linearMix=true] - Average colours in linear light
+ * @returns {Uint8Array} palette index per pixel
+ */
+function applyYliluomaDithering(
+  pixels,
+  palette,
+  alphaThreshold = 128,
+  progressCallback = null,
+  distanceMode = "lab",
+  planSize = 16,
+  matrixSize = 8,
+  linearMix = true
+) {
+  const { width: w, height: h, rgb, alpha, mask } = pixels;
+  const out = new Uint8Array(w * h).fill(TRANSPARENT_INDEX);
+  const { size, values } = getBayerMap(matrixSize);
+  const reportEvery = Math.max(1, Math.floor(h / 50));
+  // Masked pixels narrow the entries they pick toward the nearest colour's
+  // place in the plan (sorted by luma); a zero mask gets the nearest colour
+  const match = mask ? getPaletteMatcher(palette, distanceMode) : null;
+
+  // Colours are summed and averaged in mixing space (linear 0..1 or sRGB)
+  const mixPalette = linearMix
+    ? palette.map((c) => c.map(srgbToLinear))
+    : palette;
+  const luma = palette.map((c) => 0.299 * c[0] + 0.587 * c[1] + 0.114 * c[2]);
+
+  // Plans are shared by all colours in a 6-bit cell (4 sRGB steps)
+  const cacheKey = `${distanceMode}|${planSize}|${linearMix}|${palette
+    .map((c) => c.join(","))
+    .join(";")}`;
+  let plans = _planCache.get(cacheKey);
+  if (plans) _planCache.delete(cacheKey); // refresh recency
+  else plans = new Map();
+  _planCache.set(cacheKey, plans);
+  while (_planCache.size > MAX_CACHED_PLAN_SETS) {
+    _planCache.delete(_planCache.keys().next().value);
+  }
+  const target = [0, 0, 0];
+  const test = [0, 0, 0];
+  const planFor = (r, g, b) => {
+    const qr = (r <= 0 ? 0 : r >= 255 ? 255 : (r + 0.5) | 0) >> 2;
+    const qg = (g <= 0 ? 0 : g >= 255 ? 255 : (g + 0.5) | 0) >> 2;
+    const qb = (b <= 0 ? 0 : b >= 255 ? 255 : (b + 0.5) | 0) >> 2;
+    const key = (qr << 12) | (qg << 6) | qb;
+    let plan = plans.get(key);
+    if (plan) return plan;
+
+    target[0] = (qr << 2) + 1.5;
+    target[1] = (qg << 2) + 1.5;
+    target[2] = (qb << 2) + 1.5;
+    const distance = createColorComparer(target, distanceMode, linearMix);
+    const entries = [];
+    const sum = [0, 0, 0];
+    while (entries.length < planSize) {
+      // Try adding 1, 2, 4… copies of each colour (up to doubling the plan)
+      const maxCount = Math.min(
+        Math.max(1, entries.length),
+        planSize - entries.length
+      );
+      let best = Infinity;
+      let chosen = 0;
+      let chosenCount = 1;
+      for (let i = 0; i < palette.length; i++) {
+        const c = mixPalette[i];
+        for (let count = 1; count <= maxCount; count *= 2) {
+          const t = entries.length + count;
+          test[0] = (sum[0] + c[0] * count) / t;
+          test[1] = (sum[1] + c[1] * count) / t;
+          test[2] = (sum[2] + c[2] * count) / t;
+          const d = distance(test);
+          if (d < best) {
+            best = d;
+            chosen = i;
+            chosenCount = count;
+          }
+        }
+      }
+      const c = mixPalette[chosen];
+      for (let k = 0; k < chosenCount; k++) entries.push(chosen);
+      sum[0] += c[0] * chosenCount;
+      sum[1] += c[1] * chosenCount;
+      sum[2] += c[2] * chosenCount;
+    }
+    entries.sort((a, b) => luma[a] - luma[b]);
+    plan = Uint8Array.from(entries);
+    plans.set(key, plan);
+    return plan;
+  };
+
   for (let y = 0; y < h; y++) {
+    const row = (y % size) * size;
     for (let x = 0; x < w; x++) {
-      if (alphaChannel[y][x] < alphaThreshold) continue;
-      const t = norm[y % 8][x % 8] * scale * 255;
-      const p = out[y][x];
-      const adjusted = [p[0] + t, p[1] + t, p[2] + t];
-      out[y][x] = findClosestColorInPalette(adjusted, palette);
+      const i = y * w + x;
+      if (alpha[i] < alphaThreshold) continue;
+      const plan = planFor(rgb[i * 3], rgb[i * 3 + 1], rgb[i * 3 + 2]);
+      let t = values[row + (x % size)] + 0.5; // 0..1
+      if (mask && mask[i] < 255) {
+        const m = mask[i] / 255;
+        const near = match.nearest(rgb[i * 3], rgb[i * 3 + 1], rgb[i * 3 + 2]);
+        if (m === 0) {
+          out[i] = near;
+          continue;
+        }
+        const first = plan.indexOf(near);
+        const center =
+          first < 0
+            ? 0.5
+            : (first + plan.lastIndexOf(near) + 1) / 2 / plan.length;
+        t = center + (t - center) * m;
+      }
+      out[i] = plan[(t * plan.length) | 0];
+    }
+    if (progressCallback && y % reportEvery === 0) {
+      progressCallback((y + 1) / h);
     }
-    if (progressCallback && y % 25 === 0) progressCallback((y + 1) / h);
   }
   if (progressCallback) progressCallback(1);
   return out;
 }
 
+/**
+ * Turn partial coverage into a pattern of kept and dropped pixels, since
+ * placed pixels cannot be semi-transparent. Fully transparent and fully
+ * opaque pixels keep their state.
+ * @param {Uint8Array} alpha - Alpha per pixel (not modified)
+ * @param {number} width
+ * @param {number} height
+ * @param {"ordered"|"diffuse"} mode - 8×8 Bayer pattern, or serpentine
+ *   Floyd–Steinberg diffusion of the coverage error
+ * @param {number} [threshold=128] - Cut-off the pattern is centred on;
+ *   raising it drops more pixels
+ * @returns {Uint8Array} Alpha per pixel: 255 kept, 0 dropped
+ */
+function ditherAlpha(alpha, width, height, mode, threshold = 128) {
+  const out = new Uint8Array(width * height);
+  if (mode === "ordered") {
+    const { size, values } = getBayerMap(8);
+    for (let y = 0; y < height; y++) {
+      const row = (y % size) * size;
+      for (let x = 0; x < width; x++) {
+        const i = y * width + x;
+        const a = alpha[i];
+        const cut = threshold + values[row + (x % size)] * 255;
+        out[i] = a === 255 || (a > 0 && a >= cut) ? 255 : 0;
+      }
+    }
+    return out;
+  }
+  if (mode !== "diffuse") throw new Error(`Unknown alpha mode "${mode}"`);
+
+  const err = new Float32Array(width * height);
+  // Only partly covered pixels take part; error reaching others is dropped
+  const spread = (x, y, e) => {
+    if (x < 0 || x >= width || y >= height) return;
+    const i = y * width + x;
+    if (alpha[i] > 0 && alpha[i] < 255) err[i] += e;
+  };
+  for (let y = 0; y < height; y++) {
+    const step = y % 2 === 0 ? 1 : -1;
+    const xStart = step === 1 ? 0 : width - 1;
+    for (let x = xStart; x >= 0 && x < width; x += step) {
+      const i = y * width + x;
+      const a = alpha[i];
+      if (a === 0 || a === 255) {
+        out[i] = a;
+        continue;
+      }
+      const v = a + err[i];
+      out[i] = v >= threshold ? 255 : 0;
+      const e = (v - out[i]) / 16;
+      spread(x + step, y, e * 7);
+      spread(x - step, y + 1, e * 3);
+      spread(x, y + 1, e * 5);
+      spread(x + step, y + 1, e);
+    }
+  }
+  return out;
+}
+
 export {
+  TRANSPARENT_INDEX,
+  ditherAlpha,
+  DIFFUSION_KERNELS,
+  KERNEL_RADIUS,
+  normalizeKernel,
+  applyKernelDithering,
   applyFloydSteinbergDithering,
   applyJarvisDithering,
   applyStuckiDithering,
@@ -511,8 +1234,12 @@ export {
   applySierraLiteDithering,
   applySierra2Dithering,
   applySierra3Dithering,
+  applyOstromoukhovDithering,
+  applyRiemersmaDithering,
   applyBayerDithering,
   applyHalftoneDithering,
+  applyBlueNoiseDithering,
+  applyYliluomaDithering,
   applyRandomDithering,
   applyNoDithering,
 };
@@ -0,0 +1,222 @@
+/**
+ * Error-diffusion kernel editor.
+ * - Grid of integer weights around the current pixel (●); cells already
+ *   processed on the current row stay empty.
+ * - Divisor is the weight sum unless set by hand. The kernel for
+ *   right-to-left (serpentine) rows is mirrored when dithering.
+ * - Emits change events with a {weights, denom} kernel, see normalizeKernel.
+ */
+
+import {
+  DIFFUSION_KERNELS,
+  KERNEL_RADIUS,
+  normalizeKernel,
+} from "./dithering.js";
+import { getDitherer } from "./ditherRegistry.js";
+
+class KernelEditor {
+  constructor(container, kernel = DIFFUSION_KERNELS.floyd_steinberg) {
+    this.container = container;
+    this.inputs = new Map(); // "dx,dy" -> weight input
+    this.onChange = null; // function({weights, denom})
+    this._init();
+    this._setKernel(normalizeKernel(kernel));
+  }
+
+  _init() {
+    const wrapper = document.createElement("div");
+    wrapper.className = "kernel-editor";
+
+    const grid = document.createElement("div");
+    grid.className = "kernel-grid";
+    grid.style.gridTemplateColumns = `repeat(${2 * KERNEL_RADIUS + 1}, 3.5em)`;
+    for (let dy = 0; dy <= KERNEL_RADIUS; dy++) {
+      for (let dx = -KERNEL_RADIUS; dx <= KERNEL_RADIUS; dx++) {
+        if (dy === 0 && dx <= 0) {
+          const cell = document.createElement("span");
+          cell.className = "kernel-cell";
+          if (dx === 0) {
+            cell.textContent = "●";
+            cell.title = "Current pixel";
+          }
+          grid.appendChild(cell);
+          continue;
+        }
+        const input = document.createElement("input");
+        input.type = "number";
+        input.min = "0";
+        input.step = "1";
+        input.title = `Weight at dx ${dx}, dy ${dy}`;
+        input.addEventListener("input", () => this._emit());
+        this.inputs.set(`${dx},${dy}`, input);
+        grid.appendChild(input);
+      }
+    }
+
+    // Divisor: follows the weight sum while "Auto" is checked
+    const divisorRow = document.createElement("div");
+    divisorRow.className = "kernel-toolbar";
+    const divisorLbl = document.createElement("label");
+    divisorLbl.textContent = "Divisor ";
+    const divisor = document.createElement("input");
+    divisor.type = "number";
+    divisor.min = "1";
+    divisor.step = "1";
+    divisor.addEventListener("input", () => this._emit());
+    divisorLbl.appendChild(divisor);
+    const autoLbl = document.createElement("label");
+    autoLbl.className = "inline";
+    const auto = document.createElement("input");
+    auto.type = "checkbox";
+    auto.addEventListener("change", () => this._emit());
+    autoLbl.append(auto, " Auto (sum)");
+    const status = document.createElement("span");
+    status.className = "kernel-status";
+    divisorRow.append(divisorLbl, autoLbl, status);
+    this.divisor = divisor;
+    this.auto = auto;
+    this.status = status;
+
+    // Presets, Clear, Export/Import
+    const toolbar = document.createElement("div");
+    toolbar.className = "kernel-toolbar";
+    const presetSel = document.createElement("select");
+    const placeholder = document.createElement("option");
+    placeholder.value = "";
+    placeholder.textContent = "Load preset…";
+    presetSel.appendChild(placeholder);
+    for (const id of Object.keys(DIFFUSION_KERNELS)) {
+      const opt = document.createElement("option");
+      opt.value = id;
+      opt.textContent = getDitherer(id)?.name ?? id;
+      presetSel.appendChild(opt);
+    }
+    presetSel.addEventListener("change", () => {
+      const kernel = DIFFUSION_KERNELS[presetSel.value];
+      presetSel.value = "";
+      if (!kernel) return;
+      this._setKernel(kernel);
+      this._emit();
+    });
+
+    const clearBtn = document.createElement("button");
+    clearBtn.type = "button";
+    clearBtn.textContent = "Clear";
+    clearBtn.addEventListener("click", () => {
+      for (const input of this.inputs.values()) input.value = "0";
+      this.auto.checked = true;
+      this._emit();
+    });
+
+    const exportBtn = document.createElement("button");
+    exportBtn.type = "button";
+    exportBtn.textContent = "Export";
+    exportBtn.addEventListener("click", () => this._exportKernel());
+
+    const importBtn = document.createElement("button");
+    importBtn.type = "button";
+    importBtn.textContent = "Import";
+    const fileInput = document.createElement("input");
+    fileInput.type = "file";
+    fileInput.accept = "application/json, .json";
+    fileInput.style.display = "none";
+    importBtn.addEventListener("click", () => fileInput.click());
+    fileInput.addEventListener("change", async (e) => {
+      const f = e.target.files?.[0];
+      if (!f) return;
+      try {
+        const json = JSON.parse(await f.text());
+        this._importKernel(json);
+      } catch (err) {
+        console.error("Invalid kernel JSON", err);
+        alert(`Invalid kernel JSON: ${err.message}`);
+      } finally {
+        e.target.value = "";
+      }
+    });
+
+    toolbar.append(presetSel, clearBtn, exportBtn, importBtn, fileInput);
+    wrapper.append(grid, divisorRow, toolbar);
+    this.container.appendChild(wrapper);
+  }
+
+  // Kernel as entered; throws if it is not usable
+  _readKernel() {
+    const weights = [];
+    for (const [key, input] of this.inputs) {
+      const [dx, dy] = key.split(",").map(Number);
+      weights.push({ dx, dy, w: Number(input.value) || 0 });
+    }
+    const denom = this.auto.checked ? undefined : Number(this.divisor.value);
+    return normalizeKernel({ weights, denom });
+  }
+
+  _setKernel({ weights, denom }) {
+    for (const input of this.inputs.values()) input.value = "0";
+    let sum = 0;
+    for (const { dx, dy, w } of weights) {
+      this.inputs.get(`${dx},${dy}`).value = String(w);
+      sum += w;
+    }
+    this.auto.checked = denom == null || denom === sum;
+    this.divisor.value = String(denom ?? sum);
+    this._updateStatus();
+  }
+
+  _updateStatus(error) {
+    let sum = 0;
+    for (const input of this.inputs.values()) sum += Number(input.value) || 0;
+    this.divisor.disabled = this.auto.checked;
+    if (this.auto.checked) this.divisor.value = String(sum);
+    const share = Math.round((sum / Number(this.divisor.value)) * 100);
+    this.status.textContent =
+      error ??
+      (Number.isFinite(share) && share !== 100
+        ? `Sum ${sum}: diffuses ${share}% of the error`
+        : `Sum ${sum}`);
+    this.status.classList.toggle("error", !!error);
+  }
+
+  _emit() {
+    let kernel;
+    try {
+      kernel = this._readKernel();
+    } catch (err) {
+      this._updateStatus(err.message);
+      return;
+    }
+    this._updateStatus();
+    this.lastKernel = kernel;
+    this.onChange && this.onChange(kernel);
+  }
+
+  _exportKernel() {
+    let kernel;
+    try {
+      kernel = this._readKernel();
+    } catch (err) {
+      alert(`Cannot export kernel: ${err.message}`);
+      return;
+    }
+    const json = { version: 1, ...kernel };
+    const blob = new Blob([JSON.stringify(json, null, 2)], {
+      type: "application/json",
+    });
+    const url = URL.createObjectURL(blob);
+    const a = document.createElement("a");
+    a.href = url;
+    a.download = "kernel.json";
+    document.body.appendChild(a);
+    a.click();
+    document.body.removeChild(a);
+    URL.revokeObjectURL(url);
+  }
+
+  // Accepts the export format {weights:[{dx, dy, w}], denom?}
+  _importKernel(json) {
+    this._setKernel(normalizeKernel(json));
+    this._emit();
+  }
+}
+
+export { KernelEditor };
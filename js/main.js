@@ -1,42 +1,90 @@
 import {
-  FREE_PALETTE_COLORS,
-  EXTRA_PALETTE_COLORS,
   FULL_PALETTE_COLORS,
-  getPaletteAsRgb,
   ALL_COLOR_NAMES,
+  setSiteColorNames,
+  setCustomColorNames,
 } from "./colors.js";
-import { processImage, applyCurvesLUT } from "./imageProcessing.js";
 import { CurvesEditor } from "./curves.js";
+import {
+  createDitherMask,
+  ditherMaskFromImageData,
+  ditherMaskToImageData,
+  paintDitherMask,
+} from "./ditherMask.js";
+import { KernelEditor } from "./kernelEditor.js";
 import { displayImageWithGrid, downloadCanvas } from "./preview.js";
 import { zipFiles } from "./zip.js";
+import { computeTargetSize } from "./resize.js";
+import { rgbToHex } from "./utils.js";
+import { PipelineClient } from "./workerClient.js";
+import { prepareMatchImage } from "./convert.js";
+import { adviseUpgrades } from "./advisor.js";
+import { DEFAULT_PRESET, loadPresets } from "./presets.js";
+import {
+  PALETTE_FORMATS,
+  parsePaletteFile,
+  serializePalette,
+} from "./paletteFormats.js";
 import {
-  applyFloydSteinbergDithering,
-  applyNoDithering,
-  applyBayerDithering,
-  applyRandomDithering,
-  applyJarvisDithering,
-  applyStuckiDithering,
-  applyAtkinsonDithering,
-  applyBurkesDithering,
-  applySierraLiteDithering,
-  applySierra2Dithering,
-  applySierra3Dithering,
-  applyHalftoneDithering,
-} from "./dithering.js";
+  exportProfiles,
+  loadProfiles,
+  parseProfiles,
+  profilePalette,
+  saveProfiles,
+} from "./profiles.js";
 import {
-  imageDataToArrays,
-  arraysToImageData,
-  getColorStatistics,
-} from "./processor.js";
+  DITHER_CATEGORIES,
+  getDitherer,
+  listDitherers,
+  resolveDitherParams,
+} from "./ditherRegistry.js";
 
 const els = {
   fileInput: document.getElementById("fileInput"),
+  resizeMode: document.getElementById("resizeMode"),
+  resizeFilter: document.getElementById("resizeFilter"),
+  resizeOptions: document.getElementById("resizeOptions"),
+  resizeSizeFields: document.getElementById("resizeSizeFields"),
+  resizeWidth: document.getElementById("resizeWidth"),
+  resizeHeight: document.getElementById("resizeHeight"),
+  resizeLockLabel: document.getElementById("resizeLockLabel"),
+  resizeLockAspect: document.getElementById("resizeLockAspect"),
+  resizeScaleFields: document.getElementById("resizeScaleFields"),
+  resizeScale: document.getElementById("resizeScale"),
+  resizeInfo: document.getElementById("resizeInfo"),
+  site: document.getElementById("site"),
   paletteType: document.getElementById("paletteType"),
   customizePaletteBtn: document.getElementById("customizePaletteBtn"),
+  paletteImportBtn: document.getElementById("paletteImportBtn"),
+  paletteFile: document.getElementById("paletteFile"),
+  paletteExportFormat: document.getElementById("paletteExportFormat"),
+  paletteExportBtn: document.getElementById("paletteExportBtn"),
+  ownedOptions: document.getElementById("ownedOptions"),
+  ownedProfile: document.getElementById("ownedProfile"),
+  ownedEdit: document.getElementById("ownedEdit"),
+  ownedNew: document.getElementById("ownedNew"),
+  ownedRename: document.getElementById("ownedRename"),
+  ownedDelete: document.getElementById("ownedDelete"),
+  ownedExport: document.getElementById("ownedExport"),
+  ownedImport: document.getElementById("ownedImport"),
+  ownedFile: document.getElementById("ownedFile"),
+  ownedDialog: document.getElementById("ownedDialog"),
+  ownedDialogName: document.getElementById("ownedDialogName"),
+  ownedGrid: document.getElementById("ownedGrid"),
+  ownedSelectAll: document.getElementById("ownedSelectAll"),
+  ownedClear: document.getElementById("ownedClear"),
+  ownedCancel: document.getElementById("ownedCancel"),
+  ownedSave: document.getElementById("ownedSave"),
+  maxColors: document.getElementById("maxColors"),
+  paletteSubset: document.getElementById("paletteSubset"),
+  saveSubsetBtn: document.getElementById("saveSubsetBtn"),
   ditherMethod: document.getElementById("ditherMethod"),
-  strength: document.getElementById("strength"),
-  strengthVal: document.getElementById("strengthVal"),
-  serpentine: document.getElementById("serpentine"),
+  distanceMode: document.getElementById("distanceMode"),
+  exactMatch: document.getElementById("exactMatch"),
+  ditherParams: document.getElementById("ditherParams"),
+  adaptiveEnable: document.getElementById("adaptiveEnable"),
+  adaptiveSensitivity: document.getElementById("adaptiveSensitivity"),
+  adaptiveVal: document.getElementById("adaptiveVal"),
   brightness: document.getElementById("brightness"),
   brightnessVal: document.getElementById("brightnessVal"),
   contrast: document.getElementById("contrast"),
@@ -46,6 +94,22 @@ const els = {
   sharpen: document.getElementById("sharpen"),
   alphaThreshold: document.getElementById("alphaThreshold"),
   alphaVal: document.getElementById("alphaVal"),
+  alphaMode: document.getElementById("alphaMode"),
+  flattenEnable: document.getElementById("flattenEnable"),
+  flattenColor: document.getElementById("flattenColor"),
+  flattenPick: document.getElementById("flattenPick"),
+  flattenOutput: document.getElementById("flattenOutput"),
+  maskEdit: document.getElementById("maskEdit"),
+  maskBrush: document.getElementById("maskBrush"),
+  maskStrength: document.getElementById("maskStrength"),
+  maskStrengthVal: document.getElementById("maskStrengthVal"),
+  maskSize: document.getElementById("maskSize"),
+  maskSizeVal: document.getElementById("maskSizeVal"),
+  maskShow: document.getElementById("maskShow"),
+  maskClear: document.getElementById("maskClear"),
+  maskSave: document.getElementById("maskSave"),
+  maskLoad: document.getElementById("maskLoad"),
+  maskFile: document.getElementById("maskFile"),
   curvesEnable: document.getElementById("curvesEnable"),
   curvesContainer: document.getElementById("curvesContainer"),
   removeSemitransparent: document.getElementById("removeSemitransparent"),
@@ -59,31 +123,72 @@ const els = {
   live: document.getElementById("live"),
   canvas: document.getElementById("canvas"),
   status: document.getElementById("status"),
+  progressBar: document.getElementById("progressBar"),
   updateStatsBtn: document.getElementById("updateStatsBtn"),
   statsBody: document.getElementById("statsBody"),
+  advisorBtn: document.getElementById("advisorBtn"),
+  advisorSteps: document.getElementById("advisorSteps"),
+  advisorSummary: document.getElementById("advisorSummary"),
+  advisorPlan: document.getElementById("advisorPlan"),
+  advisorBody: document.getElementById("advisorBody"),
   paletteDialog: document.getElementById("paletteDialog"),
   paletteGrid: document.getElementById("paletteGrid"),
   paletteSelectAll: document.getElementById("paletteSelectAll"),
   paletteSelectFree: document.getElementById("paletteSelectFree"),
   paletteSelectPremium: document.getElementById("paletteSelectPremium"),
   paletteClear: document.getElementById("paletteClear"),
+  paletteAddColor: document.getElementById("paletteAddColor"),
+  paletteAddHex: document.getElementById("paletteAddHex"),
+  paletteAdd: document.getElementById("paletteAdd"),
+  palettePick: document.getElementById("palettePick"),
+  paletteList: document.getElementById("paletteList"),
+  paletteSaved: document.getElementById("paletteSaved"),
+  paletteLoad: document.getElementById("paletteLoad"),
+  paletteSaveAs: document.getElementById("paletteSaveAs"),
+  paletteDeleteSaved: document.getElementById("paletteDeleteSaved"),
+  paletteCount: document.getElementById("paletteCount"),
   paletteApply: document.getElementById("paletteApply"),
   paletteCancel: document.getElementById("paletteCancel"),
 };
 
 let srcImageData = null;
 let outputImageData = null;
-let customPalette = [...FULL_PALETTE_COLORS];
+let outputStats = []; // per-colour counts from the last conversion
+const savedPalettes = loadProfiles(); // owned-colours profiles + custom palette
+let customPalette = savedPalettes.custom?.length
+  ? savedPalettes.custom
+  : [...FULL_PALETTE_COLORS];
+setCustomColorNames(savedPalettes.customNames);
+let subsetPalette = null; // colours chosen under the colour budget
 let curvesEditor = null;
 let currentLuts = null; // {r,g,b,rgb}
+const ditherParamValues = {}; // by param key, shared across methods
+const pipeline = new PipelineClient();
+let processSeq = 0; // identifies the latest process() call
 
 const viewState = { zoom: 1, offsetX: 0, offsetY: 0 };
 const panState = { isPanning: false, lastX: 0, lastY: 0 };
+let pickingBackground = false; // next preview click samples the flatten colour
+let pickingPaletteColor = false; // next preview click adds a palette colour
+let paletteDraft = []; // {hex, name} entries while the palette editor is open
+let paletteBefore = null; // custom palette to restore if the editor is cancelled
+let presets = [DEFAULT_PRESET]; // replaced once presets/*.json are loaded
+let site = DEFAULT_PRESET; // canvas site the palettes and grid follow
+let ditherMask = null; // at source resolution, see ditherMask.js
+let maskOverlay = null; // canvas tinting the less-dithered areas
+const paintState = { isPainting: false, lastX: 0, lastY: 0 };
 
 function setStatus(text) {
   els.status.textContent = text || "";
 }
 
+// Show progress 0..1, or hide the bar with null
+function setProgress(value) {
+  if (!els.progressBar) return;
+  els.progressBar.hidden = value == null;
+  if (value != null) els.progressBar.value = value;
+}
+
 // Initialize and bind slider value labels
 function updateValue(el, label, transform = (v) => v) {
   if (!el || !label) return;
@@ -98,13 +203,109 @@ function bindValueLabel(rangeEl, labelEl, transform) {
   );
 }
 
+// Fill the dither select from the registry, one heading per category
+function buildDitherSelect() {
+  els.ditherMethod.innerHTML = "";
+  let category = null;
+  for (const d of listDitherers()) {
+    if (d.category !== category && d.category !== "none") {
+      const heading = document.createElement("option");
+      heading.disabled = true;
+      heading.textContent = `— ${DITHER_CATEGORIES[d.category]} —`;
+      els.ditherMethod.appendChild(heading);
+    }
+    category = d.category;
+    const opt = document.createElement("option");
+    opt.value = d.id;
+    opt.textContent = d.name;
+    els.ditherMethod.appendChild(opt);
+  }
+}
+
+// Build controls for the selected method's parameter schema
+function renderDitherParams() {
+  const ditherer = getDitherer(els.ditherMethod.value);
+  const params = ditherer?.params || [];
+  els.ditherParams.innerHTML = "";
+  els.ditherParams.hidden = !params.length;
+  if (!params.length) return;
+  const values = resolveDitherParams(ditherer, ditherParamValues);
+
+  for (const p of params) {
+    if (p.type === "kernel") {
+      const container = document.createElement("div");
+      container.className = "kernel-container";
+      els.ditherParams.appendChild(container);
+      const editor = new KernelEditor(container, values[p.key]);
+      editor.onChange = (kernel) => {
+        ditherParamValues[p.key] = kernel;
+        if (els.live?.checked) process();
+      };
+      continue;
+    }
+
+    const label = document.createElement("label");
+    label.className = "inline";
+    if (p.title) label.title = p.title;
+    let input;
+    if (p.type === "select") {
+      input = document.createElement("select");
+      for (const o of p.options) {
+        const opt = document.createElement("option");
+        opt.value = String(o.value);
+        opt.textContent = o.label;
+        input.appendChild(opt);
+      }
+    } else {
+      input = document.createElement("input");
+      input.type = p.type;
+      if (p.min != null) input.min = String(p.min);
+      if (p.max != null) input.max = String(p.max);
+      if (p.step != null) input.step = String(p.step);
+    }
+
+    if (p.type === "checkbox") {
+      input.checked = values[p.key];
+      label.append(input, ` ${p.label}`);
+      els.ditherParams.appendChild(label);
+    } else {
+      input.value = String(values[p.key]);
+      label.append(`${p.label} `);
+      els.ditherParams.append(label, input);
+      if (p.type === "range") {
+        const valueEl = document.createElement("span");
+        valueEl.className = "value";
+        label.appendChild(valueEl);
+        const decimals = (String(p.step ?? 1).split(".")[1] || "").length;
+        bindValueLabel(input, valueEl, (v) => v.toFixed(decimals));
+      }
+    }
+
+    input.addEventListener("input", () => {
+      ditherParamValues[p.key] =
+        p.type === "checkbox" ? input.checked : input.value;
+      if (els.live?.checked) process();
+    });
+  }
+}
+
+function siteColors() {
+  return [...site.free, ...site.paid];
+}
+
 function getActivePaletteHex() {
   const type = els.paletteType.value;
-  if (type === "free") return FREE_PALETTE_COLORS;
-  if (type === "full") return FULL_PALETTE_COLORS;
+  if (type === "free") return site.free;
+  if (type === "full") return siteColors();
+  if (type === "owned")
+    return profilePalette(
+      savedPalettes.profiles[savedPalettes.active],
+      site.free,
+      site.paid
+    );
   if (type === "custom")
     return customPalette.length ? customPalette : ["#000000", "#ffffff"];
-  return FREE_PALETTE_COLORS;
+  return site.free;
 }
 
 function readImageFile(file) {
@@ -128,6 +329,63 @@ function imageToImageData(img) {
   return ctx.getImageData(0, 0, canvas.width, canvas.height);
 }
 
+function getResizeConfig() {
+  return {
+    mode: els.resizeMode?.value || "none",
+    width: Number(els.resizeWidth?.value),
+    height: Number(els.resizeHeight?.value),
+    lockAspect: !!els.resizeLockAspect?.checked,
+    scale: Number(els.resizeScale?.value),
+    filter: els.resizeFilter?.value || "box",
+  };
+}
+
+function updateResizeUI() {
+  if (!els.resizeMode) return;
+  const mode = els.resizeMode.value;
+  els.resizeOptions.hidden = mode === "none";
+  els.resizeSizeFields.hidden = mode !== "size" && mode !== "fit";
+  els.resizeLockLabel.hidden = mode !== "size";
+  els.resizeScaleFields.hidden = mode !== "scale";
+  els.resizeFilter.disabled = mode === "none";
+  if (srcImageData) {
+    const { width, height } = computeTargetSize(
+      srcImageData.width,
+      srcImageData.height,
+      getResizeConfig()
+    );
+    els.resizeInfo.textContent = `${srcImageData.width}×${srcImageData.height} → ${width}×${height}`;
+  } else {
+    els.resizeInfo.textContent = "";
+  }
+}
+
+// Dithered alpha modes only produce opaque pixels, so the checkbox is moot
+function updateAlphaModeUI() {
+  if (!els.alphaMode) return;
+  const dithered = els.alphaMode.value !== "threshold";
+  els.removeSemitransparent.disabled = dithered;
+  els.removeSemitransparent.parentElement.title = dithered
+    ? "Dithered alpha modes always place fully opaque pixels"
+    : "";
+}
+
+// Keep width/height in proportion when aspect lock is on
+function syncResizeAspect(changed) {
+  if (!srcImageData || !els.resizeLockAspect.checked) return;
+  if (els.resizeMode.value !== "size") return;
+  const aspect = srcImageData.width / srcImageData.height;
+  if (changed === "width") {
+    const w = Number(els.resizeWidth.value);
+    if (w > 0)
+      els.resizeHeight.value = String(Math.max(1, Math.round(w / aspect)));
+  } else {
+    const h = Number(els.resizeHeight.value);
+    if (h > 0)
+      els.resizeWidth.value = String(Math.max(1, Math.round(h * aspect)));
+  }
+}
+
 function render(imageData) {
   // Match canvas buffer to CSS size once per change; avoid feedback resizing
   const cssW = Math.max(1, els.canvas.clientWidth || imageData.width);
@@ -142,6 +400,7 @@ function render(imageData) {
     zoom: viewState.zoom,
     offsetX: viewState.offsetX,
     offsetY: viewState.offsetY,
+    overlay: els.maskShow?.checked ? maskOverlay : null,
   });
 }
 
@@ -166,179 +425,67 @@ if (els.curvesContainer) {
   els.curvesContainer.style.display = "none";
 }
 
+// Collect conversion options from the controls (see convert)
+function getConvertOptions() {
+  return {
+    resize: getResizeConfig(),
+    curves: els.curvesEnable?.checked && currentLuts ? currentLuts : null,
+    adjustments: {
+      brightness: Number(els.brightness.value),
+      contrast: Number(els.contrast.value),
+      saturation: Number(els.saturation.value),
+      useSharpening: els.sharpen.checked,
+    },
+    flatten: els.flattenEnable?.checked
+      ? { color: els.flattenColor.value, output: els.flattenOutput.value }
+      : null,
+    palette: getActivePaletteHex(),
+    maxColors: Math.max(0, Math.floor(Number(els.maxColors?.value) || 0)),
+    dithering: els.ditherMethod.value,
+    ditherParams: { ...ditherParamValues },
+    distanceMode: els.distanceMode?.value || "lab",
+    exactMatch: !!els.exactMatch?.checked,
+    alphaThreshold: Number(els.alphaThreshold.value),
+    alphaMode: els.alphaMode?.value || "threshold",
+    removeSemitransparent: els.removeSemitransparent.checked,
+    colorNames: ALL_COLOR_NAMES, // with imported names (the worker has its own)
+    ditherMask,
+    adaptiveStrength: els.adaptiveEnable?.checked
+      ? Number(els.adaptiveSensitivity.value)
+      : 0,
+  };
+}
+
 async function process() {
   if (!srcImageData) return;
+  const seq = ++processSeq;
   setStatus("Processing…");
+  setProgress(0);
 
-  const width = srcImageData.width;
-  const height = srcImageData.height;
-  const config = {
-    brightness: Number(els.brightness.value),
-    contrast: Number(els.contrast.value),
-    saturation: Number(els.saturation.value),
-    useSharpening: els.sharpen.checked,
-  };
+  const options = getConvertOptions();
+  let result;
+  try {
+    result = await pipeline.run(options, (value) => {
+      if (seq === processSeq) setProgress(value);
+    });
+  } catch (err) {
+    // A newer request took over; it owns the status line now
+    if (err?.name === "AbortError") return;
+    console.error(err);
+    if (seq === processSeq) {
+      setProgress(null);
+      setStatus("Processing failed");
+    }
+    return;
+  }
+  if (seq !== processSeq) return;
 
-  let working = new ImageData(
-    new Uint8ClampedArray(srcImageData.data),
-    width,
-    height
+  setProgress(null);
+  outputImageData = result.imageData;
+  outputStats = result.stats;
+  showPaletteSubset(
+    result.palette.length < options.palette.length ? result.palette : null
   );
-  // Apply LUT before other image adjustments
-  if (els.curvesEnable?.checked && currentLuts) {
-    working = applyCurvesLUT(working, currentLuts);
-  }
-  working = processImage(working, width, height, config);
-
-  const paletteHex = getActivePaletteHex();
-  const paletteRgb = getPaletteAsRgb(paletteHex);
-
-  const { rgbChannels, alphaChannel } = imageDataToArrays(working);
-
-  const dithering = els.ditherMethod.value;
-  const alphaThreshold = Number(els.alphaThreshold.value);
-
-  let rgbOut;
-  const progress = () => {};
-  switch (dithering) {
-    case "floyd_steinberg":
-      rgbOut = applyFloydSteinbergDithering(
-        rgbChannels,
-        alphaChannel,
-        paletteRgb,
-        Number(els.strength.value),
-        alphaThreshold,
-        progress,
-        !!els.serpentine.checked
-      );
-      break;
-    case "jarvis":
-      rgbOut = applyJarvisDithering(
-        rgbChannels,
-        alphaChannel,
-        paletteRgb,
-        Number(els.strength.value),
-        alphaThreshold,
-        progress,
-        !!els.serpentine.checked
-      );
-      break;
-    case "stucki":
-      rgbOut = applyStuckiDithering(
-        rgbChannels,
-        alphaChannel,
-        paletteRgb,
-        Number(els.strength.value),
-        alphaThreshold,
-        progress,
-        !!els.serpentine.checked
-      );
-      break;
-    case "burkes":
-      rgbOut = applyBurkesDithering(
-        rgbChannels,
-        alphaChannel,
-        paletteRgb,
-        Number(els.strength.value),
-        alphaThreshold,
-        progress,
-        !!els.serpentine.checked
-      );
-      break;
-    case "atkinson":
-      rgbOut = applyAtkinsonDithering(
-        rgbChannels,
-        alphaChannel,
-        paletteRgb,
-        Number(els.strength.value),
-        alphaThreshold,
-        progress,
-        !!els.serpentine.checked
-      );
-      break;
-    case "sierra_lite":
-      rgbOut = applySierraLiteDithering(
-        rgbChannels,
-        alphaChannel,
-        paletteRgb,
-        Number(els.strength.value),
-        alphaThreshold,
-        progress,
-        !!els.serpentine.checked
-      );
-      break;
-    case "sierra2":
-      rgbOut = applySierra2Dithering(
-        rgbChannels,
-        alphaChannel,
-        paletteRgb,
-        Number(els.strength.value),
-        alphaThreshold,
-        progress,
-        !!els.serpentine.checked
-      );
-      break;
-    case "sierra3":
-      rgbOut = applySierra3Dithering(
-        rgbChannels,
-        alphaChannel,
-        paletteRgb,
-        Number(els.strength.value),
-        alphaThreshold,
-        progress,
-        !!els.serpentine.checked
-      );
-      break;
-    case "bayer":
-      rgbOut = applyBayerDithering(
-        rgbChannels,
-        alphaChannel,
-        paletteRgb,
-        Math.round(Number(els.strength.value) * 128) || 32,
-        alphaThreshold,
-        progress
-      );
-      break;
-    case "halftone":
-      rgbOut = applyHalftoneDithering(
-        rgbChannels,
-        alphaChannel,
-        paletteRgb,
-        Math.round(Number(els.strength.value) * 128) || 64,
-        alphaThreshold,
-        progress
-      );
-      break;
-    case "random":
-      rgbOut = applyRandomDithering(
-        rgbChannels,
-        alphaChannel,
-        paletteRgb,
-        Math.round(Number(els.strength.value) * 64) || 24,
-        alphaThreshold,
-        progress
-      );
-      break;
-    default:
-      rgbOut = applyNoDithering(
-        rgbChannels,
-        alphaChannel,
-        paletteRgb,
-        alphaThreshold,
-        progress
-      );
-  }
-
-  // Alpha handling
-  const finalAlpha = alphaChannel.map((row) =>
-    row.map((a) => {
-      if (a < alphaThreshold) return 0;
-      if (els.removeSemitransparent.checked) return 255;
-      return a;
-    })
-  );
-
-  outputImageData = arraysToImageData(rgbOut, finalAlpha, width, height);
   render(outputImageData);
   els.downloadBtn.disabled = false;
   els.downloadGridBtn && (els.downloadGridBtn.disabled = false);
@@ -347,143 +494,459 @@ async function process() {
   setStatus("Done");
 }
 
+// Table cell showing a colour with its hex code
+function createHexCell(hex) {
+  const hexTd = document.createElement("td");
+  hexTd.textContent = hex;
+  hexTd.style.background = hex;
+  // Choose readable text color based on luminance
+  try {
+    const r = parseInt(hex.slice(1, 3), 16);
+    const g = parseInt(hex.slice(3, 5), 16);
+    const b = parseInt(hex.slice(5, 7), 16);
+    const lum = 0.299 * r + 0.587 * g + 0.114 * b;
+    hexTd.style.color = lum < 140 ? "#fff" : "#000";
+  } catch (e) {
+    hexTd.style.color = "#000";
+  }
+  return hexTd;
+}
+
+// Row of text cells with the colour in the second column
+function createStatsRow(name, hex, ...values) {
+  const tr = document.createElement("tr");
+  const nameTd = document.createElement("td");
+  nameTd.textContent = name || "Unknown";
+  tr.append(nameTd, createHexCell(hex));
+  for (const value of values) {
+    const td = document.createElement("td");
+    td.textContent = String(value);
+    tr.appendChild(td);
+  }
+  return tr;
+}
+
 function updateStats() {
   if (!outputImageData || !els.statsBody) return;
-  const stats = getColorStatistics(
-    outputImageData,
-    ALL_COLOR_NAMES,
-    Number(els.alphaThreshold?.value) || 128
-  );
   els.statsBody.innerHTML = "";
-  for (const row of stats) {
-    const tr = document.createElement("tr");
-    const nameTd = document.createElement("td");
-    nameTd.textContent = row.name || "Unknown";
-    const hexTd = document.createElement("td");
-    hexTd.textContent = row.hex;
-    hexTd.style.background = row.hex;
-    // Choose readable text color based on luminance
-    try {
-      const r = parseInt(row.hex.slice(1, 3), 16);
-      const g = parseInt(row.hex.slice(3, 5), 16);
-      const b = parseInt(row.hex.slice(5, 7), 16);
-      const lum = 0.299 * r + 0.587 * g + 0.114 * b;
-      hexTd.style.color = lum < 140 ? "#fff" : "#000";
-    } catch (e) {
-      hexTd.style.color = "#000";
-    }
-    const countTd = document.createElement("td");
-    countTd.textContent = String(row.count);
-    tr.append(nameTd, hexTd, countTd);
-    els.statsBody.appendChild(tr);
+  for (const row of outputStats) {
+    els.statsBody.appendChild(createStatsRow(row.name, row.hex, row.count));
   }
 }
 
-// Palette dialog
-function buildPaletteDialog(selectedSet) {
-  els.paletteGrid.innerHTML = "";
-  FULL_PALETTE_COLORS.forEach((hex) => {
-    const wrap = document.createElement("label");
-    wrap.className = "swatch";
+// Premium colour advisor: runs on the image as the palette sees it, on the
+// main thread (one pass over the distinct colours)
+async function runAdvisor() {
+  if (!srcImageData) {
+    setStatus("Load an image to analyse");
+    return;
+  }
+  const options = getConvertOptions();
+  const steps = Math.max(1, Math.floor(Number(els.advisorSteps.value) || 5));
+  setStatus("Analysing premium colours…");
+  await new Promise((r) => setTimeout(r, 0)); // let the status paint
+  let report;
+  try {
+    report = adviseUpgrades(
+      prepareMatchImage(srcImageData, options),
+      options.palette,
+      site.paid,
+      {
+        distanceMode: options.distanceMode,
+        alphaThreshold: options.alphaThreshold,
+        steps,
+      }
+    );
+  } catch (err) {
+    console.error(err);
+    setStatus("Analysis failed");
+    return;
+  }
+  els.advisorPlan.innerHTML = "";
+  els.advisorBody.innerHTML = "";
+  for (const step of report.plan) {
+    els.advisorPlan.appendChild(
+      createStatsRow(
+        step.name,
+        step.hex,
+        `−${step.gain.toFixed(2)}`,
+        step.meanDeltaE.toFixed(2)
+      )
+    );
+  }
+  for (const row of report.ranking) {
+    els.advisorBody.appendChild(
+      createStatsRow(row.name, row.hex, `−${row.gain.toFixed(2)}`, row.pixels)
+    );
+  }
+  els.advisorSummary.textContent = report.ranking.length
+    ? `Mean ΔE now ${report.meanDeltaE.toFixed(2)} over ${report.pixels} pixels`
+    : "Every premium colour is already in the palette";
+  setStatus("Analysis done");
+}
+
+els.advisorBtn?.addEventListener("click", runAdvisor);
 
+// Colours kept under the colour budget, shown as swatches
+function showPaletteSubset(palette) {
+  subsetPalette = palette;
+  if (els.saveSubsetBtn) els.saveSubsetBtn.disabled = !palette;
+  if (!els.paletteSubset) return;
+  els.paletteSubset.innerHTML = "";
+  for (const hex of palette || []) {
     const box = document.createElement("span");
     box.className = "swatch-box";
     box.style.background = hex;
+    box.title = ALL_COLOR_NAMES[hex] ? `${ALL_COLOR_NAMES[hex]} ${hex}` : hex;
+    els.paletteSubset.appendChild(box);
+  }
+}
 
-    const cb = document.createElement("input");
-    cb.type = "checkbox";
-    cb.checked = selectedSet.has(hex);
-    cb.dataset.hex = hex;
-    // While dialog open, reflect changes into temp selection and live preview
-    cb.addEventListener("input", () => {
-      if (cb.checked) selectedSet.add(hex);
-      else selectedSet.delete(hex);
-      if (els.live?.checked) {
-        customPalette = Array.from(selectedSet);
-        // keep at least black/white as a fallback to avoid empty palette issues
-        if (!customPalette.length) customPalette = ["#000000", "#ffffff"];
-        process();
-      }
+els.saveSubsetBtn?.addEventListener("click", () => {
+  if (!subsetPalette) return;
+  customPalette = [...subsetPalette];
+  // Keep only the names of the colours that stay
+  const names = {};
+  for (const hex of customPalette) {
+    const name = savedPalettes.customNames[hex];
+    if (name) names[hex] = name;
+  }
+  savedPalettes.customNames = names;
+  setCustomColorNames(names);
+  savePalettes();
+  els.paletteType.value = "custom";
+  updatePaletteTypeUI();
+  setStatus(`Saved ${customPalette.length} colours as the custom palette`);
+});
+
+// Checkbox + colour + name, as used by the palette dialogs
+function createSwatch(hex, checked, onInput) {
+  const wrap = document.createElement("label");
+  wrap.className = "swatch";
+
+  const box = document.createElement("span");
+  box.className = "swatch-box";
+  box.style.background = hex;
+
+  const cb = document.createElement("input");
+  cb.type = "checkbox";
+  cb.checked = checked;
+  cb.dataset.hex = hex;
+  if (onInput) cb.addEventListener("input", () => onInput(cb.checked));
+
+  const name = document.createElement("span");
+  name.textContent = ALL_COLOR_NAMES?.[hex] || hex;
+
+  wrap.appendChild(cb);
+  wrap.appendChild(box);
+  wrap.appendChild(name);
+  return wrap;
+}
+
+// Palette editor: an ordered list of {hex, name} edited in place, with the
+// site's colours as toggles. The site's colours keep the site's names.
+let siteColorSet = new Set(FULL_PALETTE_COLORS); // follows applySite
+const MAX_PALETTE_COLORS = 255; // convert() limit
+
+function parseHexInput(value) {
+  const m = /^#?([0-9a-f]{6})$/i.exec(value.trim());
+  return m ? `#${m[1].toLowerCase()}` : null;
+}
+
+function draftNames() {
+  const names = {};
+  for (const { hex, name } of paletteDraft) {
+    if (name && !siteColorSet.has(hex)) names[hex] = name;
+  }
+  return names;
+}
+
+// Keep the first entry of a colour; an empty palette falls back to black/white
+function draftPalette() {
+  const hexes = [...new Set(paletteDraft.map(({ hex }) => hex))];
+  return hexes.length ? hexes : ["#000000", "#ffffff"];
+}
+
+// While the dialog is open, reflect changes into the live preview
+function paletteDraftChanged(rerender = true) {
+  if (rerender) renderPaletteEditor();
+  if (paletteDraft.length > MAX_PALETTE_COLORS) {
+    setStatus(
+      `${paletteDraft.length} colours (at most ${MAX_PALETTE_COLORS}); remove some to update the preview`
+    );
+    return;
+  }
+  if (els.live?.checked) {
+    setCustomColorNames(draftNames());
+    customPalette = draftPalette();
+    process();
+  }
+}
+
+function addDraftColor(hex, name = "") {
+  if (paletteDraft.length >= MAX_PALETTE_COLORS) {
+    setStatus(`The palette already has ${MAX_PALETTE_COLORS} colours`);
+    return;
+  }
+  if (paletteDraft.some((entry) => entry.hex === hex)) {
+    setStatus(`${hex} is already in the palette`);
+    return;
+  }
+  paletteDraft.push({ hex, name });
+  paletteDraftChanged();
+}
+
+function createPaletteRow(entry, index) {
+  const row = document.createElement("div");
+  row.className = "palette-row";
+  const builtIn = siteColorSet.has(entry.hex);
+
+  const color = document.createElement("input");
+  color.type = "color";
+  color.value = entry.hex;
+  const code = document.createElement("code");
+  code.textContent = entry.hex;
+  color.addEventListener("input", () => (code.textContent = color.value));
+  color.addEventListener("change", () => {
+    if (paletteDraft.some((e, k) => k !== index && e.hex === color.value)) {
+      setStatus(`${color.value} is already in the palette`);
+      renderPaletteEditor();
+      return;
+    }
+    entry.hex = color.value;
+    if (siteColorSet.has(entry.hex)) entry.name = "";
+    paletteDraftChanged();
+  });
+
+  const name = document.createElement("input");
+  name.type = "text";
+  name.placeholder = ALL_COLOR_NAMES[entry.hex] || "Name";
+  name.value = builtIn ? ALL_COLOR_NAMES[entry.hex] || "" : entry.name;
+  name.readOnly = builtIn;
+  if (builtIn) name.title = `${site.name} colour`;
+  name.addEventListener("input", () => {
+    entry.name = name.value.trim();
+  });
+  name.addEventListener("change", () => paletteDraftChanged(false));
+
+  const move = (label, title, delta) => {
+    const btn = document.createElement("button");
+    btn.type = "button";
+    btn.textContent = label;
+    btn.title = title;
+    const target = index + delta;
+    btn.disabled = target < 0 || target >= paletteDraft.length;
+    btn.addEventListener("click", () => {
+      [paletteDraft[index], paletteDraft[target]] = [
+        paletteDraft[target],
+        paletteDraft[index],
+      ];
+      paletteDraftChanged();
     });
+    return btn;
+  };
+  const remove = document.createElement("button");
+  remove.type = "button";
+  remove.textContent = "×";
+  remove.title = "Remove";
+  remove.addEventListener("click", () => {
+    paletteDraft.splice(index, 1);
+    paletteDraftChanged();
+  });
 
-    const name = document.createElement("span");
-    name.textContent = ALL_COLOR_NAMES?.[hex] || hex;
+  row.append(
+    color,
+    code,
+    name,
+    move("↑", "Move up", -1),
+    move("↓", "Move down", 1),
+    remove
+  );
+  return row;
+}
 
-    wrap.appendChild(cb);
-    wrap.appendChild(box);
-    wrap.appendChild(name);
+function renderSavedPaletteSelect() {
+  if (!els.paletteSaved) return;
+  const current = els.paletteSaved.value;
+  els.paletteSaved.length = 1; // keep the placeholder
+  for (const [name, colors] of Object.entries(savedPalettes.palettes)) {
+    const opt = document.createElement("option");
+    opt.value = name;
+    opt.textContent = `${name} (${colors.length})`;
+    els.paletteSaved.appendChild(opt);
+  }
+  els.paletteSaved.value = savedPalettes.palettes[current] ? current : "";
+}
 
-    els.paletteGrid.appendChild(wrap);
+function renderPaletteEditor() {
+  const selected = new Set(paletteDraft.map(({ hex }) => hex));
+  // A full palette can only lose colours
+  const full = paletteDraft.length >= MAX_PALETTE_COLORS;
+  els.paletteGrid.innerHTML = "";
+  siteColors().forEach((hex) => {
+    const swatch = createSwatch(hex, selected.has(hex), (checked) => {
+      if (checked) paletteDraft.push({ hex, name: "" });
+      else paletteDraft = paletteDraft.filter((entry) => entry.hex !== hex);
+      paletteDraftChanged();
+    });
+    swatch.querySelector("input").disabled = full && !selected.has(hex);
+    els.paletteGrid.appendChild(swatch);
   });
+  for (const el of [
+    els.paletteAddColor,
+    els.paletteAddHex,
+    els.paletteAdd,
+    els.palettePick,
+  ]) {
+    if (el) el.disabled = full;
+  }
+  if (!els.paletteList) return;
+  els.paletteList.innerHTML = "";
+  paletteDraft.forEach((entry, index) =>
+    els.paletteList.appendChild(createPaletteRow(entry, index))
+  );
+  els.paletteCount.textContent = `${paletteDraft.length} colours`;
+}
+
+// Replace the site's colours with exactly this set; other colours stay
+function selectBuiltInColors(colors) {
+  const wanted = new Set(colors);
+  const all = siteColors();
+  paletteDraft = [
+    ...all.filter((hex) => wanted.has(hex)).map((hex) => ({ hex, name: "" })),
+    ...paletteDraft.filter(({ hex }) => !all.includes(hex)),
+  ];
+  paletteDraftChanged();
+}
+
+function openPaletteEditor() {
+  renderSavedPaletteSelect();
+  renderPaletteEditor();
+  els.paletteDialog.showModal();
 }
 
 els.customizePaletteBtn?.addEventListener("click", () => {
   // Ensure toolbar has quick-select buttons even if HTML wasn't updated/cached
   ensurePaletteToolbarButtons();
-  const selected = new Set(customPalette);
-  buildPaletteDialog(selected);
-  els.paletteDialog.showModal();
+  paletteBefore = customPalette;
+  paletteDraft = customPalette.map((hex) => ({
+    hex,
+    name: savedPalettes.customNames?.[hex] ?? "",
+  }));
+  openPaletteEditor();
 });
 
-els.paletteSelectAll?.addEventListener("click", () => {
-  const selected = new Set(FULL_PALETTE_COLORS);
-  els.paletteGrid
-    .querySelectorAll("input[type=checkbox]")
-    .forEach((cb) => (cb.checked = true));
-  if (els.live?.checked) {
-    customPalette = Array.from(selected);
-    process();
+els.paletteSelectAll?.addEventListener("click", () =>
+  selectBuiltInColors(siteColors())
+);
+
+els.paletteClear?.addEventListener("click", () => {
+  paletteDraft = [];
+  paletteDraftChanged();
+});
+
+els.paletteAddColor?.addEventListener("change", () =>
+  addDraftColor(els.paletteAddColor.value)
+);
+
+els.paletteAdd?.addEventListener("click", () => {
+  const typed = els.paletteAddHex.value;
+  const hex = typed.trim() ? parseHexInput(typed) : els.paletteAddColor.value;
+  if (!hex) {
+    alert(`Invalid colour "${typed}" (use #rrggbb)`);
+    return;
   }
+  els.paletteAddHex.value = "";
+  addDraftColor(hex);
 });
 
-// Select exactly all FREE colors
-els.paletteSelectFree?.addEventListener("click", () => {
-  const freeSet = new Set(FREE_PALETTE_COLORS);
-  els.paletteGrid.querySelectorAll("input[type=checkbox]").forEach((cb) => {
-    const hex = cb.dataset.hex;
-    cb.checked = freeSet.has(hex);
-  });
-  if (els.live?.checked) {
-    customPalette = Array.from(freeSet);
-    process();
+// The dialog is modal, so it closes while the preview is clicked
+els.palettePick?.addEventListener("click", () => {
+  if (!srcImageData) {
+    setStatus("Load an image to pick colours from");
+    return;
   }
+  pickingPaletteColor = true;
+  els.paletteDialog.close();
+  els.canvas.style.cursor = "crosshair";
+  setStatus("Click the preview to add a colour from the source image");
 });
 
-// Select exactly all PREMIUM colors (extra set)
-els.paletteSelectPremium?.addEventListener("click", () => {
-  const premiumSet = new Set(EXTRA_PALETTE_COLORS);
-  els.paletteGrid.querySelectorAll("input[type=checkbox]").forEach((cb) => {
-    const hex = cb.dataset.hex;
-    cb.checked = premiumSet.has(hex);
-  });
-  if (els.live?.checked) {
-    customPalette = Array.from(premiumSet);
-    process();
+function pickPaletteColorAt(event) {
+  pickingPaletteColor = false;
+  els.canvas.style.cursor = "";
+  const point = sourcePointAt(event);
+  const x = Math.floor(point.x);
+  const y = Math.floor(point.y);
+  const { width, height, data } = srcImageData;
+  if (x < 0 || y < 0 || x >= width || y >= height) {
+    setStatus("Picked outside the image");
+  } else {
+    const i = (y * width + x) * 4;
+    addDraftColor(rgbToHex([data[i], data[i + 1], data[i + 2]]));
   }
+  openPaletteEditor();
+}
+
+els.paletteLoad?.addEventListener("click", () => {
+  const colors = savedPalettes.palettes[els.paletteSaved.value];
+  if (!colors) return;
+  paletteDraft = colors.map(({ hex, name }) => ({ hex, name: name ?? "" }));
+  paletteDraftChanged();
 });
 
-els.paletteClear?.addEventListener("click", () => {
-  els.paletteGrid
-    .querySelectorAll("input[type=checkbox]")
-    .forEach((cb) => (cb.checked = false));
-  if (els.live?.checked) {
-    customPalette = ["#000000", "#ffffff"];
-    process();
+els.paletteSaveAs?.addEventListener("click", () => {
+  const name = prompt("Save palette as", els.paletteSaved.value)?.trim();
+  if (!name) return;
+  if (
+    savedPalettes.palettes[name] &&
+    !confirm(`Replace the saved palette "${name}"?`)
+  ) {
+    return;
   }
+  savedPalettes.palettes[name] = paletteDraft.map(({ hex, name }) =>
+    name && !siteColorSet.has(hex) ? { hex, name } : { hex }
+  );
+  saveProfiles(savedPalettes);
+  renderSavedPaletteSelect();
+  els.paletteSaved.value = name;
+});
+
+els.paletteDeleteSaved?.addEventListener("click", () => {
+  const name = els.paletteSaved.value;
+  if (!name || !confirm(`Delete the saved palette "${name}"?`)) return;
+  delete savedPalettes.palettes[name];
+  saveProfiles(savedPalettes);
+  renderSavedPaletteSelect();
 });
 
 els.paletteApply?.addEventListener("click", () => {
-  const chosen = [];
-  els.paletteGrid.querySelectorAll("input[type=checkbox]").forEach((cb) => {
-    if (cb.checked) chosen.push(cb.dataset.hex);
-  });
-  customPalette = chosen.length ? chosen : ["#000000", "#ffffff"];
+  if (paletteDraft.length > MAX_PALETTE_COLORS) {
+    alert(`${paletteDraft.length} colours (at most ${MAX_PALETTE_COLORS})`);
+    return;
+  }
+  savedPalettes.customNames = draftNames();
+  setCustomColorNames(savedPalettes.customNames);
+  customPalette = draftPalette();
+  paletteBefore = null;
+  savePalettes();
   els.paletteDialog.close();
   if (els.live?.checked) process();
 });
 
 els.paletteCancel?.addEventListener("click", () => els.paletteDialog.close());
 
+// Closing without Apply (Cancel or Esc) undoes the live preview of the
+// draft; the dialog also closes while a colour is picked from the preview
+els.paletteDialog?.addEventListener("close", () => {
+  if (pickingPaletteColor || !paletteBefore) return;
+  setCustomColorNames(savedPalettes.customNames);
+  const changed = customPalette !== paletteBefore;
+  customPalette = paletteBefore;
+  paletteBefore = null;
+  if (changed && els.live?.checked) process();
+});
+
 // Events
 els.fileInput.addEventListener("change", async (e) => {
   const file = e.target.files?.[0];
@@ -492,8 +955,17 @@ els.fileInput.addEventListener("change", async (e) => {
     setStatus("Loading image…");
     const img = await readImageFile(file);
     srcImageData = imageToImageData(img);
+    pipeline.setSource(srcImageData);
+    // Seed size fields with the new image's dimensions
+    if (els.resizeWidth && els.resizeHeight) {
+      els.resizeWidth.value = String(srcImageData.width);
+      els.resizeHeight.value = String(srcImageData.height);
+    }
+    updateResizeUI();
+    setDitherMask(createDitherMask(srcImageData.width, srcImageData.height));
     // Reset any previous processed output so preview/zoom applies to the new image
     outputImageData = null;
+    outputStats = [];
     els.downloadBtn.disabled = true;
     if (els.downloadGridBtn) els.downloadGridBtn.disabled = false;
     if (els.downloadSegmentsBtn) els.downloadSegmentsBtn.disabled = false;
@@ -508,12 +980,309 @@ els.fileInput.addEventListener("change", async (e) => {
   }
 });
 
+function updatePaletteTypeUI() {
+  const type = els.paletteType.value;
+  els.customizePaletteBtn.disabled = type !== "custom";
+  if (els.ownedOptions) els.ownedOptions.hidden = type !== "owned";
+}
+
+// Site presets: palette choices, owned profiles and the advisor follow the
+// site's free/paid split; the grid (and so the segments) its sizes
+function renderPaletteTypeOptions() {
+  const current = els.paletteType.value;
+  const total = site.free.length + site.paid.length;
+  const options = site.paid.length
+    ? [
+        ["free", `Free (${site.free.length})`],
+        ["full", `Full (${total})`],
+        ["owned", "Free + my unlocked"],
+      ]
+    : [["full", `All (${total})`]];
+  options.push(["custom", "Custom"]);
+  els.paletteType.innerHTML = "";
+  for (const [value, label] of options) {
+    const opt = document.createElement("option");
+    opt.value = value;
+    opt.textContent = label;
+    els.paletteType.appendChild(opt);
+  }
+  els.paletteType.value = options.some(([value]) => value === current)
+    ? current
+    : options[0][0];
+}
+
+function applySite(preset) {
+  site = preset;
+  siteColorSet = new Set(siteColors());
+  setSiteColorNames(site.names);
+  renderPaletteTypeOptions();
+  updatePaletteTypeUI();
+  if (els.advisorBtn) els.advisorBtn.disabled = !site.paid.length;
+  els.gridSize.max = String(site.tileSize);
+  els.gridSize.value = String(site.gridSize);
+  els.gridSize.dispatchEvent(new Event("input"));
+}
+
+async function initPresets() {
+  presets = await loadPresets();
+  els.site.innerHTML = "";
+  for (const preset of presets) {
+    const opt = document.createElement("option");
+    opt.value = preset.id;
+    opt.textContent = preset.name;
+    if (preset.url) opt.title = preset.url;
+    els.site.appendChild(opt);
+  }
+  const saved = presets.find((p) => p.id === savedPalettes.site);
+  els.site.value = (saved ?? presets[0]).id;
+  applySite(saved ?? presets[0]);
+}
+
+els.site?.addEventListener("change", () => {
+  const preset = presets.find((p) => p.id === els.site.value);
+  if (!preset) return;
+  savedPalettes.site = preset.id;
+  savePalettes();
+  applySite(preset);
+  setStatus(
+    `${preset.name}: grid ${preset.gridSize}, tiles ${preset.tileSize}`
+  );
+  if (els.live?.checked) process();
+});
+
 els.paletteType.addEventListener("change", () => {
-  const isCustom = els.paletteType.value === "custom";
-  els.customizePaletteBtn.disabled = !isCustom;
+  updatePaletteTypeUI();
   if (els.live?.checked) process();
 });
 
+// Palette files
+function buildPaletteFormatSelect() {
+  if (!els.paletteExportFormat) return;
+  for (const [id, format] of Object.entries(PALETTE_FORMATS)) {
+    const opt = document.createElement("option");
+    opt.value = id;
+    opt.textContent = format.label;
+    els.paletteExportFormat.appendChild(opt);
+  }
+}
+
+els.paletteImportBtn?.addEventListener("click", () => els.paletteFile.click());
+
+// An imported palette becomes the custom palette; its names label the stats
+els.paletteFile?.addEventListener("change", async (e) => {
+  const file = e.target.files?.[0];
+  if (!file) return;
+  try {
+    const palette = parsePaletteFile(file.name, await file.arrayBuffer());
+    if (palette.colors.length > 255) {
+      throw new Error(`${palette.colors.length} colours (at most 255)`);
+    }
+    const names = {};
+    for (const { hex, name } of palette.colors) if (name) names[hex] = name;
+    setCustomColorNames(names);
+    customPalette = palette.colors.map(({ hex }) => hex);
+    savedPalettes.customNames = names;
+    savePalettes();
+    els.paletteType.value = "custom";
+    updatePaletteTypeUI();
+    setStatus(`Imported "${palette.name}" (${customPalette.length} colours)`);
+    if (els.live?.checked) process();
+  } catch (err) {
+    console.error("Invalid palette file", err);
+    alert(`Invalid palette file: ${err.message}`);
+  } finally {
+    e.target.value = "";
+  }
+});
+
+els.paletteExportBtn?.addEventListener("click", () => {
+  const id = els.paletteExportFormat.value;
+  const format = PALETTE_FORMATS[id];
+  const palette = {
+    name: els.paletteType.selectedOptions[0]?.textContent || "Palette",
+    colors: getActivePaletteHex().map((hex) => ({
+      hex,
+      name: ALL_COLOR_NAMES[hex],
+    })),
+  };
+  const blob = new Blob([serializePalette(id, palette)], {
+    type: format.mime,
+  });
+  const url = URL.createObjectURL(blob);
+  const a = document.createElement("a");
+  a.href = url;
+  a.download = `palette.${format.extension}`;
+  document.body.appendChild(a);
+  a.click();
+  a.remove();
+  URL.revokeObjectURL(url);
+});
+
+// Owned-colours profiles
+function savePalettes() {
+  savedPalettes.custom = customPalette;
+  saveProfiles(savedPalettes);
+}
+
+function renderProfileSelect() {
+  if (!els.ownedProfile) return;
+  els.ownedProfile.innerHTML = "";
+  for (const name of Object.keys(savedPalettes.profiles)) {
+    const owned = savedPalettes.profiles[name];
+    const opt = document.createElement("option");
+    opt.value = name;
+    opt.textContent = `${name} (+${owned.length})`;
+    els.ownedProfile.appendChild(opt);
+  }
+  els.ownedProfile.value = savedPalettes.active;
+  els.ownedDelete.disabled = Object.keys(savedPalettes.profiles).length < 2;
+}
+
+// After any profile change: persist, refresh the list, reprocess if shown
+function profilesChanged() {
+  savePalettes();
+  renderProfileSelect();
+  if (els.paletteType.value === "owned" && els.live?.checked) process();
+}
+
+function askProfileName(message, current = "") {
+  const name = prompt(message, current)?.trim();
+  if (!name) return null;
+  if (name !== current && savedPalettes.profiles[name]) {
+    alert(`A profile named "${name}" already exists`);
+    return null;
+  }
+  return name;
+}
+
+els.ownedProfile?.addEventListener("change", () => {
+  savedPalettes.active = els.ownedProfile.value;
+  profilesChanged();
+});
+
+els.ownedNew?.addEventListener("click", () => {
+  const name = askProfileName("Name of the new profile");
+  if (!name) return;
+  savedPalettes.profiles[name] = [];
+  savedPalettes.active = name;
+  profilesChanged();
+  els.ownedEdit.click();
+});
+
+els.ownedRename?.addEventListener("click", () => {
+  const current = savedPalettes.active;
+  const name = askProfileName("Rename profile", current);
+  if (!name || name === current) return;
+  // Rebuild to keep the profile's position in the list
+  savedPalettes.profiles = Object.fromEntries(
+    Object.entries(savedPalettes.profiles).map(([n, owned]) => [
+      n === current ? name : n,
+      owned,
+    ])
+  );
+  savedPalettes.active = name;
+  profilesChanged();
+});
+
+els.ownedDelete?.addEventListener("click", () => {
+  const names = Object.keys(savedPalettes.profiles);
+  if (names.length < 2) return;
+  const current = savedPalettes.active;
+  if (!confirm(`Delete profile "${current}"?`)) return;
+  delete savedPalettes.profiles[current];
+  savedPalettes.active = names.find((n) => n !== current);
+  profilesChanged();
+});
+
+els.ownedEdit?.addEventListener("click", () => {
+  const owned = new Set(savedPalettes.profiles[savedPalettes.active]);
+  els.ownedDialogName.textContent = savedPalettes.active;
+  els.ownedGrid.innerHTML = "";
+  for (const hex of site.paid) {
+    els.ownedGrid.appendChild(createSwatch(hex, owned.has(hex)));
+  }
+  els.ownedDialog.showModal();
+});
+
+els.ownedSelectAll?.addEventListener("click", () => {
+  els.ownedGrid
+    .querySelectorAll("input[type=checkbox]")
+    .forEach((cb) => (cb.checked = true));
+});
+
+els.ownedClear?.addEventListener("click", () => {
+  els.ownedGrid
+    .querySelectorAll("input[type=checkbox]")
+    .forEach((cb) => (cb.checked = false));
+});
+
+els.ownedSave?.addEventListener("click", () => {
+  const owned = [];
+  els.ownedGrid.querySelectorAll("input[type=checkbox]").forEach((cb) => {
+    if (cb.checked) owned.push(cb.dataset.hex);
+  });
+  savedPalettes.profiles[savedPalettes.active] = owned;
+  els.ownedDialog.close();
+  profilesChanged();
+});
+
+els.ownedCancel?.addEventListener("click", () => els.ownedDialog.close());
+
+els.ownedExport?.addEventListener("click", () => {
+  const json = exportProfiles(savedPalettes);
+  const blob = new Blob([JSON.stringify(json, null, 2)], {
+    type: "application/json",
+  });
+  const url = URL.createObjectURL(blob);
+  const a = document.createElement("a");
+  a.href = url;
+  a.download = "wplace-profiles.json";
+  document.body.appendChild(a);
+  a.click();
+  a.remove();
+  URL.revokeObjectURL(url);
+});
+
+els.ownedImport?.addEventListener("click", () => els.ownedFile.click());
+
+// Imported profiles replace ones with the same name; others are kept
+els.ownedFile?.addEventListener("change", async (e) => {
+  const file = e.target.files?.[0];
+  if (!file) return;
+  try {
+    const imported = parseProfiles(JSON.parse(await file.text()));
+    Object.assign(savedPalettes.profiles, imported.profiles);
+    savedPalettes.active = imported.active;
+    profilesChanged();
+    const count = Object.keys(imported.profiles).length;
+    setStatus(`Imported ${count} profile(s)`);
+  } catch (err) {
+    console.error("Invalid profiles file", err);
+    alert(`Invalid profiles file: ${err.message}`);
+  } finally {
+    e.target.value = "";
+  }
+});
+
+// Resize controls
+els.resizeMode?.addEventListener("change", () => {
+  if (els.resizeMode.value === "size") syncResizeAspect("width");
+  updateResizeUI();
+});
+els.resizeWidth?.addEventListener("input", () => {
+  syncResizeAspect("width");
+  updateResizeUI();
+});
+els.resizeHeight?.addEventListener("input", () => {
+  syncResizeAspect("height");
+  updateResizeUI();
+});
+els.resizeLockAspect?.addEventListener("change", () => {
+  syncResizeAspect("width");
+  updateResizeUI();
+});
+els.resizeScale?.addEventListener("input", updateResizeUI);
+
 // Curves toggle
 els.curvesEnable?.addEventListener("change", () => {
   if (!els.curvesContainer) return;
@@ -656,16 +1425,28 @@ els.live?.addEventListener("change", () => {
   if (els.live.checked) process();
 });
 [
-  els.strength,
-  els.serpentine,
   els.brightness,
   els.contrast,
   els.saturation,
   els.sharpen,
   els.alphaThreshold,
+  els.alphaMode,
+  els.flattenEnable,
+  els.flattenColor,
+  els.flattenOutput,
   els.removeSemitransparent,
+  els.maxColors,
   els.ditherMethod,
-  els.paletteType,
+  els.adaptiveEnable,
+  els.adaptiveSensitivity,
+  els.distanceMode,
+  els.exactMatch,
+  els.resizeMode,
+  els.resizeFilter,
+  els.resizeWidth,
+  els.resizeHeight,
+  els.resizeLockAspect,
+  els.resizeScale,
 ].forEach((el) => {
   el?.addEventListener("input", () => {
     if (els.live?.checked) process();
@@ -704,13 +1485,214 @@ els.canvas.addEventListener("wheel", (event) => {
   else if (srcImageData) render(srcImageData);
 });
 
-// Pan with mouse drag
+// Flatten background picker: the EyeDropper API can sample anywhere on screen
+// (such as the map in another window); without it, click the preview
+function setFlattenColor(hex) {
+  els.flattenColor.value = hex;
+  els.flattenEnable.checked = true;
+  setStatus(`Background ${hex}`);
+  if (els.live?.checked) process();
+}
+
+function pickFlattenColorAt(event) {
+  pickingBackground = false;
+  els.canvas.style.cursor = "";
+  if (!srcImageData) return;
+  // Sample the source: the output is quantized and may be resized
+  const point = sourcePointAt(event);
+  const x = Math.floor(point.x);
+  const y = Math.floor(point.y);
+  const { width, height, data } = srcImageData;
+  if (x < 0 || y < 0 || x >= width || y >= height) {
+    setStatus("Picked outside the image");
+    return;
+  }
+  const i = (y * width + x) * 4;
+  setFlattenColor(rgbToHex([data[i], data[i + 1], data[i + 2]]));
+}
+
+els.flattenPick?.addEventListener("click", async () => {
+  if (window.EyeDropper) {
+    try {
+      const { sRGBHex } = await new window.EyeDropper().open();
+      setFlattenColor(sRGBHex);
+    } catch {
+      // Picker dismissed
+    }
+    return;
+  }
+  if (!srcImageData) {
+    setStatus("Load an image to pick the background from");
+    return;
+  }
+  pickingBackground = true;
+  els.canvas.style.cursor = "crosshair";
+  setStatus("Click the preview to pick the background colour");
+});
+
+// Dither mask: painted at source resolution and drawn as a red tint over the
+// preview, stronger where less dithering is applied
+function setDitherMask(mask) {
+  ditherMask = mask;
+  maskOverlay = document.createElement("canvas");
+  maskOverlay.width = mask.width;
+  maskOverlay.height = mask.height;
+  updateMaskOverlay({ x0: 0, y0: 0, x1: mask.width, y1: mask.height });
+  if (els.maskSave) els.maskSave.disabled = false;
+}
+
+function updateMaskOverlay({ x0, y0, x1, y1 }) {
+  const ctx = maskOverlay.getContext("2d");
+  const w = x1 - x0;
+  const h = y1 - y0;
+  const tint = ctx.createImageData(w, h);
+  for (let y = 0; y < h; y++) {
+    for (let x = 0; x < w; x++) {
+      const m = ditherMask.data[(y0 + y) * ditherMask.width + x0 + x];
+      const o = (y * w + x) * 4;
+      tint.data[o] = 255;
+      tint.data[o + 1] = 40;
+      tint.data[o + 2] = 40;
+      tint.data[o + 3] = (255 - m) >> 1;
+    }
+  }
+  ctx.putImageData(tint, x0, y0);
+}
+
+function getMaskBrushValue() {
+  const mode = els.maskBrush?.value ?? "0";
+  if (mode === "strength") {
+    return Math.round((Number(els.maskStrength.value) / 100) * 255);
+  }
+  return Number(mode);
+}
+
+// Preview position in source pixels (the output may be resized)
+function sourcePointAt(event) {
+  const img = outputImageData || srcImageData;
+  const rect = els.canvas.getBoundingClientRect();
+  const scale = srcImageData.width / img.width;
+  return {
+    x:
+      ((event.clientX - rect.left + viewState.offsetX) / viewState.zoom) *
+      scale,
+    y:
+      ((event.clientY - rect.top + viewState.offsetY) / viewState.zoom) * scale,
+    scale,
+  };
+}
+
+function maskPointAt(event) {
+  const { x, y, scale } = sourcePointAt(event);
+  return { x, y, radius: (Number(els.maskSize.value) / 2) * scale };
+}
+
+// Paint from the previous point so fast strokes stay continuous
+function paintMaskStroke(event, start) {
+  const { x, y, radius } = maskPointAt(event);
+  const fromX = start ? x : paintState.lastX;
+  const fromY = start ? y : paintState.lastY;
+  const steps = Math.max(
+    1,
+    Math.ceil(Math.hypot(x - fromX, y - fromY) / Math.max(0.5, radius / 2))
+  );
+  const value = getMaskBrushValue();
+  for (let s = 1; s <= steps; s++) {
+    const t = s / steps;
+    const rect = paintDitherMask(
+      ditherMask,
+      fromX + (x - fromX) * t,
+      fromY + (y - fromY) * t,
+      radius,
+      value
+    );
+    if (rect) updateMaskOverlay(rect);
+  }
+  paintState.lastX = x;
+  paintState.lastY = y;
+  render(outputImageData || srcImageData);
+}
+
+els.maskEdit?.addEventListener("change", () => {
+  els.canvas.style.cursor = els.maskEdit.checked ? "crosshair" : "";
+  if (els.maskEdit.checked && els.maskShow && !els.maskShow.checked) {
+    els.maskShow.checked = true;
+    if (srcImageData) render(outputImageData || srcImageData);
+  }
+});
+
+els.maskShow?.addEventListener("change", () => {
+  if (srcImageData) render(outputImageData || srcImageData);
+});
+
+els.maskClear?.addEventListener("click", () => {
+  if (!srcImageData) return;
+  setDitherMask(createDitherMask(srcImageData.width, srcImageData.height));
+  render(outputImageData || srcImageData);
+  if (els.live?.checked) process();
+});
+
+// Saved as a greyscale PNG (white = full dithering) to reload with the image
+els.maskSave?.addEventListener("click", async () => {
+  if (!ditherMask) return;
+  const tmp = document.createElement("canvas");
+  tmp.width = ditherMask.width;
+  tmp.height = ditherMask.height;
+  tmp.getContext("2d").putImageData(ditherMaskToImageData(ditherMask), 0, 0);
+  await downloadCanvas(tmp, "dither-mask.png", "image/png");
+});
+
+els.maskLoad?.addEventListener("click", () => {
+  if (!srcImageData) {
+    setStatus("Load an image before its mask");
+    return;
+  }
+  els.maskFile.click();
+});
+
+els.maskFile?.addEventListener("change", async (e) => {
+  const file = e.target.files?.[0];
+  if (!file || !srcImageData) return;
+  try {
+    const img = imageToImageData(await readImageFile(file));
+    setDitherMask(
+      ditherMaskFromImageData(img, srcImageData.width, srcImageData.height)
+    );
+    render(outputImageData || srcImageData);
+    setStatus("Dither mask loaded");
+    if (els.live?.checked) process();
+  } catch (err) {
+    console.error(err);
+    setStatus("Failed to load mask");
+  } finally {
+    e.target.value = "";
+  }
+});
+
+// Pan with mouse drag (or paint the mask while editing it)
 els.canvas.addEventListener("mousedown", (e) => {
+  if (pickingBackground) {
+    pickFlattenColorAt(e);
+    return;
+  }
+  if (pickingPaletteColor) {
+    pickPaletteColorAt(e);
+    return;
+  }
+  if (els.maskEdit?.checked && ditherMask) {
+    paintState.isPainting = true;
+    paintMaskStroke(e, true);
+    return;
+  }
   panState.isPanning = true;
   panState.lastX = e.clientX;
   panState.lastY = e.clientY;
 });
 window.addEventListener("mousemove", (e) => {
+  if (paintState.isPainting) {
+    paintMaskStroke(e, false);
+    return;
+  }
   if (!panState.isPanning) return;
   const dx = e.clientX - panState.lastX;
   const dy = e.clientY - panState.lastY;
@@ -721,14 +1703,31 @@ window.addEventListener("mousemove", (e) => {
   if (outputImageData) render(outputImageData);
   else if (srcImageData) render(srcImageData);
 });
-window.addEventListener("mouseup", () => (panState.isPanning = false));
+window.addEventListener("mouseup", () => {
+  panState.isPanning = false;
+  if (!paintState.isPainting) return;
+  paintState.isPainting = false;
+  if (els.live?.checked) process();
+});
 
 // Value label bindings
-bindValueLabel(els.strength, els.strengthVal, (v) => v.toFixed(2));
 bindValueLabel(els.brightness, els.brightnessVal, (v) => v.toFixed(2));
 bindValueLabel(els.contrast, els.contrastVal, (v) => v.toFixed(2));
 bindValueLabel(els.saturation, els.saturationVal, (v) => v.toFixed(2));
 bindValueLabel(els.alphaThreshold, els.alphaVal, (v) => Math.round(v));
+bindValueLabel(els.adaptiveSensitivity, els.adaptiveVal, (v) => v.toFixed(2));
+bindValueLabel(els.maskStrength, els.maskStrengthVal, (v) => `${v}%`);
+bindValueLabel(els.maskSize, els.maskSizeVal, (v) => v);
+updateResizeUI();
+updateAlphaModeUI();
+updatePaletteTypeUI();
+renderProfileSelect();
+buildPaletteFormatSelect();
+initPresets();
+els.alphaMode?.addEventListener("change", updateAlphaModeUI);
+buildDitherSelect();
+renderDitherParams();
+els.ditherMethod.addEventListener("change", renderDitherParams);
 if (els.gridSize && els.gridSizeVal) {
   els.gridSizeVal.textContent = String(els.gridSize.value);
   els.gridSize.addEventListener(
@@ -782,31 +1781,11 @@ function ensurePaletteToolbarButtons() {
   // Wire handlers once
   if (!btnFree.dataset.bound) {
     btnFree.dataset.bound = "1";
-    btnFree.addEventListener("click", () => {
-      const freeSet = new Set(FREE_PALETTE_COLORS);
-      els.paletteGrid.querySelectorAll("input[type=checkbox]").forEach((cb) => {
-        const hex = cb.dataset.hex;
-        cb.checked = freeSet.has(hex);
-      });
-      if (els.live?.checked) {
-        customPalette = Array.from(freeSet);
-        process();
-      }
-    });
+    btnFree.addEventListener("click", () => selectBuiltInColors(site.free));
   }
 
   if (!btnPremium.dataset.bound) {
     btnPremium.dataset.bound = "1";
-    btnPremium.addEventListener("click", () => {
-      const premiumSet = new Set(EXTRA_PALETTE_COLORS);
-      els.paletteGrid.querySelectorAll("input[type=checkbox]").forEach((cb) => {
-        const hex = cb.dataset.hex;
-        cb.checked = premiumSet.has(hex);
-      });
-      if (els.live?.checked) {
-        customPalette = Array.from(premiumSet);
-        process();
-      }
-    });
+    btnPremium.addEventListener("click", () => selectBuiltInColors(site.paid));
   }
 }
@@ -0,0 +1,361 @@
+/**
+ * Palette files: GIMP .gpl, Adobe .ase, JASC .pal, plain .hex lists and
+ * Lospec-style JSON. A palette is {name, colors: [{hex, name?}]} with
+ * lowercase "#rrggbb" hex; duplicates keep their first entry.
+ * DOM-free, so the page and the CLI share it.
+ */
+
+import { hexToRgb, labToLinearRgb, linearToSrgb, rgbToHex } from "./utils.js";
+
+const textDecoder = new TextDecoder();
+
+// Lowercase #rrggbb, or null if not a hex colour
+function normalizeHex(value) {
+  const m = /^#?([0-9a-f]{6})$/i.exec(String(value).trim());
+  return m ? `#${m[1].toLowerCase()}` : null;
+}
+
+function rgbEntry(r, g, b, name) {
+  const clamp = (v) => Math.max(0, Math.min(255, Math.round(v)));
+  const entry = { hex: rgbToHex([clamp(r), clamp(g), clamp(b)]) };
+  // Exports label unnamed colours with their hex
+  if (name && name.toLowerCase() !== entry.hex) entry.name = name;
+  return entry;
+}
+
+// Drop repeats and check there is something left
+function finish(name, colors) {
+  const seen = new Set();
+  const unique = colors.filter(({ hex }) => {
+    if (seen.has(hex)) return false;
+    seen.add(hex);
+    return true;
+  });
+  if (!unique.length) throw new Error("No colours found");
+  return { name: name || "", colors: unique };
+}
+
+// --- GIMP .gpl ---
+
+function parseGpl(text) {
+  const lines = text.split(/\r?\n/);
+  if (!/^GIMP Palette/.test(lines[0] ?? "")) {
+    throw new Error('Not a GIMP palette (missing "GIMP Palette" header)');
+  }
+  let name = "";
+  const colors = [];
+  for (const line of lines.slice(1)) {
+    const trimmed = line.trim();
+    if (!trimmed || trimmed.startsWith("#")) continue;
+    const header = /^(Name|Columns):\s*(.*)$/.exec(trimmed);
+    if (header) {
+      if (header[1] === "Name") name = header[2].trim();
+      continue;
+    }
+    const m = /^(\d+)\s+(\d+)\s+(\d+)\s*(.*)$/.exec(trimmed);
+    if (!m) throw new Error(`Invalid GIMP palette line: ${trimmed}`);
+    // GIMP writes "Untitled" for unnamed entries
+    const label = m[4].trim();
+    colors.push(
+      rgbEntry(+m[1], +m[2], +m[3], label === "Untitled" ? "" : label)
+    );
+  }
+  return finish(name, colors);
+}
+
+function serializeGpl({ name, colors }) {
+  const lines = [
+    "GIMP Palette",
+    `Name: ${name || "Palette"}`,
+    "Columns: 8",
+    "#",
+  ];
+  for (const { hex, name: label } of colors) {
+    const [r, g, b] = hexToRgb(hex);
+    const rgb = [r, g, b].map((v) => String(v).padStart(3)).join(" ");
+    lines.push(`${rgb}\t${label || hex}`);
+  }
+  return `${lines.join("\n")}\n`;
+}
+
+// --- JASC .pal (no names) ---
+
+function parsePal(text) {
+  const lines = text.split(/\r?\n/).map((l) => l.trim());
+  if (lines[0] !== "JASC-PAL") {
+    throw new Error('Not a JASC palette (missing "JASC-PAL" header)');
+  }
+  const count = Number(lines[2]);
+  const colors = [];
+  for (const line of lines.slice(3)) {
+    if (!line) continue;
+    const m = /^(\d+)\s+(\d+)\s+(\d+)/.exec(line);
+    if (!m) throw new Error(`Invalid JASC palette line: ${line}`);
+    colors.push(rgbEntry(+m[1], +m[2], +m[3]));
+  }
+  if (Number.isInteger(count) && count !== colors.length) {
+    throw new Error(
+      `JASC palette lists ${count} colours but has ${colors.length}`
+    );
+  }
+  return finish("", colors);
+}
+
+function serializePal({ colors }) {
+  const lines = ["JASC-PAL", "0100", String(colors.length)];
+  for (const { hex } of colors) lines.push(hexToRgb(hex).join(" "));
+  return `${lines.join("\r\n")}\r\n`;
+}
+
+// --- Plain .hex: one colour per line, optional "#" and name ---
+
+function parseHex(text) {
+  const colors = [];
+  for (const line of text.split(/\r?\n/)) {
+    const trimmed = line.trim();
+    if (!trimmed || trimmed.startsWith(";") || trimmed.startsWith("//")) {
+      continue;
+    }
+    const [value, ...label] = trimmed.split(/\s+/);
+    const hex = normalizeHex(value);
+    if (!hex) throw new Error(`Invalid colour "${value}"`);
+    colors.push(label.length ? { hex, name: label.join(" ") } : { hex });
+  }
+  return finish("", colors);
+}
+
+// Lospec writes bare "rrggbb" lines; names would not survive other readers
+function serializeHex({ colors }) {
+  return `${colors.map(({ hex }) => hex.slice(1)).join("\n")}\n`;
+}
+
+// --- Lospec JSON: {name, colors: ["rrggbb"]}; names in a parallel array ---
+
+function parseJson(text) {
+  const json = JSON.parse(text);
+  const list = Array.isArray(json) ? json : json?.colors;
+  if (!Array.isArray(list)) {
+    throw new Error("Expected a JSON array of colours or {colors: [...]}");
+  }
+  const names = Array.isArray(json.names) ? json.names : [];
+  const colors = list.map((item, i) => {
+    const value = typeof item === "object" && item ? item.hex : item;
+    const hex = normalizeHex(value);
+    if (!hex) throw new Error(`Invalid colour "${value}"`);
+    const name = (typeof item === "object" && item?.name) || names[i];
+    return name ? { hex, name: String(name) } : { hex };
+  });
+  return finish(Array.isArray(json) ? "" : json.name, colors);
+}
+
+function serializeJson({ name, colors }) {
+  const json = {
+    name: name || "Palette",
+    colors: colors.map(({ hex }) => hex.slice(1)),
+  };
+  if (colors.some((c) => c.name)) json.names = colors.map((c) => c.name || "");
+  return `${JSON.stringify(json, null, 2)}\n`;
+}
+
+// --- Adobe Swatch Exchange .ase (big-endian blocks) ---
+
+const ASE_COLOR = 0x0001;
+const ASE_GROUP_START = 0xc001;
+const ASE_GROUP_END = 0xc002;
+
+function parseAse(bytes) {
+  const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+  if (
+    bytes.length < 12 ||
+    textDecoder.decode(bytes.subarray(0, 4)) !== "ASEF"
+  ) {
+    throw new Error('Not an Adobe swatch file (missing "ASEF" header)');
+  }
+  const blocks = view.getUint32(8);
+  let name = "";
+  const colors = [];
+  let pos = 12;
+  for (let i = 0; i < blocks; i++) {
+    if (pos + 6 > bytes.length) throw new Error("Truncated swatch file");
+    const type = view.getUint16(pos);
+    const length = view.getUint32(pos + 2);
+    const start = pos + 6;
+    pos = start + length;
+    if (pos > bytes.length) throw new Error("Truncated swatch file");
+    if (type !== ASE_COLOR && type !== ASE_GROUP_START) continue;
+
+    // Name: UTF-16BE code units including a terminating 0
+    const units = view.getUint16(start);
+    let label = "";
+    for (let u = 0; u < units; u++) {
+      const code = view.getUint16(start + 2 + u * 2);
+      if (code) label += String.fromCharCode(code);
+    }
+    if (type === ASE_GROUP_START) {
+      if (!name) name = label;
+      continue;
+    }
+    const at = start + 2 + units * 2;
+    const model = textDecoder.decode(bytes.subarray(at, at + 4));
+    const value = (k) => view.getFloat32(at + 4 + k * 4);
+    if (model === "RGB ") {
+      colors.push(
+        rgbEntry(value(0) * 255, value(1) * 255, value(2) * 255, label)
+      );
+    } else if (model === "Gray") {
+      const v = value(0) * 255;
+      colors.push(rgbEntry(v, v, v, label));
+    } else if (model === "CMYK") {
+      // Naive conversion: no colour profile is available
+      const k = 1 - value(3);
+      colors.push(
+        rgbEntry(
+          255 * (1 - value(0)) * k,
+          255 * (1 - value(1)) * k,
+          255 * (1 - value(2)) * k,
+          label
+        )
+      );
+    } else if (model === "LAB ") {
+      // L is stored as 0..1; treated as D65 like the rest of the app
+      const rgb = labToLinearRgb([value(0) * 100, value(1), value(2)]);
+      colors.push(rgbEntry(...rgb.map(linearToSrgb), label));
+    } else {
+      throw new Error(`Unsupported swatch colour model "${model.trim()}"`);
+    }
+  }
+  return finish(name, colors);
+}
+
+// Block with a name and `extra` bytes of payload after it (filled by `write`)
+function aseBlock(type, label, extra = 0, write = null) {
+  const nameBytes = label == null ? 0 : 2 + (label.length + 1) * 2;
+  const block = new DataView(new ArrayBuffer(6 + nameBytes + extra));
+  block.setUint16(0, type);
+  block.setUint32(2, nameBytes + extra);
+  if (label != null) {
+    block.setUint16(6, label.length + 1);
+    for (let i = 0; i < label.length; i++) {
+      block.setUint16(8 + i * 2, label.charCodeAt(i));
+    }
+  }
+  write?.(block, 6 + nameBytes);
+  return new Uint8Array(block.buffer);
+}
+
+// One group named after the palette, RGB swatches inside
+function serializeAse({ name, colors }) {
+  const blocks = [
+    aseBlock(ASE_GROUP_START, name || "Palette"),
+    ...colors.map(({ hex, name: label }) =>
+      aseBlock(ASE_COLOR, label || hex, 4 + 12 + 2, (block, at) => {
+        for (const c of "RGB ") block.setUint8(at++, c.charCodeAt(0));
+        for (const v of hexToRgb(hex)) {
+          block.setFloat32(at, v / 255);
+          at += 4;
+        }
+        block.setUint16(at, 2); // normal (not global or spot)
+      })
+    ),
+    aseBlock(ASE_GROUP_END, null),
+  ];
+  const size = blocks.reduce((sum, b) => sum + b.length, 12);
+  const out = new Uint8Array(size);
+  const view = new DataView(out.buffer);
+  out.set([0x41, 0x53, 0x45, 0x46]); // "ASEF"
+  view.setUint16(4, 1);
+  view.setUint16(6, 0);
+  view.setUint32(8, blocks.length);
+  let pos = 12;
+  for (const b of blocks) {
+    out.set(b, pos);
+    pos += b.length;
+  }
+  return out;
+}
+
+/**
+ * Supported formats by id. parse takes a string (binary: Uint8Array),
+ * serialize returns a string (binary: Uint8Array).
+ */
+const PALETTE_FORMATS = {
+  gpl: {
+    label: "GIMP (.gpl)",
+    extension: "gpl",
+    mime: "text/plain",
+    parse: parseGpl,
+    serialize: serializeGpl,
+  },
+  ase: {
+    label: "Adobe swatches (.ase)",
+    extension: "ase",
+    mime: "application/octet-stream",
+    binary: true,
+    parse: parseAse,
+    serialize: serializeAse,
+  },
+  pal: {
+    label: "JASC (.pal)",
+    extension: "pal",
+    mime: "text/plain",
+    parse: parsePal,
+    serialize: serializePal,
+  },
+  hex: {
+    label: "Hex list (.hex)",
+    extension: "hex",
+    mime: "text/plain",
+    parse: parseHex,
+    serialize: serializeHex,
+  },
+  json: {
+    label: "Lospec JSON (.json)",
+    extension: "json",
+    mime: "application/json",
+    parse: parseJson,
+    serialize: serializeJson,
+  },
+};
+
+// Format from the file contents, for unknown extensions
+function sniffFormat(bytes) {
+  const head = textDecoder.decode(bytes.subarray(0, 16)).trimStart();
+  if (head.startsWith("ASEF")) return "ase";
+  if (head.startsWith("GIMP Palette")) return "gpl";
+  if (head.startsWith("JASC-PAL")) return "pal";
+  if (head.startsWith("[") || head.startsWith("{")) return "json";
+  return "hex";
+}
+
+/**
+ * Read a palette file
+ * @param {string} fileName - Used for the format (by extension) and as a fallback name
+ * @param {Uint8Array|ArrayBuffer} data - File contents
+ * @returns {{name:string, colors:{hex:string, name?:string}[]}} Palette
+ * @throws {Error} If the file cannot be read as a palette
+ */
+function parsePaletteFile(fileName, data) {
+  const bytes = data instanceof Uint8Array ? data : new Uint8Array(data);
+  const ext = /\.([^.]+)$/.exec(fileName)?.[1]?.toLowerCase();
+  const id = PALETTE_FORMATS[ext] ? ext : sniffFormat(bytes);
+  const format = PALETTE_FORMATS[id];
+  const palette = format.parse(
+    format.binary ? bytes : textDecoder.decode(bytes)
+  );
+  if (!palette.name) palette.name = fileName.replace(/\.[^.]+$/, "");
+  return palette;
+}
+
+/**
+ * Write a palette file
+ * @param {keyof PALETTE_FORMATS} formatId - Format id
+ * @param {{name?:string, colors:{hex:string, name?:string}[]}} palette
+ * @returns {string|Uint8Array} File contents
+ */
+function serializePalette(formatId, palette) {
+  const format = PALETTE_FORMATS[formatId];
+  if (!format) throw new Error(`Unknown palette format "${formatId}"`);
+  return format.serialize(palette);
+}
+
+export { PALETTE_FORMATS, parsePaletteFile, serializePalette };
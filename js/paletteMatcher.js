@@ -0,0 +1,98 @@
+/**
+ * Nearest-palette-colour lookup with a lazily filled, quantized 3D table.
+ * Each table cell holds the palette index closest to the cell's centre, so
+ * repeated colours (the common case) cost one array read. Matchers are
+ * cached by palette contents + distance mode, so they survive across runs
+ * even though each run builds a fresh palette array.
+ */
+
+import { findClosestColorIndex } from "./utils.js";
+
+const DEFAULT_BITS = 6; // 64 levels per channel, 4 sRGB steps per cell
+const MAX_CACHED_MATCHERS = 8;
+
+const _matcherCache = new Map(); // key -> matcher, oldest first
+
+/**
+ * Create a palette matcher
+ * @param {number[][]} palette - Array of [r,g,b]
+ * @param {string} [mode="lab"] - Distance mode, see findClosestColorInPalette
+ * @param {Object} [options]
+ * @param {boolean} [options.exact=false] - Skip the table and search the palette for every query
+ * @param {number} [options.bits=6] - Table precision per channel (4..8)
+ * @returns {{palette:number[][], mode:string, exact:boolean, nearest:(r:number,g:number,b:number)=>number}}
+ */
+function createPaletteMatcher(palette, mode = "lab", options = {}) {
+  const { exact = false } = options;
+  const bits = Math.min(8, Math.max(4, options.bits || DEFAULT_BITS));
+  const px = [0, 0, 0];
+
+  if (exact) {
+    return {
+      palette,
+      mode,
+      exact,
+      nearest(r, g, b) {
+        px[0] = r;
+        px[1] = g;
+        px[2] = b;
+        return findClosestColorIndex(px, palette, mode);
+      },
+    };
+  }
+
+  const shift = 8 - bits;
+  const levels = 1 << bits;
+  const center = ((1 << shift) - 1) / 2;
+  const table = new Int16Array(levels * levels * levels).fill(-1);
+
+  return {
+    palette,
+    mode,
+    exact,
+    nearest(r, g, b) {
+      const qr = (r <= 0 ? 0 : r >= 255 ? 255 : (r + 0.5) | 0) >> shift;
+      const qg = (g <= 0 ? 0 : g >= 255 ? 255 : (g + 0.5) | 0) >> shift;
+      const qb = (b <= 0 ? 0 : b >= 255 ? 255 : (b + 0.5) | 0) >> shift;
+      const key = (((qr << bits) | qg) << bits) | qb;
+      let idx = table[key];
+      if (idx < 0) {
+        px[0] = (qr << shift) + center;
+        px[1] = (qg << shift) + center;
+        px[2] = (qb << shift) + center;
+        idx = findClosestColorIndex(px, palette, mode);
+        table[key] = idx;
+      }
+      return idx;
+    },
+  };
+}
+
+/**
+ * Get a cached matcher for this palette and mode, creating it on first use
+ * @param {number[][]} palette - Array of [r,g,b]
+ * @param {string} [mode="lab"] - Distance mode
+ * @param {Object} [options] - See createPaletteMatcher
+ * @returns {ReturnType<typeof createPaletteMatcher>}
+ */
+function getPaletteMatcher(palette, mode = "lab", options = {}) {
+  const exact = !!options.exact;
+  const bits = options.bits || DEFAULT_BITS;
+  const key = `${mode}|${exact ? "exact" : bits}|${palette
+    .map((c) => c.join(","))
+    .join(";")}`;
+  let matcher = _matcherCache.get(key);
+  if (matcher) {
+    // Refresh recency
+    _matcherCache.delete(key);
+  } else {
+    matcher = createPaletteMatcher(palette, mode, { exact, bits });
+  }
+  _matcherCache.set(key, matcher);
+  while (_matcherCache.size > MAX_CACHED_MATCHERS) {
+    _matcherCache.delete(_matcherCache.keys().next().value);
+  }
+  return matcher;
+}
+
+export { createPaletteMatcher, getPaletteMatcher };
@@ -0,0 +1,129 @@
+/**
+ * Colour budget: the N palette colours that fit one image best.
+ * Greedy removal: starting from the whole palette, repeatedly drop the
+ * colour whose loss adds the least ΔE (pixel count × distance to the next
+ * nearest kept colour) until N remain. Works on a colour histogram of the
+ * image, so the cost grows with palette size rather than pixel count.
+ */
+
+import { createColorComparer } from "./utils.js";
+
+const HISTOGRAM_BITS = 4; // 16 levels per channel, colours averaged per cell
+
+/**
+ * Colour histogram of the visible pixels
+ * @param {{rgb:Float32Array, alpha:Uint8Array}} pixels - Working buffer
+ * @param {number} alphaThreshold - Pixels below are ignored
+ * @returns {{colors:number[][], weights:number[]}} Mean colour and pixel count per cell
+ */
+function buildHistogram(pixels, alphaThreshold) {
+  const { rgb, alpha } = pixels;
+  const shift = 8 - HISTOGRAM_BITS;
+  const cells = 1 << (3 * HISTOGRAM_BITS);
+  const sums = new Float64Array(cells * 3);
+  const counts = new Uint32Array(cells);
+  const quantize = (v) => (v <= 0 ? 0 : v >= 255 ? 255 : v) >> shift;
+  for (let i = 0; i < alpha.length; i++) {
+    if (alpha[i] < alphaThreshold) continue;
+    const r = rgb[i * 3];
+    const g = rgb[i * 3 + 1];
+    const b = rgb[i * 3 + 2];
+    const key =
+      (quantize(r) << (2 * HISTOGRAM_BITS)) |
+      (quantize(g) << HISTOGRAM_BITS) |
+      quantize(b);
+    sums[key * 3] += r;
+    sums[key * 3 + 1] += g;
+    sums[key * 3 + 2] += b;
+    counts[key]++;
+  }
+  const colors = [];
+  const weights = [];
+  for (let k = 0; k < cells; k++) {
+    const n = counts[k];
+    if (!n) continue;
+    colors.push([sums[k * 3] / n, sums[k * 3 + 1] / n, sums[k * 3 + 2] / n]);
+    weights.push(n);
+  }
+  return { colors, weights };
+}
+
+/**
+ * Choose the palette colours to keep for an image
+ * @param {{rgb:Float32Array, alpha:Uint8Array}} pixels - Working buffer (see imageDataToBuffers)
+ * @param {number[][]} palette - Array of [r,g,b]
+ * @param {number} count - Colours to keep
+ * @param {string} [distanceMode="lab"] - Distance mode, see colorDistance
+ * @param {number} [alphaThreshold=128] - Pixels below are ignored
+ * @returns {number[]} Kept palette indices in palette order
+ */
+function selectPaletteSubset(
+  pixels,
+  palette,
+  count,
+  distanceMode = "lab",
+  alphaThreshold = 128
+) {
+  const P = palette.length;
+  const all = palette.map((_, i) => i);
+  if (count >= P) return all;
+  if (count < 1) throw new Error("Colour budget must be at least 1");
+
+  const { colors, weights } = buildHistogram(pixels, alphaThreshold);
+  const B = colors.length;
+  if (!B) return all.slice(0, count); // nothing visible to fit
+
+  // ΔE from every histogram colour to every palette colour (the distance
+  // modes return squared values for comparison)
+  const dist = new Float64Array(B * P);
+  for (let p = 0; p < P; p++) {
+    const compare = createColorComparer(palette[p], distanceMode);
+    for (let b = 0; b < B; b++) {
+      dist[b * P + p] = Math.sqrt(Math.max(0, compare(colors[b])));
+    }
+  }
+
+  // Nearest and second-nearest kept colour per histogram colour
+  const alive = new Uint8Array(P).fill(1);
+  const best = new Int32Array(B);
+  const second = new Int32Array(B);
+  const rank = (b) => {
+    let b1 = -1;
+    let b2 = -1;
+    for (let p = 0; p < P; p++) {
+      if (!alive[p]) continue;
+      const d = dist[b * P + p];
+      if (b1 < 0 || d < dist[b * P + b1]) {
+        b2 = b1;
+        b1 = p;
+      } else if (b2 < 0 || d < dist[b * P + b2]) {
+        b2 = p;
+      }
+    }
+    best[b] = b1;
+    second[b] = b2;
+  };
+  for (let b = 0; b < B; b++) rank(b);
+
+  const cost = new Float64Array(P);
+  for (let kept = P; kept > count; kept--) {
+    // Added ΔE if each colour were dropped: its pixels move to their
+    // second-nearest colour
+    cost.fill(0);
+    for (let b = 0; b < B; b++) {
+      cost[best[b]] +=
+        weights[b] * (dist[b * P + second[b]] - dist[b * P + best[b]]);
+    }
+    let drop = -1;
+    for (let p = 0; p < P; p++) {
+      if (alive[p] && (drop < 0 || cost[p] < cost[drop])) drop = p;
+    }
+    alive[drop] = 0;
+    for (let b = 0; b < B; b++) {
+      if (best[b] === drop || second[b] === drop) rank(b);
+    }
+  }
+  return all.filter((p) => alive[p]);
+}
+
+export { selectPaletteSubset };
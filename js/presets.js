@@ -0,0 +1,114 @@
+/**
+ * Canvas-site presets: each site's palette (free and paid colours, with
+ * names), canvas tile size and default grid size. Presets are JSON files in
+ * presets/ listed by presets/index.json:
+ *
+ *   {name, url?, tileSize, gridSize?, colors: [{hex, name?, paid?}]}
+ *
+ * Wplace is built in as the fallback when they cannot be read (e.g. when the
+ * page is opened from disk).
+ */
+
+import {
+  FREE_PALETTE_COLORS,
+  EXTRA_PALETTE_COLORS,
+  BUILT_IN_COLOR_NAMES,
+} from "./colors.js";
+
+const DEFAULT_PRESET = {
+  id: "wplace",
+  name: "Wplace",
+  url: "https://wplace.live",
+  tileSize: 1000,
+  gridSize: 128,
+  free: FREE_PALETTE_COLORS,
+  paid: EXTRA_PALETTE_COLORS,
+  names: BUILT_IN_COLOR_NAMES,
+};
+
+const PRESETS_URL = new URL("../presets/", import.meta.url);
+
+/**
+ * Validate a preset file
+ * @param {string} id - Preset id (file name without .json)
+ * @param {Object} json - Parsed preset file
+ * @returns {{id:string, name:string, url:string, tileSize:number, gridSize:number,
+ *   free:string[], paid:string[], names:Object<string,string>}}
+ * @throws {Error} If the preset is malformed
+ */
+function parsePreset(id, json) {
+  if (typeof json?.name !== "string" || !json.name.trim()) {
+    throw new Error(`Preset "${id}" has no name`);
+  }
+  if (!Array.isArray(json.colors) || !json.colors.length) {
+    throw new Error(`Preset "${id}" has no colours`);
+  }
+  const tileSize = Number(json.tileSize);
+  if (!Number.isInteger(tileSize) || tileSize < 1) {
+    throw new Error(`Preset "${id}" needs a positive integer tileSize`);
+  }
+  const gridSize = Number(json.gridSize ?? Math.min(128, tileSize));
+  if (!Number.isInteger(gridSize) || gridSize < 1 || gridSize > tileSize) {
+    throw new Error(`Preset "${id}" gridSize must be 1..${tileSize}`);
+  }
+
+  const free = [];
+  const paid = [];
+  const names = {};
+  const seen = new Set();
+  for (const color of json.colors) {
+    const m = /^#?([0-9a-f]{6})$/i.exec(String(color?.hex).trim());
+    if (!m) throw new Error(`Preset "${id}": invalid colour "${color?.hex}"`);
+    const hex = `#${m[1].toLowerCase()}`;
+    if (seen.has(hex)) continue;
+    seen.add(hex);
+    (color.paid ? paid : free).push(hex);
+    if (typeof color.name === "string" && color.name) names[hex] = color.name;
+  }
+  return {
+    id,
+    name: json.name.trim(),
+    url: typeof json.url === "string" ? json.url : "",
+    tileSize,
+    gridSize,
+    free,
+    paid,
+    names,
+  };
+}
+
+async function fetchJson(file) {
+  const res = await fetch(new URL(file, PRESETS_URL));
+  if (!res.ok) throw new Error(`${file}: HTTP ${res.status}`);
+  return res.json();
+}
+
+/**
+ * Read every preset listed in index.json
+ * @param {function(string):Promise<Object>} [readJson] - Reads a file from
+ *   presets/ (the page fetches it; the CLI passes a file reader)
+ * @returns {Promise<Object[]>} Presets (see parsePreset), or only the built-in
+ *   Wplace one if the list cannot be read
+ */
+async function loadPresets(readJson = fetchJson) {
+  let ids;
+  try {
+    ids = await readJson("index.json");
+    if (!Array.isArray(ids)) throw new Error("index.json must list preset ids");
+  } catch (err) {
+    console.warn("Using the built-in Wplace preset", err);
+    return [DEFAULT_PRESET];
+  }
+  const presets = [];
+  for (const id of ids) {
+    try {
+      presets.push(parsePreset(id, await readJson(`${id}.json`)));
+    } catch (err) {
+      // One broken preset should not hide the others
+      console.warn(`Skipping preset "${id}"`, err);
+    }
+  }
+  return presets.length ? presets : [DEFAULT_PRESET];
+}
+
+export { DEFAULT_PRESET, parsePreset, loadPresets };
@@ -12,6 +12,8 @@
  * @param {number} options.zoom - Zoom factor
  * @param {number} options.offsetX - X offset for panning
  * @param {number} options.offsetY - Y offset for panning
+ * @param {CanvasImageSource|null} [options.overlay] - Drawn stretched over the image
+ *   (e.g. the dither mask), null for none
  */
 function displayImageWithGrid(canvas, imageData, options = {}) {
   const ctx = canvas.getContext("2d");
@@ -21,6 +23,7 @@ function displayImageWithGrid(canvas, imageData, options = {}) {
     zoom = 1,
     offsetX = 0,
     offsetY = 0,
+    overlay = null,
   } = options;
 
   // Clear canvas
@@ -41,6 +44,9 @@ function displayImageWithGrid(canvas, imageData, options = {}) {
   tempCtx.putImageData(imageData, 0, 0);
 
   ctx.drawImage(tempCanvas, 0, 0);
+  if (overlay) {
+    ctx.drawImage(overlay, 0, 0, imageData.width, imageData.height);
+  }
 
   // Draw grid if enabled
   if (showGrid && gridSize > 0 && zoom * gridSize > 4) {
@@ -2,51 +2,72 @@
  * Main image processor that combines all functionality
  */
 
-import { clamp } from "./utils.js";
+import { srgbToLinear, linearToSrgb } from "./utils.js";
 
 /**
- * Convert ImageData to 3D RGB array and 2D alpha array
+ * Convert ImageData to flat working buffers
  * @param {ImageData} imageData - Canvas ImageData
- * @returns {Object} {rgbChannels, alphaChannel}
+ * @returns {{width:number,height:number,rgb:Float32Array,alpha:Uint8Array}} RGB triplets and alpha per pixel
  */
-function imageDataToArrays(imageData) {
+function imageDataToBuffers(imageData) {
   const { width, height, data } = imageData;
-  const rgbChannels = [];
-  const alphaChannel = [];
+  const count = width * height;
+  const rgb = new Float32Array(count * 3);
+  const alpha = new Uint8Array(count);
+
+  for (let i = 0; i < count; i++) {
+    rgb[i * 3] = data[i * 4];
+    rgb[i * 3 + 1] = data[i * 4 + 1];
+    rgb[i * 3 + 2] = data[i * 4 + 2];
+    alpha[i] = data[i * 4 + 3];
+  }
 
-  for (let y = 0; y < height; y++) {
-    rgbChannels[y] = [];
-    alphaChannel[y] = [];
+  return { width, height, rgb, alpha };
+}
 
-    for (let x = 0; x < width; x++) {
-      const index = (y * width + x) * 4;
-      rgbChannels[y][x] = [data[index], data[index + 1], data[index + 2]];
-      alphaChannel[y][x] = data[index + 3];
+/**
+ * Composite the working buffer over a solid background in linear light, so
+ * partly transparent pixels take the colour they show on that background
+ * @param {{rgb:Float32Array,alpha:Uint8Array}} pixels - Working buffer, modified in place
+ * @param {number[]} background - Background [r,g,b]
+ * @param {boolean} [opaque=true] - Make every pixel fully opaque afterwards;
+ *   otherwise alpha is left for the threshold step
+ */
+function flattenOntoBackground(pixels, background, opaque = true) {
+  const { rgb, alpha } = pixels;
+  const bg = background.map(srgbToLinear);
+  for (let i = 0; i < alpha.length; i++) {
+    const a = alpha[i] / 255;
+    if (a < 1) {
+      for (let c = 0; c < 3; c++) {
+        const o = i * 3 + c;
+        rgb[o] = linearToSrgb(srgbToLinear(rgb[o]) * a + bg[c] * (1 - a));
+      }
     }
+    if (opaque) alpha[i] = 255;
   }
-
-  return { rgbChannels, alphaChannel };
 }
 
 /**
- * Convert 3D RGB array and 2D alpha array back to ImageData
- * @param {number[][][]} rgbChannels - 3D RGB array
- * @param {number[][]} alphaChannel - 2D alpha array
+ * Build ImageData from palette indices and an alpha channel
+ * @param {Uint8Array} indices - Palette index per pixel (out-of-range = transparent)
+ * @param {number[][]} palette - Array of [r,g,b]
+ * @param {Uint8Array} alpha - Alpha per pixel
  * @param {number} width - Image width
  * @param {number} height - Image height
  * @returns {ImageData} Canvas ImageData
  */
-function arraysToImageData(rgbChannels, alphaChannel, width, height) {
+function indicesToImageData(indices, palette, alpha, width, height) {
   const data = new Uint8ClampedArray(width * height * 4);
 
-  for (let y = 0; y < height; y++) {
-    for (let x = 0; x < width; x++) {
-      const index = (y * width + x) * 4;
-      data[index] = clamp(rgbChannels[y][x][0], 0, 255); // R
-      data[index + 1] = clamp(rgbChannels[y][x][1], 0, 255); // G
-      data[index + 2] = clamp(rgbChannels[y][x][2], 0, 255); // B
-      data[index + 3] = clamp(alphaChannel[y][x], 0, 255); // A
-    }
+  for (let i = 0; i < width * height; i++) {
+    const color = palette[indices[i]];
+    if (!color) continue; // transparent, leave as 0,0,0,0
+    const index = i * 4;
+    data[index] = color[0]; // R
+    data[index + 1] = color[1]; // G
+    data[index + 2] = color[2]; // B
+    data[index + 3] = alpha[i]; // A
   }
 
   return new ImageData(data, width, height);
@@ -105,9 +126,40 @@ function getColorStatistics(imageData, colorNameMap, alphaThreshold = 128) {
   return stats;
 }
 
+/**
+ * Get color statistics from palette indices (no pixel scan of the output)
+ * @param {Uint8Array} indices - Palette index per pixel
+ * @param {Uint8Array} alpha - Final alpha per pixel (0 = not counted)
+ * @param {string[]} paletteHex - Palette as hex strings
+ * @param {Object} colorNameMap - Map of hex colors to names
+ * @returns {Array} Array of color statistics {name, hex, index, count}, most used first
+ */
+function getIndexStatistics(indices, alpha, paletteHex, colorNameMap) {
+  const counts = new Uint32Array(paletteHex.length);
+
+  for (let i = 0; i < indices.length; i++) {
+    if (alpha[i] && indices[i] < counts.length) counts[indices[i]]++;
+  }
+
+  const stats = [];
+  counts.forEach((count, index) => {
+    if (!count) return;
+    const hex = paletteHex[index].toLowerCase();
+    const name = colorNameMap?.[hex] || "Unknown";
+    stats.push({ name, hex, index, count });
+  });
+
+  // Sort by count (descending)
+  stats.sort((a, b) => b.count - a.count);
+
+  return stats;
+}
+
 export {
-  imageDataToArrays,
-  arraysToImageData,
+  imageDataToBuffers,
+  flattenOntoBackground,
+  indicesToImageData,
   countImageColors,
   getColorStatistics,
+  getIndexStatistics,
 };
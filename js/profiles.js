@@ -0,0 +1,145 @@
+/**
+ * Owned-colours profiles: which premium colours an account has unlocked.
+ * A profile's palette is every free colour plus its owned premium ones.
+ * Profiles, the custom palette (with names of imported colours), named
+ * palettes saved from the palette editor and the chosen site preset persist
+ * in localStorage; profiles can be exported to and imported from JSON
+ * ({version, active, profiles}).
+ */
+
+import { FREE_PALETTE_COLORS, EXTRA_PALETTE_COLORS } from "./colors.js";
+
+const STORAGE_KEY = "wplace-converter.palettes";
+const DEFAULT_PROFILE = "My colours";
+
+/**
+ * State with one empty profile
+ * @returns {{active:string, profiles:Object<string,string[]>, custom:string[]|null, customNames:Object<string,string>, palettes:Object<string,{hex:string, name?:string}[]>, site:string}}
+ */
+function createProfiles() {
+  return {
+    active: DEFAULT_PROFILE,
+    profiles: { [DEFAULT_PROFILE]: [] },
+    custom: null,
+    customNames: {},
+    palettes: {},
+    site: "wplace",
+  };
+}
+
+const HEX_RE = /^#[0-9a-f]{6}$/;
+
+// Lowercase and unique; profilePalette keeps the site's paid colours only
+function cleanOwned(list) {
+  return [...new Set(list.map((hex) => String(hex).toLowerCase()))];
+}
+
+/**
+ * Validate profiles read from storage or an imported file
+ * @param {Object} json - {profiles: {name: hex[]}, active?, custom?, customNames?, palettes?, site?}
+ * @returns {{active:string, profiles:Object<string,string[]>, custom:string[]|null, customNames:Object<string,string>, palettes:Object<string,{hex:string, name?:string}[]>, site:string}}
+ * @throws {Error} If there are no valid profiles
+ */
+function parseProfiles(json) {
+  if (!json || typeof json.profiles !== "object" || !json.profiles) {
+    throw new Error("Expected an object with a profiles map");
+  }
+  const profiles = {};
+  for (const [name, owned] of Object.entries(json.profiles)) {
+    if (!name.trim() || !Array.isArray(owned)) {
+      throw new Error(`Profile "${name}" must be a list of hex colours`);
+    }
+    profiles[name] = cleanOwned(owned);
+  }
+  const names = Object.keys(profiles);
+  if (!names.length) throw new Error("No profiles found");
+  const custom = Array.isArray(json.custom)
+    ? json.custom.map((hex) => String(hex).toLowerCase())
+    : null;
+  const customNames = {};
+  for (const [hex, name] of Object.entries(json.customNames ?? {})) {
+    if (typeof name === "string") customNames[hex.toLowerCase()] = name;
+  }
+  // Named palettes: entries that are not {hex, name?} are dropped
+  const palettes = {};
+  for (const [name, colors] of Object.entries(json.palettes ?? {})) {
+    if (!Array.isArray(colors)) continue;
+    palettes[name] = colors
+      .filter((c) => HEX_RE.test(String(c?.hex).toLowerCase()))
+      .map((c) => ({
+        hex: c.hex.toLowerCase(),
+        ...(typeof c.name === "string" && c.name ? { name: c.name } : {}),
+      }));
+  }
+  return {
+    active: names.includes(json.active) ? json.active : names[0],
+    profiles,
+    custom,
+    customNames,
+    palettes,
+    site: typeof json.site === "string" ? json.site : "wplace",
+  };
+}
+
+/**
+ * Saved profiles, or a fresh state if there are none (or they are unreadable)
+ * @param {Storage} [storage=localStorage]
+ * @returns {{active:string, profiles:Object<string,string[]>, custom:string[]|null, customNames:Object<string,string>, palettes:Object<string,{hex:string, name?:string}[]>, site:string}}
+ */
+function loadProfiles(storage = globalThis.localStorage) {
+  try {
+    const raw = storage?.getItem(STORAGE_KEY);
+    return raw ? parseProfiles(JSON.parse(raw)) : createProfiles();
+  } catch (err) {
+    console.warn("Ignoring saved palettes", err);
+    return createProfiles();
+  }
+}
+
+/**
+ * Persist profiles and the custom palette
+ * @param {{active:string, profiles:Object<string,string[]>, custom:string[]|null, customNames:Object<string,string>, palettes:Object<string,{hex:string, name?:string}[]>, site:string}} state
+ * @param {Storage} [storage=localStorage]
+ */
+function saveProfiles(state, storage = globalThis.localStorage) {
+  try {
+    storage?.setItem(STORAGE_KEY, JSON.stringify({ version: 1, ...state }));
+  } catch (err) {
+    // Private mode or quota: keep working for this session
+    console.warn("Could not save palettes", err);
+  }
+}
+
+/**
+ * Export format (without the custom and named palettes)
+ * @param {{active:string, profiles:Object<string,string[]>}} state
+ * @returns {{version:number, active:string, profiles:Object<string,string[]>}}
+ */
+function exportProfiles({ active, profiles }) {
+  return { version: 1, active, profiles };
+}
+
+/**
+ * Free colours plus the owned premium ones
+ * @param {string[]} owned - Owned premium hex colours
+ * @param {string[]} [free] - The site's free colours (default Wplace)
+ * @param {string[]} [paid] - The site's paid colours (default Wplace)
+ * @returns {string[]} Palette as hex strings
+ */
+function profilePalette(
+  owned,
+  free = FREE_PALETTE_COLORS,
+  paid = EXTRA_PALETTE_COLORS
+) {
+  const set = new Set(cleanOwned(owned));
+  return [...free, ...paid.filter((hex) => set.has(hex))];
+}
+
+export {
+  createProfiles,
+  parseProfiles,
+  loadProfiles,
+  saveProfiles,
+  exportProfiles,
+  profilePalette,
+};
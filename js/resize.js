@@ -0,0 +1,226 @@
+/**
+ * Resampling utilities for the resize stage that runs ahead of processImage.
+ * Filters are applied separably (horizontal then vertical) on premultiplied
+ * RGBA so transparent pixels do not bleed dark fringes into edges.
+ */
+
+const RESIZE_FILTERS = {
+  nearest: { label: "Nearest" },
+  box: { label: "Area average" },
+  bilinear: { label: "Bilinear", support: 1, kernel: triangle },
+  bicubic: { label: "Bicubic", support: 2, kernel: cubic },
+  lanczos: { label: "Lanczos-3", support: 3, kernel: lanczos3 },
+};
+
+function triangle(x) {
+  x = Math.abs(x);
+  return x < 1 ? 1 - x : 0;
+}
+
+// Keys cubic with a = -0.5 (Catmull-Rom)
+function cubic(x) {
+  const a = -0.5;
+  x = Math.abs(x);
+  if (x < 1) return ((a + 2) * x - (a + 3)) * x * x + 1;
+  if (x < 2) return ((a * x - 5 * a) * x + 8 * a) * x - 4 * a;
+  return 0;
+}
+
+function sinc(x) {
+  if (x === 0) return 1;
+  const px = Math.PI * x;
+  return Math.sin(px) / px;
+}
+
+function lanczos3(x) {
+  return Math.abs(x) < 3 ? sinc(x) * sinc(x / 3) : 0;
+}
+
+/**
+ * Compute per-output-pixel source taps for one axis
+ * @param {number} srcSize - Source length in pixels
+ * @param {number} dstSize - Destination length in pixels
+ * @param {string} filter - Key of RESIZE_FILTERS
+ * @returns {{start:number, weights:Float32Array}[]} Taps per output pixel
+ */
+function computeContributions(srcSize, dstSize, filter) {
+  const scale = srcSize / dstSize;
+  const taps = [];
+
+  for (let i = 0; i < dstSize; i++) {
+    if (filter === "nearest") {
+      const j = Math.min(srcSize - 1, Math.floor((i + 0.5) * scale));
+      taps.push({ start: j, weights: new Float32Array([1]) });
+      continue;
+    }
+
+    if (filter === "box") {
+      // Exact area coverage of source pixels by the output pixel's footprint
+      const left = i * scale;
+      const right = (i + 1) * scale;
+      const start = Math.floor(left);
+      const end = Math.min(srcSize, Math.ceil(right));
+      const weights = new Float32Array(end - start);
+      for (let j = start; j < end; j++) {
+        weights[j - start] = Math.min(right, j + 1) - Math.max(left, j);
+      }
+      taps.push({ start, weights: normalize(weights) });
+      continue;
+    }
+
+    const { support, kernel } = RESIZE_FILTERS[filter];
+    // Widen the kernel when downscaling so it acts as a low-pass filter
+    const filterScale = Math.max(scale, 1);
+    const radius = support * filterScale;
+    const center = (i + 0.5) * scale - 0.5;
+    const start = Math.ceil(center - radius);
+    const end = Math.floor(center + radius);
+    const weights = new Float32Array(end - start + 1);
+    for (let j = start; j <= end; j++) {
+      weights[j - start] = kernel((j - center) / filterScale);
+    }
+    taps.push({ start, weights: normalize(weights) });
+  }
+
+  return taps;
+}
+
+function normalize(weights) {
+  let sum = 0;
+  for (let k = 0; k < weights.length; k++) sum += weights[k];
+  if (sum !== 0) {
+    for (let k = 0; k < weights.length; k++) weights[k] /= sum;
+  }
+  return weights;
+}
+
+/**
+ * Resize ImageData to the given dimensions
+ * @param {ImageData} imageData - Source image data
+ * @param {number} width - Target width
+ * @param {number} height - Target height
+ * @param {string} [filter="box"] - One of nearest, box, bilinear, bicubic, lanczos
+ * @returns {ImageData} Resized image data (the source itself when sizes match)
+ */
+function resizeImageData(imageData, width, height, filter = "box") {
+  const srcW = imageData.width;
+  const srcH = imageData.height;
+  if (width === srcW && height === srcH) return imageData;
+  if (!RESIZE_FILTERS[filter]) filter = "box";
+
+  const src = imageData.data;
+  const xTaps = computeContributions(srcW, width, filter);
+  const yTaps = computeContributions(srcH, height, filter);
+
+  // Horizontal pass: srcH rows of `width` premultiplied pixels
+  const tmp = new Float32Array(width * srcH * 4);
+  for (let y = 0; y < srcH; y++) {
+    const rowOffset = y * srcW;
+    for (let x = 0; x < width; x++) {
+      const { start, weights } = xTaps[x];
+      let r = 0,
+        g = 0,
+        b = 0,
+        a = 0;
+      for (let k = 0; k < weights.length; k++) {
+        const sx = Math.min(srcW - 1, Math.max(0, start + k));
+        const si = (rowOffset + sx) * 4;
+        const w = weights[k];
+        const wa = (w * src[si + 3]) / 255;
+        r += src[si] * wa;
+        g += src[si + 1] * wa;
+        b += src[si + 2] * wa;
+        a += src[si + 3] * w;
+      }
+      const ti = (y * width + x) * 4;
+      tmp[ti] = r;
+      tmp[ti + 1] = g;
+      tmp[ti + 2] = b;
+      tmp[ti + 3] = a;
+    }
+  }
+
+  // Vertical pass, then un-premultiply
+  const out = new Uint8ClampedArray(width * height * 4);
+  for (let y = 0; y < height; y++) {
+    const { start, weights } = yTaps[y];
+    for (let x = 0; x < width; x++) {
+      let r = 0,
+        g = 0,
+        b = 0,
+        a = 0;
+      for (let k = 0; k < weights.length; k++) {
+        const sy = Math.min(srcH - 1, Math.max(0, start + k));
+        const ti = (sy * width + x) * 4;
+        const w = weights[k];
+        r += tmp[ti] * w;
+        g += tmp[ti + 1] * w;
+        b += tmp[ti + 2] * w;
+        a += tmp[ti + 3] * w;
+      }
+      const oi = (y * width + x) * 4;
+      if (a > 0) {
+        const inv = 255 / a;
+        out[oi] = r * inv;
+        out[oi + 1] = g * inv;
+        out[oi + 2] = b * inv;
+      }
+      out[oi + 3] = a;
+    }
+  }
+
+  return new ImageData(out, width, height);
+}
+
+/**
+ * Work out the output size for a resize configuration
+ * @param {number} srcWidth - Source width
+ * @param {number} srcHeight - Source height
+ * @param {Object} config - Resize configuration
+ * @param {"none"|"size"|"fit"|"scale"} config.mode - Resize mode
+ * @param {number} [config.width] - Target width (size/fit)
+ * @param {number} [config.height] - Target height (size/fit)
+ * @param {boolean} [config.lockAspect] - Derive a missing side from the aspect ratio (size)
+ * @param {number} [config.scale] - Scale in percent (scale)
+ * @returns {{width:number, height:number}} Target dimensions (at least 1×1)
+ */
+function computeTargetSize(srcWidth, srcHeight, config = {}) {
+  const { mode = "none", lockAspect = true } = config;
+  const w = Number(config.width) || 0;
+  const h = Number(config.height) || 0;
+  const aspect = srcWidth / srcHeight;
+  let width = srcWidth;
+  let height = srcHeight;
+
+  if (mode === "size") {
+    if (w && h && !lockAspect) {
+      width = w;
+      height = h;
+    } else if (w) {
+      width = w;
+      height = w / aspect;
+    } else if (h) {
+      height = h;
+      width = h * aspect;
+    }
+  } else if (mode === "fit") {
+    const boxW = w || Infinity;
+    const boxH = h || Infinity;
+    const s = Math.min(boxW / srcWidth, boxH / srcHeight);
+    if (isFinite(s)) {
+      width = srcWidth * s;
+      height = srcHeight * s;
+    }
+  } else if (mode === "scale") {
+    const s = (Number(config.scale) || 100) / 100;
+    width = srcWidth * s;
+    height = srcHeight * s;
+  }
+
+  return {
+    width: Math.max(1, Math.round(width)),
+    height: Math.max(1, Math.round(height)),
+  };
+}
+
+export { RESIZE_FILTERS, resizeImageData, computeTargetSize };
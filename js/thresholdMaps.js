@@ -0,0 +1,189 @@
+/**
+ * Threshold maps for ordered dithering. A map is a square tile of
+ * normalized offsets in -0.5..0.5, stored row-major: {size, values}.
+ * Generated maps are cached per size, so each one is built once per page
+ * (or worker).
+ */
+
+const BAYER_SIZES = [2, 4, 8, 16];
+const BLUE_NOISE_SIZES = [16, 32, 64];
+
+const _bayerCache = new Map(); // size -> map
+const _blueNoiseCache = new Map(); // size -> map
+
+// Matrix entries 0..n-1 -> offsets in -0.5..0.5
+function normalizeRanks(ranks, size) {
+  const n = size * size;
+  const values = new Float32Array(n);
+  for (let i = 0; i < n; i++) values[i] = ranks[i] / n - 0.5;
+  return { size, values };
+}
+
+/**
+ * Bayer (recursive index) matrix
+ * @param {number} size - Power of two, 2..16
+ * @returns {{size:number, values:Float32Array}} Threshold map
+ */
+function getBayerMap(size = 4) {
+  if (!BAYER_SIZES.includes(size)) {
+    throw new Error(
+      `Bayer matrix size must be one of ${BAYER_SIZES.join(", ")}`
+    );
+  }
+  let map = _bayerCache.get(size);
+  if (map) return map;
+
+  // M(2n) = [[4M, 4M+2], [4M+3, 4M+1]], starting from M(1) = [0]
+  let m = [0];
+  for (let n = 1; n < size; n *= 2) {
+    const next = new Array(4 * n * n);
+    for (let y = 0; y < n; y++) {
+      for (let x = 0; x < n; x++) {
+        const v = 4 * m[y * n + x];
+        next[y * 2 * n + x] = v;
+        next[y * 2 * n + x + n] = v + 2;
+        next[(y + n) * 2 * n + x] = v + 3;
+        next[(y + n) * 2 * n + x + n] = v + 1;
+      }
+    }
+    m = next;
+  }
+  map = normalizeRanks(m, size);
+  _bayerCache.set(size, map);
+  return map;
+}
+
+/**
+ * Blue-noise map generated with Ulichney's void-and-cluster method on a
+ * torus, so tiles repeat without seams. Deterministic for a given size.
+ * @param {number} size - Tile size, one of 16, 32, 64
+ * @returns {{size:number, values:Float32Array}} Threshold map
+ */
+function getBlueNoiseMap(size = 64) {
+  if (!BLUE_NOISE_SIZES.includes(size)) {
+    throw new Error(
+      `Blue-noise size must be one of ${BLUE_NOISE_SIZES.join(", ")}`
+    );
+  }
+  let map = _blueNoiseCache.get(size);
+  if (map) return map;
+
+  const n = size * size;
+  const sigma = 1.5;
+
+  // Gaussian weight by toroidal offset
+  const kernel = new Float64Array(n);
+  for (let dy = 0; dy < size; dy++) {
+    for (let dx = 0; dx < size; dx++) {
+      const wx = Math.min(dx, size - dx);
+      const wy = Math.min(dy, size - dy);
+      kernel[dy * size + dx] = Math.exp(
+        -(wx * wx + wy * wy) / (2 * sigma * sigma)
+      );
+    }
+  }
+
+  const bits = new Uint8Array(n);
+  const energy = new Float64Array(n);
+  const toggle = (p, on) => {
+    bits[p] = on ? 1 : 0;
+    const px = p % size;
+    const py = (p / size) | 0;
+    const sign = on ? 1 : -1;
+    for (let y = 0; y < size; y++) {
+      const ky = ((y - py + size) % size) * size;
+      for (let x = 0; x < size; x++) {
+        energy[y * size + x] += sign * kernel[ky + ((x - px + size) % size)];
+      }
+    }
+  };
+  // Tightest cluster: the set pixel with the highest energy
+  const tightestCluster = () => {
+    let best = -1;
+    for (let p = 0; p < n; p++) {
+      if (bits[p] && (best < 0 || energy[p] > energy[best])) best = p;
+    }
+    return best;
+  };
+  // Largest void: the empty pixel with the lowest energy
+  const largestVoid = () => {
+    let best = -1;
+    for (let p = 0; p < n; p++) {
+      if (!bits[p] && (best < 0 || energy[p] < energy[best])) best = p;
+    }
+    return best;
+  };
+
+  // Initial pattern: ~10% of pixels from a fixed-seed LCG
+  let seed = 0x2f6b1d;
+  const random = () => {
+    seed = (Math.imul(seed, 1664525) + 1013904223) >>> 0;
+    return seed / 4294967296;
+  };
+  const initial = Math.max(1, Math.round(n / 10));
+  for (let placed = 0; placed < initial; ) {
+    const p = Math.floor(random() * n);
+    if (bits[p]) continue;
+    toggle(p, true);
+    placed++;
+  }
+
+  // Relax: move the tightest cluster into the largest void until stable
+  for (let iter = 0; iter < n; iter++) {
+    const cluster = tightestCluster();
+    toggle(cluster, false);
+    const hole = largestVoid();
+    toggle(hole, true);
+    if (hole === cluster) break;
+  }
+
+  const ranks = new Int32Array(n);
+  const prototype = bits.slice();
+  const prototypeEnergy = energy.slice();
+
+  // Phase 1: remove clusters from the prototype, ranking downwards
+  for (let rank = initial - 1; rank >= 0; rank--) {
+    const p = tightestCluster();
+    toggle(p, false);
+    ranks[p] = rank;
+  }
+
+  // Phase 2+3: fill voids from the prototype, ranking upwards
+  bits.set(prototype);
+  energy.set(prototypeEnergy);
+  for (let rank = initial; rank < n; rank++) {
+    const p = largestVoid();
+    toggle(p, true);
+    ranks[p] = rank;
+  }
+
+  map = normalizeRanks(ranks, size);
+  _blueNoiseCache.set(size, map);
+  return map;
+}
+
+// Clustered-dot 8×8 halftone screen (fixed)
+const HALFTONE_8X8 = [
+  24, 3, 19, 8, 25, 4, 20, 9, 12, 43, 52, 35, 11, 44, 53, 36, 18, 51, 60, 42,
+  17, 50, 59, 41, 7, 34, 40, 58, 6, 33, 39, 57, 26, 5, 21, 10, 27, 2, 22, 1, 13,
+  45, 54, 37, 14, 46, 55, 38, 16, 49, 58, 40, 15, 48, 57, 39, 1, 32, 38, 56, 0,
+  31, 37, 55,
+];
+let _halftoneMap = null;
+
+/**
+ * Clustered-dot halftone screen
+ * @returns {{size:number, values:Float32Array}} Threshold map
+ */
+function getHalftoneMap() {
+  if (!_halftoneMap) _halftoneMap = normalizeRanks(HALFTONE_8X8, 8);
+  return _halftoneMap;
+}
+
+export {
+  BAYER_SIZES,
+  BLUE_NOISE_SIZES,
+  getBayerMap,
+  getBlueNoiseMap,
+  getHalftoneMap,
+};
@@ -44,12 +44,20 @@ function srgbToLinear(c) {
   return cs <= 0.04045 ? cs / 12.92 : Math.pow((cs + 0.055) / 1.055, 2.4);
 }
 
+// Inverse of srgbToLinear: linear 0..1 -> sRGB 0..255 (unrounded)
+function linearToSrgb(v) {
+  const c = _clamp01(v);
+  return (
+    (c <= 0.0031308 ? c * 12.92 : 1.055 * Math.pow(c, 1 / 2.4) - 0.055) * 255
+  );
+}
+
 function rgbToXyz(r, g, b) {
   // Convert sRGB (D65) to XYZ
-  const R = srgbToLinear(r);
-  const G = srgbToLinear(g);
-  const B = srgbToLinear(b);
+  return linearRgbToXyz(srgbToLinear(r), srgbToLinear(g), srgbToLinear(b));
+}
 
+function linearRgbToXyz(R, G, B) {
   // sRGB to XYZ matrix (D65)
   const x = R * 0.4124564 + G * 0.3575761 + B * 0.1804375;
   const y = R * 0.2126729 + G * 0.7151522 + B * 0.072175;
@@ -85,6 +93,31 @@ function rgbToLab(rgb) {
   return xyzToLab(x, y, z);
 }
 
+// Same as rgbToLab for linear-light input (0..1)
+function linearRgbToLab(rgb) {
+  const [x, y, z] = linearRgbToXyz(rgb[0], rgb[1], rgb[2]);
+  return xyzToLab(x, y, z);
+}
+
+// Inverse of linearRgbToLab: Lab -> linear-light RGB (may leave 0..1)
+function labToLinearRgb([L, a, b]) {
+  const eps = 216 / 24389;
+  const k = 24389 / 27;
+  const fy = (L + 16) / 116;
+  const fx = fy + a / 500;
+  const fz = fy - b / 200;
+  const fx3 = fx * fx * fx;
+  const fz3 = fz * fz * fz;
+  const x = (fx3 > eps ? fx3 : (116 * fx - 16) / k) * 0.95047;
+  const y = L > k * eps ? fy * fy * fy : L / k;
+  const z = (fz3 > eps ? fz3 : (116 * fz - 16) / k) * 1.08883;
+  return [
+    3.2404542 * x - 1.5371385 * y - 0.4985314 * z,
+    -0.969266 * x + 1.8760108 * y + 0.041556 * z,
+    0.0556434 * x - 0.2040259 * y + 1.0572252 * z,
+  ];
+}
+
 function deltaE76(lab1, lab2) {
   const dL = lab1[0] - lab2[0];
   const da = lab1[1] - lab2[1];
@@ -92,45 +125,268 @@ function deltaE76(lab1, lab2) {
   return dL * dL + da * da + db * db; // squared distance is enough for compare
 }
 
-// Cache palette conversions to Lab for speed (keyed by reference)
+// CIE94 (graphic arts weights), squared
+function deltaE94(lab1, lab2) {
+  const [L1, a1, b1] = lab1;
+  const [L2, a2, b2] = lab2;
+  const C1 = Math.sqrt(a1 * a1 + b1 * b1);
+  const C2 = Math.sqrt(a2 * a2 + b2 * b2);
+  const dL = L1 - L2;
+  const dC = C1 - C2;
+  const da = a1 - a2;
+  const db = b1 - b2;
+  const dH2 = Math.max(0, da * da + db * db - dC * dC);
+  const sC = 1 + 0.045 * C1;
+  const sH = 1 + 0.015 * C1;
+  return dL * dL + (dC / sC) * (dC / sC) + dH2 / (sH * sH);
+}
+
+// CIEDE2000, squared
+function deltaE2000(lab1, lab2) {
+  const [L1, a1, b1] = lab1;
+  const [L2, a2, b2] = lab2;
+  const rad = Math.PI / 180;
+
+  const C1 = Math.sqrt(a1 * a1 + b1 * b1);
+  const C2 = Math.sqrt(a2 * a2 + b2 * b2);
+  const Cbar7 = Math.pow((C1 + C2) / 2, 7);
+  const G = 0.5 * (1 - Math.sqrt(Cbar7 / (Cbar7 + 6103515625))); // 25^7
+  const a1p = a1 * (1 + G);
+  const a2p = a2 * (1 + G);
+  const C1p = Math.sqrt(a1p * a1p + b1 * b1);
+  const C2p = Math.sqrt(a2p * a2p + b2 * b2);
+  const hue = (b, a) => {
+    if (a === 0 && b === 0) return 0;
+    const h = Math.atan2(b, a) / rad;
+    return h < 0 ? h + 360 : h;
+  };
+  const h1p = hue(b1, a1p);
+  const h2p = hue(b2, a2p);
+
+  const dLp = L2 - L1;
+  const dCp = C2p - C1p;
+  let dhp = 0;
+  if (C1p * C2p !== 0) {
+    dhp = h2p - h1p;
+    if (dhp > 180) dhp -= 360;
+    else if (dhp < -180) dhp += 360;
+  }
+  const dHp = 2 * Math.sqrt(C1p * C2p) * Math.sin((dhp / 2) * rad);
+
+  const Lbp = (L1 + L2) / 2;
+  const Cbp = (C1p + C2p) / 2;
+  let hbp = h1p + h2p;
+  if (C1p * C2p !== 0) {
+    if (Math.abs(h1p - h2p) > 180) hbp += hbp < 360 ? 360 : -360;
+    hbp /= 2;
+  }
+
+  const T =
+    1 -
+    0.17 * Math.cos((hbp - 30) * rad) +
+    0.24 * Math.cos(2 * hbp * rad) +
+    0.32 * Math.cos((3 * hbp + 6) * rad) -
+    0.2 * Math.cos((4 * hbp - 63) * rad);
+  const dTheta = 30 * Math.exp(-Math.pow((hbp - 275) / 25, 2));
+  const Cbp7 = Math.pow(Cbp, 7);
+  const RC = 2 * Math.sqrt(Cbp7 / (Cbp7 + 6103515625));
+  const Lm = (Lbp - 50) * (Lbp - 50);
+  const SL = 1 + (0.015 * Lm) / Math.sqrt(20 + Lm);
+  const SC = 1 + 0.045 * Cbp;
+  const SH = 1 + 0.015 * Cbp * T;
+  const RT = -Math.sin(2 * dTheta * rad) * RC;
+
+  const tL = dLp / SL;
+  const tC = dCp / SC;
+  const tH = dHp / SH;
+  return tL * tL + tC * tC + tH * tH + RT * tC * tH;
+}
+
+// sRGB -> Oklab (Björn Ottosson), L in 0..1
+function rgbToOklab(rgb) {
+  return linearRgbToOklab([
+    srgbToLinear(rgb[0]),
+    srgbToLinear(rgb[1]),
+    srgbToLinear(rgb[2]),
+  ]);
+}
+
+// Linear-light RGB (0..1) -> Oklab
+function linearRgbToOklab([r, g, b]) {
+  const l = Math.cbrt(0.4122214708 * r + 0.5363325363 * g + 0.0514459929 * b);
+  const m = Math.cbrt(0.2119034982 * r + 0.6806995451 * g + 0.1073969566 * b);
+  const s = Math.cbrt(0.0883024619 * r + 0.2817188376 * g + 0.6299787005 * b);
+  return [
+    0.2104542553 * l + 0.793617785 * m - 0.0040720468 * s,
+    1.9779984951 * l - 2.428592205 * m + 0.4505937099 * s,
+    0.0259040371 * l + 0.7827717662 * m - 0.808675766 * s,
+  ];
+}
+
+// Inverse of linearRgbToOklab: Oklab -> linear-light RGB (may leave 0..1)
+function oklabToLinearRgb([L, a, b]) {
+  const l = L + 0.3963377774 * a + 0.2158037573 * b;
+  const m = L - 0.1055613458 * a - 0.0638541728 * b;
+  const s = L - 0.0894841775 * a - 1.291485548 * b;
+  const l3 = l * l * l;
+  const m3 = m * m * m;
+  const s3 = s * s * s;
+  return [
+    4.0767416621 * l3 - 3.3077115913 * m3 + 0.2309699292 * s3,
+    -1.2684380046 * l3 + 2.6097574011 * m3 - 0.3413193965 * s3,
+    -0.0041960863 * l3 - 0.7034186147 * m3 + 1.707614701 * s3,
+  ];
+}
+
+// Colour space and comparison used by each perceptual distance mode
+// (convertLinear takes linear-light 0..1 input)
+const DISTANCE_SPACES = {
+  lab: { convert: rgbToLab, convertLinear: linearRgbToLab, compare: deltaE76 },
+  cie94: {
+    convert: rgbToLab,
+    convertLinear: linearRgbToLab,
+    compare: deltaE94,
+  },
+  ciede2000: {
+    convert: rgbToLab,
+    convertLinear: linearRgbToLab,
+    compare: deltaE2000,
+  },
+  oklab: {
+    convert: rgbToOklab,
+    convertLinear: linearRgbToOklab,
+    compare: deltaE76,
+  },
+};
+
+// Cache palette conversions per colour space for speed (keyed by reference)
 const _paletteLabCache = new WeakMap();
 
+function getConvertedPalette(palette, convert) {
+  let byConvert = _paletteLabCache.get(palette);
+  if (!byConvert) {
+    byConvert = new Map();
+    _paletteLabCache.set(palette, byConvert);
+  }
+  let converted = byConvert.get(convert);
+  if (!converted) {
+    converted = palette.map((c) => convert(c));
+    byConvert.set(convert, converted);
+  }
+  return converted;
+}
+
 /**
- * Find the closest color in a palette to the given pixel
- * @param {number[]} pixel - RGB array [r, g, b]
+ * Distance between two colours under a distance mode. Values are only
+ * meaningful for comparison within the same mode (most are squared).
+ * @param {number[]} rgb1 - RGB array [r, g, b]
+ * @param {number[]} rgb2 - RGB array [r, g, b]
+ * @param {"rgb"|"lab"|"oklab"|"cie94"|"ciede2000"|"compuphase"} [mode="lab"]
+ * @returns {number} Distance
+ */
+function colorDistance(rgb1, rgb2, mode = "lab") {
+  if (mode === "rgb") {
+    const dr = rgb1[0] - rgb2[0];
+    const dg = rgb1[1] - rgb2[1];
+    const db = rgb1[2] - rgb2[2];
+    return dr * dr + dg * dg + db * db;
+  }
+  if (mode === "compuphase") {
+    const rmean = (rgb1[0] + rgb2[0]) / 2;
+    const dr = rgb1[0] - rgb2[0];
+    const dg = rgb1[1] - rgb2[1];
+    const db = rgb1[2] - rgb2[2];
+    return (
+      ((512 + rmean) * dr * dr) / 256 +
+      4 * dg * dg +
+      ((767 - rmean) * db * db) / 256
+    );
+  }
+  const space = DISTANCE_SPACES[mode] || DISTANCE_SPACES.lab;
+  return space.compare(space.convert(rgb1), space.convert(rgb2));
+}
+
+// Table-driven linearToSrgb for hot loops (error well below 0.1 sRGB step)
+const LINEAR_LUT_SIZE = 4096;
+let _linearToSrgbLut = null;
+function fastLinearToSrgb(v) {
+  if (!_linearToSrgbLut) {
+    _linearToSrgbLut = new Float32Array(LINEAR_LUT_SIZE + 1);
+    for (let i = 0; i <= LINEAR_LUT_SIZE; i++) {
+      _linearToSrgbLut[i] = linearToSrgb(i / LINEAR_LUT_SIZE);
+    }
+  }
+  const x = _clamp01(v) * LINEAR_LUT_SIZE;
+  const i = Math.min(LINEAR_LUT_SIZE - 1, x | 0);
+  const f = x - i;
+  return (
+    _linearToSrgbLut[i] + (_linearToSrgbLut[i + 1] - _linearToSrgbLut[i]) * f
+  );
+}
+
+/**
+ * Distance function to a fixed target colour; converts the target once, so
+ * it is cheaper than colorDistance when one colour is compared many times
+ * @param {number[]} target - RGB array [r, g, b] (sRGB 0..255)
+ * @param {"rgb"|"lab"|"oklab"|"cie94"|"ciede2000"|"compuphase"} [mode="lab"]
+ * @param {boolean} [linearInput=false] - Compared colours are linear light 0..1
+ * @returns {(rgb:number[])=>number} Distance from target, same scale as colorDistance
+ */
+function createColorComparer(target, mode = "lab", linearInput = false) {
+  const space = DISTANCE_SPACES[mode];
+  if (!space) {
+    if (!linearInput) return (rgb) => colorDistance(target, rgb, mode);
+    const srgb = [0, 0, 0];
+    return (rgb) => {
+      srgb[0] = fastLinearToSrgb(rgb[0]);
+      srgb[1] = fastLinearToSrgb(rgb[1]);
+      srgb[2] = fastLinearToSrgb(rgb[2]);
+      return colorDistance(target, srgb, mode);
+    };
+  }
+  const converted = space.convert(target);
+  const convert = linearInput ? space.convertLinear : space.convert;
+  return (rgb) => space.compare(converted, convert(rgb));
+}
+
+/**
+ * Find the index of the closest color in a palette to the given pixel
+ * @param {ArrayLike<number>} pixel - RGB values [r, g, b] (may be fractional)
  * @param {number[][]} palette - Array of RGB arrays
- * @param {"rgb"|"lab"|"compuphase"} [mode="lab"] - Distance mode
- * @returns {number[]} Closest RGB color from palette
+ * @param {"rgb"|"lab"|"oklab"|"cie94"|"ciede2000"|"compuphase"} [mode="lab"] - Distance mode
+ * @returns {number} Palette index, -1 for an empty palette
  */
-function findClosestColorInPalette(pixel, palette, mode = "lab") {
-  if (!palette || palette.length === 0) return [0, 0, 0];
+function findClosestColorIndex(pixel, palette, mode = "lab") {
+  if (!palette || palette.length === 0) return -1;
 
   if (mode === "rgb") {
     let minDistance = Infinity;
-    let closestColor = palette[0];
+    let bestIdx = 0;
     const pr = pixel[0];
     const pg = pixel[1];
     const pb = pixel[2];
-    for (const color of palette) {
+    for (let i = 0; i < palette.length; i++) {
+      const color = palette[i];
       const dr = color[0] - pr;
       const dg = color[1] - pg;
       const db = color[2] - pb;
       const d = dr * dr + dg * dg + db * db;
       if (d < minDistance) {
         minDistance = d;
-        closestColor = color;
+        bestIdx = i;
       }
     }
-    return [...closestColor];
+    return bestIdx;
   }
 
   if (mode === "compuphase") {
     let minDistance = Infinity;
-    let closestColor = palette[0];
+    let bestIdx = 0;
     const pr = pixel[0] | 0;
     const pg = pixel[1] | 0;
     const pb = pixel[2] | 0;
-    for (const color of palette) {
+    for (let i = 0; i < palette.length; i++) {
+      const color = palette[i];
       const r = color[0] | 0;
       const g = color[1] | 0;
       const b = color[2] | 0;
@@ -145,29 +401,38 @@ function findClosestColorInPalette(pixel, palette, mode = "lab") {
       const d = x + y + z; // no sqrt needed for compare
       if (d < minDistance) {
         minDistance = d;
-        closestColor = color;
+        bestIdx = i;
       }
     }
-    return [...closestColor];
+    return bestIdx;
   }
 
-  // Default: perceptual Lab
-  let labs = _paletteLabCache.get(palette);
-  if (!labs) {
-    labs = palette.map((c) => rgbToLab(c));
-    _paletteLabCache.set(palette, labs);
-  }
-  const plab = rgbToLab(pixel);
+  // Perceptual modes: Lab (ΔE76, default), CIE94, CIEDE2000 or Oklab
+  const { convert, compare } = DISTANCE_SPACES[mode] || DISTANCE_SPACES.lab;
+  const converted = getConvertedPalette(palette, convert);
+  const plab = convert(pixel);
   let minD = Infinity;
   let bestIdx = 0;
-  for (let i = 0; i < labs.length; i++) {
-    const d = deltaE76(plab, labs[i]);
+  for (let i = 0; i < converted.length; i++) {
+    const d = compare(plab, converted[i]);
     if (d < minD) {
       minD = d;
       bestIdx = i;
     }
   }
-  return [...palette[bestIdx]];
+  return bestIdx;
+}
+
+/**
+ * Find the closest color in a palette to the given pixel
+ * @param {number[]} pixel - RGB array [r, g, b]
+ * @param {number[][]} palette - Array of RGB arrays
+ * @param {"rgb"|"lab"|"oklab"|"cie94"|"ciede2000"|"compuphase"} [mode="lab"] - Distance mode
+ * @returns {number[]} Closest RGB color from palette
+ */
+function findClosestColorInPalette(pixel, palette, mode = "lab") {
+  const idx = findClosestColorIndex(pixel, palette, mode);
+  return idx < 0 ? [0, 0, 0] : [...palette[idx]];
 }
 
 /**
@@ -181,6 +446,21 @@ function clamp(value, min, max) {
   return Math.min(Math.max(value, min), max);
 }
 
+/**
+ * Seeded pseudo-random generator (mulberry32): same seed, same sequence
+ * @param {number} seed - Any number; used as an unsigned 32-bit integer
+ * @returns {() => number} Function returning floats in [0, 1)
+ */
+function createRandom(seed) {
+  let a = seed >>> 0;
+  return () => {
+    a = (a + 0x6d2b79f5) >>> 0;
+    let t = Math.imul(a ^ (a >>> 15), a | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
 /**
  * Create a 2D array with given dimensions
  * @param {number} width - Width of array
@@ -207,7 +487,17 @@ export {
   hexToRgb,
   rgbToHex,
   findClosestColorInPalette,
+  findClosestColorIndex,
+  colorDistance,
+  createColorComparer,
+  srgbToLinear,
+  linearToSrgb,
+  linearRgbToLab,
+  labToLinearRgb,
+  linearRgbToOklab,
+  oklabToLinearRgb,
   clamp,
+  createRandom,
   create2DArray,
   copy2DArray,
 };
@@ -0,0 +1,89 @@
+/**
+ * Module worker running convert() off the main thread.
+ *
+ * Messages in:
+ *   {type:"source", imageData}          - set the image to convert
+ *   {type:"control", control}           - shared Int32Array holding the id of
+ *                                         the job still wanted (0 = none)
+ *   {type:"process", id, options}       - run convert() with these options
+ *   {type:"cancel"}                     - drop the queued job, if any
+ * Messages out:
+ *   {type:"progress", id, stage, value} - overall progress 0..1
+ *   {type:"result", id, result}         - convert() result (buffers transferred)
+ *   {type:"error", id, message}
+ *   {type:"cancelled", id}              - the job was dropped or stopped early
+ *
+ * Every process message gets exactly one result, error or cancelled reply.
+ * The worker stays alive across jobs so convert()'s caches (resize, palette
+ * matcher, ordered-dither maps) carry over. Conversion is synchronous: a
+ * running job only notices it was superseded through the shared control
+ * word, which needs cross-origin isolation; without it the job runs to the
+ * end (the client terminates the worker if that takes too long).
+ */
+
+import { convert } from "./convert.js";
+
+let source = null;
+let control = null;
+let queued = null; // latest process message not started yet
+
+class Cancelled extends Error {}
+
+function runJob({ id, options }) {
+  if (!source) {
+    self.postMessage({ type: "error", id, message: "No source image" });
+    return;
+  }
+  try {
+    let lastSent = -1;
+    const result = convert(source, options, (stage, value) => {
+      if (control && Atomics.load(control, 0) !== id) throw new Cancelled();
+      // Throttle to whole percents to keep the message queue short
+      const pct = Math.floor(value * 100);
+      if (pct === lastSent) return;
+      lastSent = pct;
+      self.postMessage({ type: "progress", id, stage, value });
+    });
+    self.postMessage({ type: "result", id, result }, [
+      result.imageData.data.buffer,
+      result.indices.buffer,
+    ]);
+  } catch (err) {
+    if (err instanceof Cancelled) {
+      self.postMessage({ type: "cancelled", id });
+      return;
+    }
+    self.postMessage({
+      type: "error",
+      id,
+      message: String(err?.message || err),
+    });
+  }
+}
+
+function dropQueued() {
+  if (!queued) return;
+  self.postMessage({ type: "cancelled", id: queued.id });
+  queued = null;
+}
+
+self.onmessage = (e) => {
+  const msg = e.data;
+  if (msg.type === "source") {
+    source = msg.imageData;
+  } else if (msg.type === "control") {
+    control = msg.control;
+  } else if (msg.type === "cancel") {
+    dropQueued();
+  } else if (msg.type === "process") {
+    // Start on a later task, so requests that piled up during a long job
+    // collapse into the newest one
+    dropQueued();
+    queued = msg;
+    setTimeout(() => {
+      const job = queued;
+      queued = null;
+      if (job) runJob(job);
+    }, 0);
+  }
+};
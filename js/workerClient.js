@@ -0,0 +1,198 @@
+/**
+ * Main-thread side of the conversion worker protocol (see worker.js).
+ * Only one job is wanted at a time: starting a new job or calling cancel()
+ * rejects the current job's promise with an AbortError and asks the worker
+ * to drop it, keeping the worker (and its caches) alive. A superseded job
+ * that is still running after STOP_TIMEOUT is cut off by terminating the
+ * worker. Without module workers jobs run inline; a queued inline job that
+ * is superseded before it starts is dropped the same way.
+ */
+
+import { convert } from "./convert.js";
+
+// How long a superseded job may keep the worker busy (ms)
+const STOP_TIMEOUT = 3000;
+
+function abortError() {
+  return new DOMException("Superseded by a newer request", "AbortError");
+}
+
+class PipelineClient {
+  constructor() {
+    this.worker = null;
+    this.source = null;
+    this.pending = null; // {id, resolve, reject, onProgress, options}
+    this.stale = new Set(); // ids of superseded jobs the worker has not finished
+    this.stopTimer = null;
+    // Id of the wanted job, shared with the worker so a superseded one stops
+    // at its next progress report (needs cross-origin isolation)
+    this.control =
+      globalThis.crossOriginIsolated && typeof SharedArrayBuffer !== "undefined"
+        ? new Int32Array(new SharedArrayBuffer(4))
+        : null;
+    this.nextId = 1;
+    this.workerReady = false; // set once the worker has answered at least once
+    this.inline = typeof Worker === "undefined"; // fallback: run on main thread
+  }
+
+  _spawn() {
+    if (this.worker || this.inline) return;
+    try {
+      this.worker = new Worker(new URL("./worker.js", import.meta.url), {
+        type: "module",
+      });
+    } catch (err) {
+      console.warn("Module workers unavailable, processing inline", err);
+      this.inline = true;
+      return;
+    }
+    this.worker.onmessage = (e) => this._onMessage(e.data);
+    this.worker.onerror = (e) => this._onWorkerError(e);
+    if (this.control) {
+      this.worker.postMessage({ type: "control", control: this.control });
+    }
+    if (this.source) {
+      this.worker.postMessage({ type: "source", imageData: this.source });
+    }
+  }
+
+  _onMessage(msg) {
+    this.workerReady = true;
+    if (msg.type !== "progress") this._finished(msg.id);
+    const job = this.pending;
+    if (!job || msg.id !== job.id) return; // stale message
+    if (msg.type === "progress") {
+      job.onProgress?.(msg.value, msg.stage);
+    } else if (msg.type === "result") {
+      this.pending = null;
+      job.resolve(msg.result);
+    } else if (msg.type === "error") {
+      this.pending = null;
+      job.reject(new Error(msg.message));
+    }
+  }
+
+  _onWorkerError(e) {
+    e.preventDefault?.();
+    this._terminate();
+    const job = this.pending;
+    if (!job) return;
+    if (!this.workerReady) {
+      // The worker never came up (e.g. no module worker support): retry inline
+      console.warn("Pipeline worker failed to start, processing inline", e);
+      this.inline = true;
+      this.pending = null;
+      this._runInline(job);
+      return;
+    }
+    this.pending = null;
+    job.reject(new Error(e.message || "Worker error"));
+  }
+
+  _terminate() {
+    clearTimeout(this.stopTimer);
+    this.stopTimer = null;
+    this.stale.clear();
+    if (!this.worker) return;
+    this.worker.terminate();
+    this.worker = null;
+  }
+
+  _post(job) {
+    if (this.control) Atomics.store(this.control, 0, job.id);
+    this.worker.postMessage({
+      type: "process",
+      id: job.id,
+      options: job.options,
+    });
+  }
+
+  _finished(id) {
+    if (!this.stale.delete(id) || this.stale.size) return;
+    clearTimeout(this.stopTimer);
+    this.stopTimer = null;
+  }
+
+  // A superseded job did not stop in time: replace the worker and resend
+  // the wanted job, if any
+  _stopStale() {
+    this.stopTimer = null;
+    if (!this.stale.size) return;
+    this._terminate();
+    const job = this.pending;
+    if (!job) return;
+    this._spawn();
+    if (this.inline) {
+      this._runInline(job);
+      return;
+    }
+    this._post(job);
+  }
+
+  _runInline(job) {
+    this.pending = job;
+    // Yield once so the UI can paint the status before blocking; a job
+    // superseded meanwhile was already rejected by cancel() and never starts
+    setTimeout(() => {
+      if (this.pending !== job) return;
+      try {
+        const result = convert(this.source, job.options, (stage, value) =>
+          job.onProgress?.(value, stage)
+        );
+        this.pending = null;
+        job.resolve(result);
+      } catch (err) {
+        this.pending = null;
+        job.reject(err);
+      }
+    }, 0);
+  }
+
+  /**
+   * Set the source image for subsequent jobs (cancels any running job)
+   * @param {ImageData} imageData - Source image
+   */
+  setSource(imageData) {
+    this.cancel();
+    this.source = imageData;
+    if (this.worker) {
+      this.worker.postMessage({ type: "source", imageData });
+    }
+  }
+
+  /**
+   * Convert the current source, superseding any running job
+   * @param {Object} options - Conversion options, see convert
+   * @param {(value:number, stage:string)=>void} [onProgress] - Progress 0..1
+   * @returns {Promise<ReturnType<typeof convert>>} Conversion result; rejects with AbortError when superseded
+   */
+  run(options, onProgress = null) {
+    this.cancel();
+    return new Promise((resolve, reject) => {
+      const job = { id: this.nextId++, resolve, reject, onProgress, options };
+      this._spawn();
+      if (this.inline) {
+        this._runInline(job);
+        return;
+      }
+      this.pending = job;
+      this._post(job);
+    });
+  }
+
+  /** Abort the running job, if any */
+  cancel() {
+    const job = this.pending;
+    if (!job) return;
+    this.pending = null;
+    if (this.worker) {
+      this.stale.add(job.id);
+      if (this.control) Atomics.store(this.control, 0, 0);
+      this.worker.postMessage({ type: "cancel" });
+      this.stopTimer ??= setTimeout(() => this._stopStale(), STOP_TIMEOUT);
+    }
+    job.reject(abortError());
+  }
+}
+
+export { PipelineClient };
@@ -131,4 +131,4 @@ async function zipFiles(files) {
   return new Blob(blobParts, { type: "application/zip" });
 }
 
-export { zipFiles };
+export { zipFiles, crc32 };
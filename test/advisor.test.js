@@ -0,0 +1,93 @@
+import "./helpers/imageData.js";
+import { test } from "node:test";
+import assert from "node:assert/strict";
+
+import { makeImage } from "./helpers/imageData.js";
+import { adviseUpgrades } from "../js/advisor.js";
+import { prepareMatchImage } from "../js/convert.js";
+
+const RED = "#ff0000";
+const GREEN = "#00ff00";
+const BLUE = "#0000ff";
+const NAMES = { [RED]: "Red", [GREEN]: "Green", [BLUE]: "Blue" };
+
+// 60 red, 30 blue and 10 green pixels, plus 20 transparent ones
+const image = makeImage(20, 6, (x, y) => {
+  const i = y * 20 + x;
+  if (i < 60) return [255, 0, 0];
+  if (i < 90) return [0, 0, 255];
+  if (i < 100) return [0, 255, 0];
+  return [0, 255, 0, 0];
+});
+
+test("candidates are ranked by the error they remove", () => {
+  const { pixels, ranking } = adviseUpgrades(
+    image,
+    ["#000000", "#ffffff"],
+    [GREEN, BLUE, RED, "#FFFFFF"],
+    { distanceMode: "rgb", colorNames: NAMES }
+  );
+  assert.equal(pixels, 100);
+  assert.deepEqual(
+    ranking.map(({ name, pixels }) => [name, pixels]),
+    [
+      ["Red", 60],
+      ["Blue", 30],
+      ["Green", 10],
+    ]
+  );
+  for (let i = 1; i < ranking.length; i++) {
+    assert.ok(ranking[i - 1].gain > ranking[i].gain);
+  }
+});
+
+test("the plan buys colours in order until nothing helps", () => {
+  const { meanDeltaE, plan } = adviseUpgrades(
+    image,
+    ["#000000"],
+    [BLUE, GREEN, RED, "#000001"],
+    { distanceMode: "rgb", colorNames: NAMES }
+  );
+  assert.deepEqual(
+    plan.map(({ name }) => name),
+    ["Red", "Blue", "Green"]
+  );
+  // Each step lowers the mean error by its gain, down to exact matches
+  let before = meanDeltaE;
+  for (const step of plan) {
+    assert.ok(Math.abs(before - step.gain - step.meanDeltaE) < 1e-9);
+    before = step.meanDeltaE;
+  }
+  assert.ok(plan.at(-1).meanDeltaE < 1e-9);
+});
+
+test("the plan stops at the requested number of steps", () => {
+  const { plan } = adviseUpgrades(image, ["#000000"], [RED, GREEN, BLUE], {
+    steps: 2,
+  });
+  assert.equal(plan.length, 2);
+});
+
+test("an image with no visible pixels gets no advice", () => {
+  const clear = makeImage(4, 4, () => [255, 0, 0, 0]);
+  assert.deepEqual(adviseUpgrades(clear, ["#000000"], [RED]), {
+    pixels: 0,
+    meanDeltaE: 0,
+    ranking: [],
+    plan: [],
+  });
+});
+
+test("advice follows the flattened colours", () => {
+  // Half-transparent red over white shows as pink
+  const faded = makeImage(8, 8, () => [255, 0, 0, 128]);
+  const options = { flatten: { color: "#ffffff" } };
+  const prepared = prepareMatchImage(faded, options);
+  assert.ok(prepared.data.every((v, i) => i % 4 !== 3 || v === 255));
+  const { ranking } = adviseUpgrades(prepared, ["#000000"], [RED, "#ffbbbb"]);
+  assert.equal(ranking[0].hex, "#ffbbbb");
+  assert.equal(
+    adviseUpgrades(faded, ["#000000"], [RED, "#ffbbbb"]).ranking[0].hex,
+    RED
+  );
+});
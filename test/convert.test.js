@@ -0,0 +1,92 @@
+import "./helpers/imageData.js";
+import { test } from "node:test";
+import assert from "node:assert/strict";
+
+import { makeImage } from "./helpers/imageData.js";
+import { FREE_PALETTE_COLORS } from "../js/colors.js";
+import { convert } from "../js/convert.js";
+import { hexToRgb } from "../js/utils.js";
+
+const gradient = makeImage(16, 8, (x, y) => [x * 16, y * 32, 255 - x * 16]);
+
+test("convert maps every pixel to the palette and counts them", () => {
+  const before = Uint8ClampedArray.from(gradient.data);
+  const { imageData, indices, palette, stats } = convert(gradient);
+  assert.deepEqual(gradient.data, before); // source untouched
+  assert.equal(palette, FREE_PALETTE_COLORS);
+  assert.equal(imageData.width, 16);
+  assert.equal(imageData.height, 8);
+  assert.equal(indices.length, 16 * 8);
+  indices.forEach((index, i) => {
+    assert.ok(index < palette.length);
+    const rgb = Array.from(imageData.data.subarray(i * 4, i * 4 + 3));
+    assert.deepEqual(rgb, hexToRgb(palette[index]));
+  });
+  assert.equal(
+    stats.reduce((sum, s) => sum + s.count, 0),
+    16 * 8
+  );
+  for (let i = 1; i < stats.length; i++) {
+    assert.ok(stats[i - 1].count >= stats[i].count);
+  }
+});
+
+test("convert uses a palette given as hex colours", () => {
+  const { imageData, palette, stats } = convert(gradient, {
+    palette: ["#000000", "#ffffff"],
+  });
+  assert.deepEqual(palette, ["#000000", "#ffffff"]);
+  for (let i = 0; i < imageData.data.length; i += 4) {
+    assert.ok([0, 255].includes(imageData.data[i]));
+  }
+  assert.deepEqual(stats.map((s) => s.hex).sort(), ["#000000", "#ffffff"]);
+});
+
+test("pixels below the alpha threshold stay transparent", () => {
+  const img = makeImage(4, 1, (x) => [200, 30, 30, [0, 100, 160, 255][x]]);
+  const { imageData, indices, stats } = convert(img, { alphaThreshold: 128 });
+  assert.deepEqual(Array.from(indices.subarray(0, 2)), [255, 255]);
+  const alpha = [3, 7, 11, 15].map((i) => imageData.data[i]);
+  assert.deepEqual(alpha, [0, 0, 160, 255]);
+  const opaque = convert(img, { removeSemitransparent: true }).imageData;
+  assert.equal(opaque.data[11], 255);
+  assert.equal(stats[0].count, 2);
+});
+
+test("dithered alpha modes keep whole pixels, fully opaque", () => {
+  const img = makeImage(16, 16, () => [200, 30, 30, 128]);
+  for (const alphaMode of ["ordered", "diffuse"]) {
+    const { imageData, stats } = convert(img, { alphaMode });
+    const alpha = imageData.data.filter((_, i) => i % 4 === 3);
+    assert.ok(
+      alpha.every((a) => a === 0 || a === 255),
+      alphaMode
+    );
+    const kept = alpha.filter((a) => a === 255).length;
+    assert.ok(Math.abs(kept - 128) <= 8, alphaMode);
+    assert.equal(stats[0].count, kept);
+  }
+});
+
+test("convert reports progress through the stages up to 1", () => {
+  const seen = [];
+  convert(gradient, { dithering: "floyd_steinberg" }, (stage, value) =>
+    seen.push([stage, value])
+  );
+  const values = seen.map(([, value]) => value);
+  for (let i = 1; i < values.length; i++) assert.ok(values[i] >= values[i - 1]);
+  assert.deepEqual(seen.at(-1), ["alpha", 1]);
+  assert.deepEqual(
+    [...new Set(seen.map(([stage]) => stage))],
+    ["resize", "adjust", "dither", "alpha"]
+  );
+});
+
+test("convert rejects palettes it cannot use", () => {
+  assert.throws(() => convert(gradient, { palette: [] }), /Palette must be/);
+  const big = Array.from(
+    { length: 256 },
+    (_, i) => `#${i.toString(16).padStart(2, "0")}0000`
+  );
+  assert.throws(() => convert(gradient, { palette: big }), /at most 255/);
+});
@@ -0,0 +1,115 @@
+import "./helpers/imageData.js";
+import { test } from "node:test";
+import assert from "node:assert/strict";
+
+import { makeImage } from "./helpers/imageData.js";
+import { convert } from "../js/convert.js";
+import {
+  createDitherMask,
+  paintDitherMask,
+  isDitherMaskActive,
+  resizeDitherMask,
+  adaptiveDitherMask,
+} from "../js/ditherMask.js";
+
+test("a new mask dithers everywhere and changes nothing", () => {
+  const mask = createDitherMask(4, 3);
+  assert.deepEqual(Array.from(mask.data), Array(12).fill(255));
+  assert.equal(isDitherMaskActive(mask), false);
+  assert.equal(isDitherMaskActive(null), false);
+});
+
+test("painting fills a circle and reports the touched area", () => {
+  const mask = createDitherMask(8, 8);
+  assert.deepEqual(paintDitherMask(mask, 4, 4, 1.5, 0), {
+    x0: 2,
+    y0: 2,
+    x1: 7,
+    y1: 7,
+  });
+  assert.equal(isDitherMaskActive(mask), true);
+  const painted = [];
+  mask.data.forEach((v, i) => v === 0 && painted.push([i % 8, i >> 3]));
+  assert.deepEqual(painted, [
+    [3, 3],
+    [4, 3],
+    [3, 4],
+    [4, 4],
+  ]);
+  assert.equal(paintDitherMask(mask, -10, -10, 2, 0), null);
+});
+
+test("resizing samples the nearest mask pixel", () => {
+  const mask = { width: 2, height: 1, data: Uint8Array.from([0, 255]) };
+  assert.equal(resizeDitherMask(mask, 2, 1), mask.data);
+  assert.deepEqual(
+    Array.from(resizeDitherMask(mask, 4, 2)),
+    [0, 0, 255, 255, 0, 0, 255, 255]
+  );
+});
+
+test("convert leaves the masked part of the image undithered", () => {
+  const img = makeImage(32, 16, (x, y) => [x * 8, y * 16, 128]);
+  // Half-size mask, undithered on the left
+  const ditherMask = createDitherMask(16, 8);
+  for (let y = 0; y < 8; y++) ditherMask.data.fill(0, y * 16, y * 16 + 8);
+  const options = { dithering: "bayer", palette: "full" };
+  const plain = convert(img, { ...options, dithering: "none" }).indices;
+  const full = convert(img, options).indices;
+  const masked = convert(img, { ...options, ditherMask }).indices;
+  for (let i = 0; i < masked.length; i++) {
+    const expected = i % 32 < 16 ? plain[i] : full[i];
+    assert.equal(masked[i], expected, `pixel ${i}`);
+  }
+});
+
+// Working buffer from a luma value per pixel
+function greyBuffer(width, height, level) {
+  const rgb = new Float32Array(width * height * 3);
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++)
+      rgb.fill(level(x, y), (y * width + x) * 3, (y * width + x) * 3 + 3);
+  }
+  return {
+    width,
+    height,
+    rgb,
+    alpha: new Uint8Array(width * height).fill(255),
+  };
+}
+
+test("adaptive strength lowers dithering on edges and in flat areas", () => {
+  // Flat left half, hard edge in the middle, fine checkerboard on the right
+  const pixels = greyBuffer(24, 8, (x, y) =>
+    x < 12 ? 60 : x < 16 ? 250 : (x + y) % 2 ? 108 : 92
+  );
+  const mask = adaptiveDitherMask(pixels, 1);
+  const at = (x, y) => mask[y * 24 + x];
+  assert.ok(Math.abs(at(4, 4) - 128) <= 1); // flat: half strength
+  assert.equal(at(11, 4), 0); // edge: none
+  assert.equal(at(20, 4), 255); // fine texture: full
+});
+
+test("adaptive strength scales with sensitivity and the painted mask", () => {
+  const pixels = greyBuffer(8, 8, () => 90);
+  assert.ok(adaptiveDitherMask(pixels, 0).every((v) => v === 255));
+  assert.ok(adaptiveDitherMask(pixels, 0.5).every((v) => v === 191));
+  const base = new Uint8Array(64).fill(100);
+  assert.ok(adaptiveDitherMask(pixels, 1, base).every((v) => v === 50));
+});
+
+test("convert applies adaptive strength only when it is on", () => {
+  const img = makeImage(32, 16, (x, y) =>
+    x < 16 ? [40, 40, 40] : [x * 8, y * 16, 128]
+  );
+  const options = { dithering: "floyd_steinberg", palette: "full" };
+  const full = convert(img, options).indices;
+  assert.deepEqual(
+    convert(img, { ...options, adaptiveStrength: 0 }).indices,
+    full
+  );
+  assert.notDeepEqual(
+    convert(img, { ...options, adaptiveStrength: 1 }).indices,
+    full
+  );
+});
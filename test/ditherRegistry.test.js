@@ -0,0 +1,122 @@
+import "./helpers/imageData.js";
+import { test } from "node:test";
+import assert from "node:assert/strict";
+
+import { makeImage } from "./helpers/imageData.js";
+import { convert } from "../js/convert.js";
+import { imageDataToBuffers } from "../js/processor.js";
+import {
+  registerDitherer,
+  getDitherer,
+  listDitherers,
+  resolveDitherParams,
+  runDitherer,
+} from "../js/ditherRegistry.js";
+
+const PALETTE = [
+  [0, 0, 0],
+  [255, 255, 255],
+  [237, 28, 36],
+  [64, 147, 228],
+];
+const CONTEXT = { alphaThreshold: 128, distanceMode: "lab", exactMatch: false };
+
+// Gradient with a transparent first column
+const image = makeImage(12, 7, (x, y) => [x * 21, y * 36, 128, x ? 255 : 0]);
+
+test("every registered ditherer returns an index per pixel", () => {
+  for (const { id } of listDitherers()) {
+    const indices = runDitherer(
+      id,
+      imageDataToBuffers(image),
+      PALETTE,
+      {},
+      CONTEXT
+    );
+    assert.equal(indices.length, 12 * 7, id);
+    indices.forEach((index, i) => {
+      if (i % 12 === 0) assert.equal(index, 255, `${id} transparent`);
+      else assert.ok(index < PALETTE.length, `${id} pixel ${i}`);
+    });
+  }
+});
+
+test("resolveDitherParams fills defaults and coerces values", () => {
+  const random = getDitherer("random");
+  assert.deepEqual(resolveDitherParams(random), {
+    strength: 0.8,
+    seed: 1,
+    noise: "uniform",
+    noiseChannels: "rgb",
+  });
+  assert.deepEqual(
+    resolveDitherParams(random, {
+      strength: "5",
+      seed: "abc",
+      noise: "pink",
+      noiseChannels: "luma",
+      extra: 1,
+    }),
+    { strength: 1, seed: 1, noise: "uniform", noiseChannels: "luma" }
+  );
+  const fs = getDitherer("floyd_steinberg");
+  assert.equal(
+    resolveDitherParams(fs, { serpentine: "true" }).serpentine,
+    true
+  );
+  assert.equal(resolveDitherParams(fs, { serpentine: "no" }).serpentine, false);
+  const bayer = getDitherer("bayer");
+  assert.equal(resolveDitherParams(bayer, { size: "8" }).size, 8);
+});
+
+test("registerDitherer validates definitions", () => {
+  const run = () => new Uint8Array(0);
+  assert.throws(() => registerDitherer({ id: "x" }), /needs an id and a run/);
+  assert.throws(
+    () => registerDitherer({ id: "x", category: "fancy", run }),
+    /Unknown dither category "fancy"/
+  );
+  assert.throws(
+    () =>
+      registerDitherer({
+        id: "x",
+        category: "none",
+        params: [{ key: "k", type: "slider" }],
+        run,
+      }),
+    /Invalid parameter "k" for ditherer "x"/
+  );
+  assert.equal(getDitherer("x"), undefined);
+});
+
+test("unknown methods are rejected", () => {
+  assert.throws(
+    () => runDitherer("nope", imageDataToBuffers(image), PALETTE, {}, CONTEXT),
+    /Unknown dithering method "nope"/
+  );
+});
+
+test("convert dispatches to registered ditherers with resolved params", () => {
+  let seen = null;
+  registerDitherer({
+    id: "test_first_colour",
+    name: "First colour",
+    category: "none",
+    params: [{ key: "level", type: "number", min: 0, max: 3, default: 2 }],
+    run: (pixels, palette, params, ctx) => {
+      seen = { params, threshold: ctx.alphaThreshold, count: palette.length };
+      return new Uint8Array(pixels.width * pixels.height);
+    },
+  });
+  const { stats } = convert(image, {
+    palette: ["#123456", "#abcdef"],
+    dithering: "test_first_colour",
+    ditherParams: { level: 9 },
+    alphaThreshold: 1,
+  });
+  assert.deepEqual(seen, { params: { level: 3 }, threshold: 1, count: 2 });
+  assert.deepEqual(
+    stats.map((s) => [s.hex, s.count]),
+    [["#123456", 11 * 7]]
+  );
+});
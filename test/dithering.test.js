@@ -0,0 +1,371 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+
+import {
+  DIFFUSION_KERNELS,
+  ditherAlpha,
+  normalizeKernel,
+} from "../js/dithering.js";
+import { listDitherers, runDitherer } from "../js/ditherRegistry.js";
+import { BAYER_SIZES, BLUE_NOISE_SIZES } from "../js/thresholdMaps.js";
+
+const BLACK_WHITE = [
+  [0, 0, 0],
+  [255, 255, 255],
+];
+const CONTEXT = { alphaThreshold: 128, distanceMode: "rgb", exactMatch: false };
+
+// Working buffer of one flat colour
+function flat(width, height, [r, g, b], a = 255) {
+  const rgb = new Float32Array(width * height * 3);
+  for (let i = 0; i < width * height; i++) rgb.set([r, g, b], i * 3);
+  return { width, height, rgb, alpha: new Uint8Array(width * height).fill(a) };
+}
+
+// Share of pixels given palette index 1
+function shareOfSecond(indices) {
+  return indices.reduce((n, index) => n + (index === 1), 0) / indices.length;
+}
+
+for (const [id, sizes] of [
+  ["bayer", BAYER_SIZES],
+  ["blue_noise", BLUE_NOISE_SIZES],
+]) {
+  for (const size of sizes) {
+    test(`${id} ${size}×${size} mixes mid grey evenly`, () => {
+      const indices = runDitherer(
+        id,
+        flat(64, 64, [128, 128, 128]),
+        BLACK_WHITE,
+        { strength: 1, size },
+        CONTEXT
+      );
+      assert.ok(Math.abs(shareOfSecond(indices) - 0.5) < 0.02);
+    });
+  }
+}
+
+test("ordered patterns repeat with the tile size", () => {
+  const width = 48;
+  const indices = runDitherer(
+    "bayer",
+    flat(width, 16, [100, 100, 100]),
+    BLACK_WHITE,
+    { strength: 1, size: 8 },
+    CONTEXT
+  );
+  for (let y = 0; y < 8; y++) {
+    for (let x = 0; x < width - 8; x++) {
+      assert.equal(indices[y * width + x], indices[y * width + x + 8]);
+      assert.equal(indices[y * width + x], indices[(y + 8) * width + x]);
+    }
+  }
+});
+
+test("yliluoma keeps palette colours solid", () => {
+  const palette = [...BLACK_WHITE, [237, 28, 36]];
+  const indices = runDitherer(
+    "yliluoma",
+    flat(16, 16, [237, 28, 36]),
+    palette,
+    {},
+    CONTEXT
+  );
+  assert.ok(indices.every((index) => index === 2));
+});
+
+test("yliluoma mixes the palette entries that average to the colour", () => {
+  const red = [255, 0, 0];
+  const blue = [0, 0, 255];
+  const green = [0, 255, 0];
+  const indices = runDitherer(
+    "yliluoma",
+    flat(16, 16, [128, 0, 128]),
+    [green, red, blue],
+    { linearMix: false },
+    CONTEXT
+  );
+  assert.ok(!indices.includes(0)); // green plays no part in purple
+  assert.ok(Math.abs(shareOfSecond(indices) - 0.5) < 0.1);
+});
+
+test("yliluoma mixes in linear light by default", () => {
+  // sRGB 128 is about 22% of white's light
+  const run = (linearMix) =>
+    shareOfSecond(
+      runDitherer(
+        "yliluoma",
+        flat(16, 16, [128, 128, 128]),
+        BLACK_WHITE,
+        { linearMix },
+        CONTEXT
+      )
+    );
+  assert.ok(Math.abs(run(false) - 0.5) < 0.07);
+  assert.ok(Math.abs(run(true) - 0.22) < 0.07);
+});
+
+test("riemersma visits every pixel of non-square images", () => {
+  // Red is never the right choice for grey, so any pixel left at index 0
+  // was skipped by the curve
+  const palette = [[255, 0, 0], ...BLACK_WHITE];
+  for (const history of [8, 16, 32]) {
+    for (const [width, height] of [
+      [37, 23],
+      [1, 9],
+      [64, 3],
+    ]) {
+      const indices = runDitherer(
+        "riemersma",
+        flat(width, height, [128, 128, 128]),
+        palette,
+        { strength: 1, history },
+        CONTEXT
+      );
+      assert.ok(!indices.includes(0), `${width}×${height}`);
+    }
+  }
+});
+
+test("riemersma mixes mid grey evenly", () => {
+  const indices = runDitherer(
+    "riemersma",
+    flat(48, 48, [128, 128, 128]),
+    BLACK_WHITE,
+    { strength: 1 },
+    CONTEXT
+  );
+  assert.ok(Math.abs(shareOfSecond(indices) - 0.5) < 0.02);
+});
+
+test("ostromoukhov reproduces grey levels", () => {
+  for (const level of [32, 64, 128, 192, 224]) {
+    const indices = runDitherer(
+      "ostromoukhov",
+      flat(48, 48, [level, level, level]),
+      BLACK_WHITE,
+      { strength: 1 },
+      CONTEXT
+    );
+    assert.ok(Math.abs(shareOfSecond(indices) - level / 255) < 0.02, level);
+  }
+});
+
+test("ostromoukhov leaves palette colours solid", () => {
+  const indices = runDitherer(
+    "ostromoukhov",
+    flat(16, 16, [255, 255, 255]),
+    BLACK_WHITE,
+    {},
+    CONTEXT
+  );
+  assert.ok(indices.every((index) => index === 1));
+});
+
+const ERROR_SPACES = ["srgb", "linear", "lab", "oklab"];
+
+test("error diffusion in linear light mixes by light, not by sRGB value", () => {
+  const share = (errorSpace) =>
+    shareOfSecond(
+      runDitherer(
+        "floyd_steinberg",
+        flat(64, 64, [128, 128, 128]),
+        BLACK_WHITE,
+        { strength: 1, errorSpace },
+        CONTEXT
+      )
+    );
+  assert.ok(Math.abs(share("srgb") - 0.5) < 0.02);
+  // sRGB 128 is about 22% of white's light
+  assert.ok(Math.abs(share("linear") - 0.22) < 0.05);
+});
+
+test("palette colours survive every error space unchanged", () => {
+  const palette = [...BLACK_WHITE, [237, 28, 36], [64, 147, 228]];
+  for (const errorSpace of ERROR_SPACES) {
+    for (const [index, color] of palette.entries()) {
+      const indices = runDitherer(
+        "floyd_steinberg",
+        flat(16, 16, color),
+        palette,
+        { strength: 1, errorSpace },
+        { ...CONTEXT, distanceMode: "lab" }
+      );
+      assert.ok(
+        indices.every((i) => i === index),
+        `${errorSpace} ${color}`
+      );
+    }
+  }
+});
+
+// Colourful gradient for comparing diffusion outputs
+function gradient(width, height) {
+  const rgb = new Float32Array(width * height * 3);
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      rgb.set([x * 8, y * 12, 255 - x * 4], (y * width + x) * 3);
+    }
+  }
+  return {
+    width,
+    height,
+    rgb,
+    alpha: new Uint8Array(width * height).fill(255),
+  };
+}
+
+const COLOURS = [...BLACK_WHITE, [237, 28, 36], [64, 147, 228], [19, 230, 123]];
+
+test("a custom kernel matches the built-in method it copies", () => {
+  for (const [id, kernel] of Object.entries(DIFFUSION_KERNELS)) {
+    for (const serpentine of [false, true]) {
+      const params = { strength: 0.9, serpentine, errorSpace: "srgb" };
+      assert.deepEqual(
+        runDitherer(
+          "custom_kernel",
+          gradient(32, 20),
+          COLOURS,
+          { ...params, kernel },
+          CONTEXT
+        ),
+        runDitherer(id, gradient(32, 20), COLOURS, params, CONTEXT),
+        `${id} serpentine=${serpentine}`
+      );
+    }
+  }
+});
+
+test("normalizeKernel validates offsets and weights", () => {
+  const kernel = (...weights) => ({ weights });
+  assert.deepEqual(
+    normalizeKernel(kernel({ dx: 1, dy: 0, w: 2 }, { dx: 0, dy: 1, w: 0 })),
+    { weights: [{ dx: 1, dy: 0, w: 2 }], denom: 2 }
+  );
+  assert.throws(() => normalizeKernel({}), /needs a weights array/);
+  assert.throws(
+    () => normalizeKernel(kernel({ dx: -1, dy: 0, w: 1 })),
+    /\(-1, 0\) is not ahead of the current pixel/
+  );
+  assert.throws(
+    () => normalizeKernel(kernel({ dx: 3, dy: 1, w: 1 })),
+    /outside the editable grid/
+  );
+  assert.throws(
+    () =>
+      normalizeKernel(kernel({ dx: 1, dy: 0, w: 1 }, { dx: 1, dy: 0, w: 2 })),
+    /appears twice/
+  );
+  assert.throws(
+    () => normalizeKernel(kernel({ dx: 1, dy: 0, w: -1 })),
+    /must be a number ≥ 0/
+  );
+  assert.throws(
+    () => normalizeKernel(kernel({ dx: 1, dy: 0, w: 0 })),
+    /has no weights/
+  );
+  assert.throws(
+    () => normalizeKernel({ ...kernel({ dx: 1, dy: 0, w: 1 }), denom: 0 }),
+    /divisor must be a positive number/
+  );
+});
+
+test("an invalid kernel parameter falls back to Floyd–Steinberg", () => {
+  const params = { strength: 1, kernel: { weights: [{ dx: 0, dy: 0, w: 1 }] } };
+  assert.deepEqual(
+    runDitherer("custom_kernel", gradient(16, 8), COLOURS, params, CONTEXT),
+    runDitherer(
+      "floyd_steinberg",
+      gradient(16, 8),
+      COLOURS,
+      { strength: 1 },
+      CONTEXT
+    )
+  );
+});
+
+test("random dithering is reproducible from its seed", () => {
+  const run = (params) =>
+    runDitherer("random", gradient(32, 20), COLOURS, params, CONTEXT);
+  for (const noise of ["uniform", "triangular", "gaussian"]) {
+    const params = { strength: 1, seed: 42, noise };
+    assert.deepEqual(run(params), run(params), noise);
+    assert.notDeepEqual(run(params), run({ ...params, seed: 43 }), noise);
+  }
+});
+
+test("luminance noise keeps greys grey", () => {
+  const palette = [...BLACK_WHITE, [255, 0, 0], [0, 255, 0], [0, 0, 255]];
+  const run = (noiseChannels) =>
+    runDitherer(
+      "random",
+      flat(32, 32, [128, 128, 128]),
+      palette,
+      { strength: 1, seed: 7, noiseChannels },
+      CONTEXT
+    );
+  assert.ok(run("luma").every((index) => index < 2));
+  assert.ok(run("rgb").some((index) => index >= 2));
+});
+
+test("alpha dithering turns coverage into a share of kept pixels", () => {
+  const size = 32;
+  for (const mode of ["ordered", "diffuse"]) {
+    for (const coverage of [64, 128, 192]) {
+      const alpha = new Uint8Array(size * size).fill(coverage);
+      const out = ditherAlpha(alpha, size, size, mode);
+      assert.ok(out.every((a) => a === 0 || a === 255));
+      const kept = out.filter((a) => a === 255).length / out.length;
+      assert.ok(Math.abs(kept - coverage / 255) < 0.03, `${mode} ${coverage}`);
+    }
+  }
+});
+
+test("alpha dithering keeps fully opaque and transparent pixels", () => {
+  const alpha = Uint8Array.from([0, 255, 0, 255, 1, 254]);
+  for (const mode of ["ordered", "diffuse"]) {
+    const out = ditherAlpha(alpha, 6, 1, mode);
+    assert.deepEqual(Array.from(out.subarray(0, 4)), [0, 255, 0, 255]);
+    // The input is left alone
+    assert.deepEqual(Array.from(alpha), [0, 255, 0, 255, 1, 254]);
+  }
+  assert.throws(
+    () => ditherAlpha(alpha, 6, 1, "stochastic"),
+    /Unknown alpha mode/
+  );
+});
+
+test("a higher alpha threshold drops more pixels", () => {
+  const alpha = new Uint8Array(32 * 32).fill(128);
+  const kept = (threshold) =>
+    ditherAlpha(alpha, 32, 32, "ordered", threshold).filter(Boolean).length;
+  assert.ok(kept(64) > kept(128));
+  assert.ok(kept(128) > kept(192));
+});
+
+test("a dither mask of 0 means no dithering, for every method", () => {
+  const context = { ...CONTEXT, distanceMode: "lab" };
+  const none = runDitherer("none", gradient(32, 20), COLOURS, {}, context);
+  const withMask = (id, value) => {
+    const pixels = gradient(32, 20);
+    pixels.mask = new Uint8Array(32 * 20).fill(value);
+    return runDitherer(id, pixels, COLOURS, {}, context);
+  };
+  for (const { id } of listDitherers()) {
+    assert.deepEqual(withMask(id, 0), none, id);
+    assert.deepEqual(
+      withMask(id, 255),
+      runDitherer(id, gradient(32, 20), COLOURS, {}, context),
+      id
+    );
+    // Higher values dither more pixels away from the nearest colour
+    let previous = 0;
+    for (const value of [64, 128, 192, 255]) {
+      const changed = withMask(id, value).filter(
+        (v, i) => v !== none[i]
+      ).length;
+      assert.ok(changed >= previous, `${id} at ${value}`);
+      previous = changed;
+    }
+  }
+});
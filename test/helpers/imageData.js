@@ -0,0 +1,35 @@
+// The shared modules construct ImageData; Node has no DOM, so provide the
+// small subset they use (as the CLI does).
+if (typeof globalThis.ImageData === "undefined") {
+  globalThis.ImageData = class ImageData {
+    constructor(dataOrWidth, width, height) {
+      if (typeof dataOrWidth === "number") {
+        this.width = dataOrWidth;
+        this.height = width;
+        this.data = new Uint8ClampedArray(dataOrWidth * width * 4);
+      } else {
+        this.data = dataOrWidth;
+        this.width = width;
+        this.height = height ?? dataOrWidth.length / 4 / width;
+      }
+    }
+  };
+}
+
+/**
+ * Image from a colour per pixel
+ * @param {number} width
+ * @param {number} height
+ * @param {(x:number, y:number) => number[]} color - [r, g, b] or [r, g, b, a]
+ * @returns {ImageData}
+ */
+export function makeImage(width, height, color) {
+  const data = new Uint8ClampedArray(width * height * 4);
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      const [r, g, b, a = 255] = color(x, y);
+      data.set([r, g, b, a], (y * width + x) * 4);
+    }
+  }
+  return new ImageData(data, width, height);
+}
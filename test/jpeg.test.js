@@ -0,0 +1,72 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { readFileSync } from "node:fs";
+
+import { decodeJpeg } from "../cli/jpeg.js";
+
+// The fixtures encode this 21×13 gradient
+const WIDTH = 21;
+const HEIGHT = 13;
+
+function gradient(x, y) {
+  return [
+    Math.round((x * 255) / (WIDTH - 1)),
+    Math.round((y * 255) / (HEIGHT - 1)),
+    255 - Math.round(((x + y) * 255) / (WIDTH + HEIGHT - 2)),
+  ];
+}
+
+const luma = ([r, g, b]) => 0.299 * r + 0.587 * g + 0.114 * b;
+
+function readFixture(name) {
+  const buf = readFileSync(new URL(`fixtures/${name}`, import.meta.url));
+  return decodeJpeg(new Uint8Array(buf));
+}
+
+// Mean absolute difference per channel from the expected colours
+function meanError(img, expected) {
+  let sum = 0;
+  for (let y = 0; y < HEIGHT; y++) {
+    for (let x = 0; x < WIDTH; x++) {
+      const i = (y * WIDTH + x) * 4;
+      const want = expected(x, y);
+      for (let c = 0; c < 3; c++) sum += Math.abs(img.data[i + c] - want[c]);
+    }
+  }
+  return sum / (WIDTH * HEIGHT * 3);
+}
+
+function assertOpaque(img) {
+  assert.equal(img.width, WIDTH);
+  assert.equal(img.height, HEIGHT);
+  assert.equal(img.data.length, WIDTH * HEIGHT * 4);
+  for (let i = 3; i < img.data.length; i += 4) assert.equal(img.data[i], 255);
+}
+
+test("decodes baseline JPEG with 4:2:0 chroma", () => {
+  const img = readFixture("gradient-baseline-420.jpg");
+  assertOpaque(img);
+  // Chroma is stored at half resolution, so edges blur a little
+  assert.ok(meanError(img, gradient) < 8);
+});
+
+test("decodes progressive JPEG", () => {
+  const img = readFixture("gradient-progressive-444.jpg");
+  assertOpaque(img);
+  assert.ok(meanError(img, gradient) < 2);
+});
+
+test("decodes grayscale JPEG to equal channels", () => {
+  const img = readFixture("gradient-gray.jpg");
+  assertOpaque(img);
+  for (let i = 0; i < img.data.length; i += 4) {
+    assert.equal(img.data[i + 1], img.data[i]);
+    assert.equal(img.data[i + 2], img.data[i]);
+  }
+  const gray = (x, y) => Array(3).fill(Math.round(luma(gradient(x, y))));
+  assert.ok(meanError(img, gray) < 2);
+});
+
+test("rejects files that are not JPEG", () => {
+  assert.throws(() => decodeJpeg(new Uint8Array(16)), /Not a JPEG file/);
+});
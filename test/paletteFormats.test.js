@@ -0,0 +1,90 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+
+import {
+  PALETTE_FORMATS,
+  parsePaletteFile,
+  serializePalette,
+} from "../js/paletteFormats.js";
+
+const PALETTE = {
+  name: "Test palette",
+  colors: [
+    { hex: "#000000", name: "Black" },
+    { hex: "#ff8000", name: "Orange" },
+    { hex: "#1a2b3c" },
+    { hex: "#ffffff", name: "White" },
+  ],
+};
+
+const encoder = new TextEncoder();
+const toBytes = (data) =>
+  typeof data === "string" ? encoder.encode(data) : data;
+
+// Formats that store names; pal and hex keep only the colours
+const NAMED = new Set(["gpl", "ase", "json"]);
+
+for (const [id, format] of Object.entries(PALETTE_FORMATS)) {
+  test(`${id} round-trips colours${NAMED.has(id) ? " and names" : ""}`, () => {
+    const file = `palette.${format.extension}`;
+    const parsed = parsePaletteFile(
+      file,
+      toBytes(serializePalette(id, PALETTE))
+    );
+    assert.deepEqual(
+      parsed.colors.map((c) => c.hex),
+      PALETTE.colors.map((c) => c.hex)
+    );
+    if (NAMED.has(id)) assert.deepEqual(parsed.colors, PALETTE.colors);
+  });
+
+  test(`${id} is recognised without a known extension`, () => {
+    const data = toBytes(serializePalette(id, PALETTE));
+    const parsed = parsePaletteFile("palette.txt", data);
+    assert.deepEqual(
+      parsed.colors.map((c) => c.hex),
+      PALETTE.colors.map((c) => c.hex)
+    );
+  });
+}
+
+test("parsing keeps the first of repeated colours and names from the file", () => {
+  const parsed = parsePaletteFile(
+    "mine.hex",
+    encoder.encode("FF0000\n#00ff00\nff0000\n")
+  );
+  assert.equal(parsed.name, "mine");
+  assert.deepEqual(parsed.colors, [{ hex: "#ff0000" }, { hex: "#00ff00" }]);
+});
+
+test("parsing rejects malformed files", () => {
+  assert.throws(
+    () => parsePaletteFile("a.gpl", encoder.encode("0 0 0 Black\n")),
+    /Not a GIMP palette/
+  );
+  assert.throws(
+    () => parsePaletteFile("a.hex", encoder.encode("\n\n")),
+    /No colours found/
+  );
+  assert.throws(
+    () => parsePaletteFile("a.hex", encoder.encode("nope\n")),
+    /Invalid colour "nope"/
+  );
+  assert.throws(
+    () => parsePaletteFile("a.ase", encoder.encode("ASEF")),
+    /Not an Adobe swatch file/
+  );
+  // Header promising one block that is not there
+  const truncated = Uint8Array.from([65, 83, 69, 70, 0, 1, 0, 0, 0, 0, 0, 1]);
+  assert.throws(
+    () => parsePaletteFile("a.ase", truncated),
+    /Truncated swatch file/
+  );
+});
+
+test("serializing rejects unknown formats", () => {
+  assert.throws(
+    () => serializePalette("bmp", PALETTE),
+    /Unknown palette format "bmp"/
+  );
+});
@@ -0,0 +1,63 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+
+import { FULL_PALETTE_COLORS, getPaletteAsRgb } from "../js/colors.js";
+import {
+  createPaletteMatcher,
+  getPaletteMatcher,
+} from "../js/paletteMatcher.js";
+import { createRandom, findClosestColorIndex } from "../js/utils.js";
+
+const PALETTE = getPaletteAsRgb(FULL_PALETTE_COLORS);
+const MODES = ["rgb", "lab", "oklab", "cie94", "ciede2000", "compuphase"];
+
+function sampleColors(count) {
+  const random = createRandom(7);
+  return Array.from({ length: count }, () =>
+    [0, 0, 0].map(() => Math.floor(random() * 256))
+  );
+}
+
+for (const mode of MODES) {
+  test(`${mode}: exact mode searches the palette for every colour`, () => {
+    const matcher = createPaletteMatcher(PALETTE, mode, { exact: true });
+    for (const color of sampleColors(200)) {
+      assert.equal(
+        matcher.nearest(...color),
+        findClosestColorIndex(color, PALETTE, mode)
+      );
+    }
+  });
+
+  test(`${mode}: the lookup table agrees with exact matching`, () => {
+    const exact = createPaletteMatcher(PALETTE, mode, { exact: true });
+    // At full precision every table cell is one sRGB colour
+    const full = createPaletteMatcher(PALETTE, mode, { bits: 8 });
+    for (const color of sampleColors(200)) {
+      assert.equal(full.nearest(...color), exact.nearest(...color));
+    }
+    // The default table still maps every palette colour to itself
+    const table = createPaletteMatcher(PALETTE, mode);
+    PALETTE.forEach((color, index) =>
+      assert.equal(table.nearest(...color), index)
+    );
+  });
+}
+
+test("out-of-range values are clamped before the table lookup", () => {
+  const exact = createPaletteMatcher(PALETTE, "lab", { exact: true });
+  const table = createPaletteMatcher(PALETTE, "lab", { bits: 8 });
+  assert.equal(table.nearest(-40, 300, 128.4), exact.nearest(0, 255, 128));
+  assert.equal(table.nearest(-1e6, -1e6, -1e6), exact.nearest(0, 0, 0));
+});
+
+test("getPaletteMatcher reuses matchers for the same palette contents", () => {
+  const copy = () => PALETTE.map((c) => [...c]);
+  const matcher = getPaletteMatcher(copy(), "oklab");
+  assert.equal(getPaletteMatcher(copy(), "oklab"), matcher);
+  assert.notEqual(getPaletteMatcher(copy(), "lab"), matcher);
+  const exact = getPaletteMatcher(copy(), "oklab", { exact: true });
+  assert.notEqual(exact, matcher);
+  assert.equal(exact.exact, true);
+  assert.notEqual(getPaletteMatcher(copy().slice(1), "oklab"), matcher);
+});
@@ -0,0 +1,59 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+
+import { selectPaletteSubset } from "../js/paletteSubset.js";
+
+const PALETTE = [
+  [0, 0, 0],
+  [255, 0, 0],
+  [0, 255, 0],
+  [0, 0, 255],
+  [255, 255, 255],
+];
+
+// Working buffer (see imageDataToBuffers) from a list of [r, g, b, a]
+function buffers(colors) {
+  const rgb = new Float32Array(colors.length * 3);
+  const alpha = new Uint8Array(colors.length);
+  colors.forEach(([r, g, b, a], i) => {
+    rgb.set([r, g, b], i * 3);
+    alpha[i] = a;
+  });
+  return { width: colors.length, height: 1, rgb, alpha };
+}
+
+test("keeps the whole palette when the budget covers it", () => {
+  const pixels = buffers([[10, 20, 30, 255]]);
+  assert.deepEqual(selectPaletteSubset(pixels, PALETTE, 5), [0, 1, 2, 3, 4]);
+  assert.deepEqual(selectPaletteSubset(pixels, PALETTE, 9), [0, 1, 2, 3, 4]);
+});
+
+test("rejects a budget below one colour", () => {
+  assert.throws(
+    () => selectPaletteSubset(buffers([]), PALETTE, 0),
+    /Colour budget must be at least 1/
+  );
+});
+
+test("keeps the colours the image uses, in palette order", () => {
+  const pixels = buffers([
+    ...Array(20).fill([250, 250, 250, 255]),
+    ...Array(10).fill([5, 5, 240, 255]),
+    [0, 250, 0, 255],
+  ]);
+  assert.deepEqual(selectPaletteSubset(pixels, PALETTE, 2), [3, 4]);
+  for (const mode of ["rgb", "lab", "oklab"]) {
+    assert.deepEqual(selectPaletteSubset(pixels, PALETTE, 3, mode), [2, 3, 4]);
+  }
+});
+
+test("ignores pixels below the alpha threshold", () => {
+  const pixels = buffers([
+    ...Array(50).fill([255, 0, 0, 10]),
+    [0, 255, 0, 255],
+  ]);
+  assert.deepEqual(selectPaletteSubset(pixels, PALETTE, 1), [2]);
+  // Nothing visible: the first colours are kept
+  const hidden = buffers([[255, 0, 0, 0]]);
+  assert.deepEqual(selectPaletteSubset(hidden, PALETTE, 2), [0, 1]);
+});
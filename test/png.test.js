@@ -0,0 +1,129 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { deflateSync } from "node:zlib";
+
+import { decodePng, encodePng } from "../cli/png.js";
+import { crc32 } from "../js/zip.js";
+
+const SIGNATURE = [0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a];
+
+function chunk(type, body) {
+  const out = new Uint8Array(12 + body.length);
+  const dv = new DataView(out.buffer);
+  dv.setUint32(0, body.length);
+  for (let i = 0; i < 4; i++) out[4 + i] = type.charCodeAt(i);
+  out.set(body, 8);
+  dv.setUint32(8 + body.length, crc32(out.subarray(4, 8 + body.length)));
+  return out;
+}
+
+// PNG from already filtered scanlines, plus optional PLTE/tRNS chunks
+function buildPng(header, scanlines, extra = {}) {
+  const ihdr = new Uint8Array(13);
+  const dv = new DataView(ihdr.buffer);
+  dv.setUint32(0, header.width);
+  dv.setUint32(4, header.height);
+  ihdr[8] = header.depth;
+  ihdr[9] = header.colorType;
+  ihdr[12] = header.interlace ?? 0;
+  const parts = [Uint8Array.from(SIGNATURE), chunk("IHDR", ihdr)];
+  if (extra.plte) parts.push(chunk("PLTE", Uint8Array.from(extra.plte)));
+  if (extra.trns) parts.push(chunk("tRNS", Uint8Array.from(extra.trns)));
+  parts.push(chunk("IDAT", deflateSync(Uint8Array.from(scanlines))));
+  parts.push(chunk("IEND", new Uint8Array(0)));
+  return new Uint8Array(Buffer.concat(parts));
+}
+
+const pixel = (img, x, y) => {
+  const i = (y * img.width + x) * 4;
+  return Array.from(img.data.subarray(i, i + 4));
+};
+
+test("encodePng output decodes to the same pixels", () => {
+  const width = 7;
+  const height = 5;
+  const data = new Uint8ClampedArray(width * height * 4);
+  for (let i = 0; i < width * height; i++) {
+    data[i * 4] = (i * 37) & 255;
+    data[i * 4 + 1] = (i * 11) & 255;
+    data[i * 4 + 2] = 255 - ((i * 5) & 255);
+    data[i * 4 + 3] = i % 3 ? 255 : (i * 29) & 255;
+  }
+  const decoded = decodePng(encodePng({ width, height, data }));
+  assert.equal(decoded.width, width);
+  assert.equal(decoded.height, height);
+  assert.deepEqual(Array.from(decoded.data), Array.from(data));
+});
+
+test("decodes greyscale with Sub and Up filters and a tRNS key", () => {
+  // Rows [10, 20, 30] and [15, 25, 35]: Sub on the first, Up on the second
+  const png = buildPng(
+    { width: 3, height: 2, depth: 8, colorType: 0 },
+    [1, 10, 10, 10, 2, 5, 5, 5],
+    { trns: [0, 20] }
+  );
+  const img = decodePng(png);
+  assert.deepEqual(pixel(img, 0, 0), [10, 10, 10, 255]);
+  assert.deepEqual(pixel(img, 1, 0), [20, 20, 20, 0]);
+  assert.deepEqual(pixel(img, 2, 1), [35, 35, 35, 255]);
+});
+
+test("decodes 2-bit palette images with palette alpha", () => {
+  // Indices 0, 1, 2, 3 packed into one byte
+  const png = buildPng(
+    { width: 4, height: 1, depth: 2, colorType: 3 },
+    [0, 0b00011011],
+    {
+      plte: [255, 0, 0, 0, 255, 0, 0, 0, 255, 255, 255, 255],
+      trns: [255, 128],
+    }
+  );
+  const img = decodePng(png);
+  assert.deepEqual(pixel(img, 0, 0), [255, 0, 0, 255]);
+  assert.deepEqual(pixel(img, 1, 0), [0, 255, 0, 128]);
+  assert.deepEqual(pixel(img, 2, 0), [0, 0, 255, 255]);
+  assert.deepEqual(pixel(img, 3, 0), [255, 255, 255, 255]);
+});
+
+test("decodes 16-bit RGB to the high byte", () => {
+  const png = buildPng(
+    { width: 1, height: 1, depth: 16, colorType: 2 },
+    [0, 0x12, 0x34, 0xab, 0xcd, 0xff, 0x00]
+  );
+  assert.deepEqual(pixel(decodePng(png), 0, 0), [0x12, 0xab, 0xff, 255]);
+});
+
+test("decodes Adam7 interlaced images", () => {
+  const width = 5;
+  const height = 5;
+  const value = (x, y) => y * width + x;
+  const passes = [
+    [0, 0, 8, 8],
+    [4, 0, 8, 8],
+    [0, 4, 4, 8],
+    [2, 0, 4, 4],
+    [0, 2, 2, 4],
+    [1, 0, 2, 2],
+    [0, 1, 1, 2],
+  ];
+  const scanlines = [];
+  for (const [x0, y0, dx, dy] of passes) {
+    if (x0 >= width || y0 >= height) continue;
+    for (let y = y0; y < height; y += dy) {
+      scanlines.push(0);
+      for (let x = x0; x < width; x += dx) scanlines.push(value(x, y));
+    }
+  }
+  const img = decodePng(
+    buildPng({ width, height, depth: 8, colorType: 0, interlace: 1 }, scanlines)
+  );
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      assert.equal(img.data[(y * width + x) * 4], value(x, y), `(${x}, ${y})`);
+    }
+  }
+});
+
+test("rejects files that are not PNG", () => {
+  assert.throws(() => decodePng(new Uint8Array(16)), /Not a PNG file/);
+});
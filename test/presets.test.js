@@ -0,0 +1,91 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { readFile } from "node:fs/promises";
+
+import { DEFAULT_PRESET, parsePreset, loadPresets } from "../js/presets.js";
+
+const readPresetFile = async (file) =>
+  JSON.parse(await readFile(new URL(`../presets/${file}`, import.meta.url)));
+
+test("parsePreset splits free and paid colours and keeps names", () => {
+  const preset = parsePreset("site", {
+    name: " Site ",
+    tileSize: 64,
+    colors: [
+      { hex: "#FF0000", name: "Red" },
+      { hex: "00ff00", paid: true },
+      { hex: "#ff0000", name: "Again" },
+    ],
+  });
+  assert.deepEqual(preset, {
+    id: "site",
+    name: "Site",
+    url: "",
+    tileSize: 64,
+    gridSize: 64,
+    free: ["#ff0000"],
+    paid: ["#00ff00"],
+    names: { "#ff0000": "Red" },
+  });
+});
+
+test("parsePreset rejects malformed presets", () => {
+  const colors = [{ hex: "#000000" }];
+  assert.throws(
+    () => parsePreset("b", { tileSize: 10, colors }),
+    /Preset "b" has no name/
+  );
+  assert.throws(
+    () => parsePreset("b", { name: "B", tileSize: 10, colors: [] }),
+    /Preset "b" has no colours/
+  );
+  assert.throws(
+    () => parsePreset("b", { name: "B", tileSize: 0, colors }),
+    /needs a positive integer tileSize/
+  );
+  assert.throws(
+    () => parsePreset("b", { name: "B", tileSize: 10, gridSize: 11, colors }),
+    /gridSize must be 1\.\.10/
+  );
+  assert.throws(
+    () =>
+      parsePreset("b", { name: "B", tileSize: 10, colors: [{ hex: "#fff" }] }),
+    /invalid colour "#fff"/
+  );
+});
+
+test("every shipped preset loads", async () => {
+  const ids = await readPresetFile("index.json");
+  const presets = await loadPresets(readPresetFile);
+  assert.deepEqual(
+    presets.map((p) => p.id),
+    ids
+  );
+});
+
+test("the Wplace preset file matches the built-in fallback", async () => {
+  const wplace = parsePreset("wplace", await readPresetFile("wplace.json"));
+  assert.deepEqual(wplace.free, DEFAULT_PRESET.free);
+  assert.deepEqual(wplace.paid, DEFAULT_PRESET.paid);
+  assert.equal(wplace.tileSize, DEFAULT_PRESET.tileSize);
+  assert.equal(wplace.gridSize, DEFAULT_PRESET.gridSize);
+});
+
+test("loadPresets skips broken presets and falls back to Wplace", async (t) => {
+  t.mock.method(console, "warn", () => {});
+  const files = {
+    "index.json": ["good", "bad"],
+    "good.json": { name: "Good", tileSize: 8, colors: [{ hex: "#123456" }] },
+    "bad.json": { name: "Bad", tileSize: 8 },
+  };
+  const read = async (file) => files[file];
+  assert.deepEqual(
+    (await loadPresets(read)).map((p) => p.id),
+    ["good"]
+  );
+
+  const missing = async () => {
+    throw new Error("ENOENT");
+  };
+  assert.deepEqual(await loadPresets(missing), [DEFAULT_PRESET]);
+});
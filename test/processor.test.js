@@ -0,0 +1,58 @@
+import "./helpers/imageData.js";
+import { test } from "node:test";
+import assert from "node:assert/strict";
+
+import { makeImage } from "./helpers/imageData.js";
+import {
+  imageDataToBuffers,
+  indicesToImageData,
+  getIndexStatistics,
+} from "../js/processor.js";
+
+test("imageDataToBuffers splits pixels into RGB triplets and alpha", () => {
+  const img = makeImage(2, 2, (x, y) => [x * 10, y * 20, 30, 40 + x + y]);
+  const { width, height, rgb, alpha } = imageDataToBuffers(img);
+  assert.equal(width, 2);
+  assert.equal(height, 2);
+  assert.ok(rgb instanceof Float32Array);
+  assert.ok(alpha instanceof Uint8Array);
+  assert.deepEqual(
+    Array.from(rgb),
+    [0, 0, 30, 10, 0, 30, 0, 20, 30, 10, 20, 30]
+  );
+  assert.deepEqual(Array.from(alpha), [40, 41, 41, 42]);
+});
+
+test("indicesToImageData paints palette colours and leaves index 255 clear", () => {
+  const palette = [
+    [255, 0, 0],
+    [0, 0, 255],
+  ];
+  const img = indicesToImageData(
+    Uint8Array.from([0, 1, 255]),
+    palette,
+    Uint8Array.from([255, 128, 255]),
+    3,
+    1
+  );
+  assert.equal(img.width, 3);
+  assert.equal(img.height, 1);
+  assert.deepEqual(
+    Array.from(img.data),
+    [255, 0, 0, 255, 0, 0, 255, 128, 0, 0, 0, 0]
+  );
+});
+
+test("getIndexStatistics counts visible pixels per colour, most used first", () => {
+  const stats = getIndexStatistics(
+    Uint8Array.from([0, 1, 1, 1, 0, 255, 2]),
+    Uint8Array.from([255, 255, 255, 255, 0, 0, 255]),
+    ["#FF0000", "#00ff00", "#0000ff"],
+    { "#ff0000": "Red", "#00ff00": "Green" }
+  );
+  assert.deepEqual(stats, [
+    { name: "Green", hex: "#00ff00", index: 1, count: 3 },
+    { name: "Red", hex: "#ff0000", index: 0, count: 1 },
+    { name: "Unknown", hex: "#0000ff", index: 2, count: 1 },
+  ]);
+});
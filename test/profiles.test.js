@@ -0,0 +1,61 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+
+import { FREE_PALETTE_COLORS, EXTRA_PALETTE_COLORS } from "../js/colors.js";
+import {
+  createProfiles,
+  parseProfiles,
+  loadProfiles,
+  profilePalette,
+} from "../js/profiles.js";
+
+test("parseProfiles cleans colours and drops invalid named palette entries", () => {
+  const state = parseProfiles({
+    active: "missing",
+    profiles: { Main: ["#AABBCC", "#aabbcc"] },
+    customNames: { "#ABCDEF": "Mine", "#000000": 5 },
+    palettes: {
+      Saved: [{ hex: "#00FF00", name: "Green" }, { hex: "nope" }, null],
+      Broken: "not a list",
+    },
+  });
+  assert.equal(state.active, "Main");
+  assert.deepEqual(state.profiles, { Main: ["#aabbcc"] });
+  assert.equal(state.custom, null);
+  assert.deepEqual(state.customNames, { "#abcdef": "Mine" });
+  assert.deepEqual(state.palettes, {
+    Saved: [{ hex: "#00ff00", name: "Green" }],
+  });
+  assert.equal(state.site, "wplace");
+});
+
+test("parseProfiles rejects files without profiles", () => {
+  assert.throws(
+    () => parseProfiles(null),
+    /Expected an object with a profiles map/
+  );
+  assert.throws(() => parseProfiles({ profiles: [] }), /No profiles found/);
+  assert.throws(
+    () => parseProfiles({ profiles: { A: "#000000" } }),
+    /Profile "A" must be a list of hex colours/
+  );
+});
+
+test("loadProfiles starts fresh when storage is unreadable", (t) => {
+  t.mock.method(console, "warn", () => {});
+  const storage = { getItem: () => "{not json" };
+  assert.deepEqual(loadProfiles(storage), createProfiles());
+  assert.deepEqual(loadProfiles({ getItem: () => null }), createProfiles());
+});
+
+test("profilePalette adds only the owned paid colours", () => {
+  const owned = [EXTRA_PALETTE_COLORS[1].toUpperCase(), "#123456"];
+  assert.deepEqual(profilePalette(owned), [
+    ...FREE_PALETTE_COLORS,
+    EXTRA_PALETTE_COLORS[1],
+  ]);
+  assert.deepEqual(
+    profilePalette(["#222222"], ["#111111"], ["#222222", "#333333"]),
+    ["#111111", "#222222"]
+  );
+});
@@ -0,0 +1,105 @@
+import "./helpers/imageData.js";
+import { test } from "node:test";
+import assert from "node:assert/strict";
+
+import { makeImage } from "./helpers/imageData.js";
+import {
+  RESIZE_FILTERS,
+  resizeImageData,
+  computeTargetSize,
+} from "../js/resize.js";
+
+const pixel = (img, x, y) => {
+  const i = (y * img.width + x) * 4;
+  return Array.from(img.data.subarray(i, i + 4));
+};
+
+test("computeTargetSize follows each mode", () => {
+  const size = (config) => computeTargetSize(200, 100, config);
+  assert.deepEqual(size({ mode: "none", width: 50 }), {
+    width: 200,
+    height: 100,
+  });
+  assert.deepEqual(size({ mode: "size", width: 50 }), {
+    width: 50,
+    height: 25,
+  });
+  assert.deepEqual(size({ mode: "size", height: 50 }), {
+    width: 100,
+    height: 50,
+  });
+  assert.deepEqual(
+    size({ mode: "size", width: 30, height: 70, lockAspect: false }),
+    { width: 30, height: 70 }
+  );
+  assert.deepEqual(size({ mode: "fit", width: 100, height: 100 }), {
+    width: 100,
+    height: 50,
+  });
+  assert.deepEqual(size({ mode: "scale", scale: 150 }), {
+    width: 300,
+    height: 150,
+  });
+  assert.deepEqual(size({ mode: "scale", scale: 0.1 }), {
+    width: 1,
+    height: 1,
+  });
+});
+
+for (const filter of Object.keys(RESIZE_FILTERS)) {
+  test(`${filter} resizes to the requested size and keeps flat colour`, () => {
+    const src = makeImage(9, 6, () => [40, 120, 200]);
+    for (const [width, height] of [
+      [4, 3],
+      [20, 11],
+      [9, 1],
+    ]) {
+      const out = resizeImageData(src, width, height, filter);
+      assert.equal(out.width, width);
+      assert.equal(out.height, height);
+      assert.equal(out.data.length, width * height * 4);
+      for (let i = 0; i < out.data.length; i += 4) {
+        assert.deepEqual(
+          Array.from(out.data.subarray(i, i + 4)),
+          [40, 120, 200, 255]
+        );
+      }
+    }
+  });
+}
+
+test("the same size returns the source unchanged", () => {
+  const src = makeImage(3, 2, (x, y) => [x * 50, y * 50, 0]);
+  assert.equal(resizeImageData(src, 3, 2, "lanczos"), src);
+});
+
+test("nearest repeats source pixels", () => {
+  const src = makeImage(2, 1, (x) => (x ? [0, 0, 255] : [255, 0, 0]));
+  const out = resizeImageData(src, 4, 1, "nearest");
+  assert.deepEqual(
+    [0, 1, 2, 3].map((x) => pixel(out, x, 0)),
+    [
+      [255, 0, 0, 255],
+      [255, 0, 0, 255],
+      [0, 0, 255, 255],
+      [0, 0, 255, 255],
+    ]
+  );
+});
+
+test("transparent pixels do not darken their neighbours", () => {
+  // Opaque red beside transparent black: averaging premultiplied colour
+  // keeps the red and halves the coverage
+  const src = makeImage(2, 1, (x) => (x ? [0, 0, 0, 0] : [255, 0, 0, 255]));
+  const [r, g, b, a] = pixel(resizeImageData(src, 1, 1, "box"), 0, 0);
+  assert.deepEqual([r, g, b], [255, 0, 0]);
+  assert.ok(Math.abs(a - 128) <= 1);
+});
+
+test("unknown filters fall back to area averaging", () => {
+  const src = makeImage(4, 1, (x) => [x * 60, 0, 0]);
+  assert.deepEqual(
+    resizeImageData(src, 2, 1, "sinc-9"),
+    resizeImageData(src, 2, 1, "box")
+  );
+});
@@ -0,0 +1,67 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+
+import {
+  BAYER_SIZES,
+  BLUE_NOISE_SIZES,
+  getBayerMap,
+  getBlueNoiseMap,
+} from "../js/thresholdMaps.js";
+
+// Each of the size² thresholds is used exactly once
+function assertRanks({ size, values }, expectedSize) {
+  assert.equal(size, expectedSize);
+  const n = size * size;
+  assert.equal(values.length, n);
+  const ranks = Array.from(values, (v) => Math.round((v + 0.5) * n)).sort(
+    (a, b) => a - b
+  );
+  assert.deepEqual(
+    ranks,
+    Array.from({ length: n }, (_, i) => i)
+  );
+}
+
+for (const size of BAYER_SIZES) {
+  test(`Bayer ${size}×${size} holds every threshold once`, () => {
+    assertRanks(getBayerMap(size), size);
+  });
+}
+
+for (const size of BLUE_NOISE_SIZES) {
+  test(`blue noise ${size}×${size} holds every threshold once`, () => {
+    assertRanks(getBlueNoiseMap(size), size);
+  });
+}
+
+test("Bayer 2×2 is the classic index matrix", () => {
+  const { values } = getBayerMap(2);
+  assert.deepEqual(
+    Array.from(values, (v) => (v + 0.5) * 4),
+    [0, 2, 3, 1]
+  );
+});
+
+test("maps are cached per size", () => {
+  assert.equal(getBayerMap(8), getBayerMap(8));
+  assert.equal(getBlueNoiseMap(16), getBlueNoiseMap(16));
+});
+
+test("blue noise spreads low thresholds out", () => {
+  // The darkest eighth of a void-and-cluster tile has no two neighbouring
+  // pixels, unlike white noise
+  const { size, values } = getBlueNoiseMap(32);
+  const lit = (x, y) =>
+    values[((y + size) % size) * size + ((x + size) % size)] < -0.375;
+  for (let y = 0; y < size; y++) {
+    for (let x = 0; x < size; x++) {
+      if (!lit(x, y)) continue;
+      assert.ok(!lit(x + 1, y) && !lit(x, y + 1), `(${x}, ${y})`);
+    }
+  }
+});
+
+test("unsupported sizes are rejected", () => {
+  assert.throws(() => getBayerMap(3), /Bayer matrix size must be one of/);
+  assert.throws(() => getBlueNoiseMap(48), /Blue-noise size must be one of/);
+});